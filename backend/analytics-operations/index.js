@@ -1,6 +1,9 @@
 const AWS = require('aws-sdk');
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 
+// Campaigns grouping QR codes and short links (managed by qr-operations)
+const CAMPAIGNS_TABLE = 'snapitqr-campaigns';
+
 exports.handler = async (event) => {
   console.log('Event:', JSON.stringify(event, null, 2));
 
@@ -33,6 +36,8 @@ exports.handler = async (event) => {
     // Route to appropriate handler
     if (path === '/analytics/url/{shortCode}' && method === 'GET') {
       return await getURLAnalytics(event, userId, headers);
+    } else if (path === '/analytics/campaign/{campaignId}' && method === 'GET') {
+      return await getCampaignAnalytics(event, userId, headers);
     } else if ((path === '/analytics/dashboard' || path === '/dashboard-data') && method === 'GET') {
       return await getDashboardAnalytics(event, userId, headers);
     }
@@ -102,6 +107,9 @@ async function getURLAnalytics(event, userId, headers) {
   // Process analytics by day
   const clicksByDay = {};
   const clicksByCountry = {};
+  const clicksByRule = {};
+  const clicksByVariant = {};
+  const clicksByVersion = {};
   let totalClicks = 0;
 
   analyticsResult.Items.forEach(event => {
@@ -115,6 +123,21 @@ async function getURLAnalytics(event, userId, headers) {
       // Group by country
       const country = event.metadata?.country || 'Unknown';
       clicksByCountry[country] = (clicksByCountry[country] || 0) + 1;
+
+      // Group by the routing rule that picked the destination
+      const rule = ruleLabel(event.metadata);
+      clicksByRule[rule] = (clicksByRule[rule] || 0) + 1;
+
+      // Group by A/B split variant
+      const variant = event.metadata?.variant;
+      if (variant) {
+        clicksByVariant[variant] = (clicksByVariant[variant] || 0) + 1;
+      }
+
+      // Group by the destination version live at click time; clicks from
+      // before versions were kept belong to the first one
+      const version = event.metadata?.version || 1;
+      clicksByVersion[version] = (clicksByVersion[version] || 0) + 1;
     }
   });
 
@@ -129,6 +152,50 @@ async function getURLAnalytics(event, userId, headers) {
     .sort((a, b) => b.clicks - a.clicks)
     .slice(0, 10); // Top 10 countries
 
+  const ruleData = Object.entries(clicksByRule)
+    .map(([rule, clicks]) => ({ rule, clicks }))
+    .sort((a, b) => b.clicks - a.clicks);
+
+  // Current variants first (including any without clicks yet), then
+  // variants that have since been removed
+  const variants = url.variants || [];
+  const totalWeight = variants.reduce((sum, v) => sum + v.weight, 0);
+  const splitClicks = Object.values(clicksByVariant).reduce((sum, clicks) => sum + clicks, 0);
+  const variantData = [
+    ...variants.map(v => v.id),
+    ...Object.keys(clicksByVariant).filter(id => !variants.some(v => v.id === id))
+  ].map(id => {
+    const variant = variants.find(v => v.id === id);
+    const clicks = clicksByVariant[id] || 0;
+    return {
+      variant: id,
+      name: variant?.name || null,
+      url: variant?.url || null,
+      weight: variant ? variant.weight : null,
+      targetShare: variant && totalWeight > 0 ? variant.weight / totalWeight : null,
+      clicks,
+      share: splitClicks > 0 ? clicks / splitClicks : 0
+    };
+  });
+
+  // Every stored version (including any without clicks), oldest first
+  const versions = url.destinationVersions || [{ version: 1, url: url.originalUrl, changedAt: url.createdAt }];
+  const versionData = [
+    ...versions.map(v => v.version),
+    ...Object.keys(clicksByVersion).map(Number).filter(n => !versions.some(v => v.version === n))
+  ].sort((a, b) => a - b).map(number => {
+    const version = versions.find(v => v.version === number);
+    const clicks = clicksByVersion[number] || 0;
+    return {
+      version: number,
+      url: version?.url || null,
+      changedAt: version?.changedAt || null,
+      current: number === (url.destinationVersion || 1),
+      clicks,
+      share: totalClicks > 0 ? clicks / totalClicks : 0
+    };
+  });
+
   return {
     statusCode: 200,
     headers,
@@ -146,6 +213,9 @@ async function getURLAnalytics(event, userId, headers) {
         totalClicks: url.clicks || 0, // Total from URL record
         clicksByDay: timeSeriesData,
         clicksByCountry: countryData,
+        clicksByRule: ruleData,
+        clicksByVariant: variantData,
+        clicksByVersion: versionData,
         recentClicks: analyticsResult.Items
           .filter(e => e.eventType === 'url_clicked')
           .slice(-20) // Last 20 clicks
@@ -154,13 +224,195 @@ async function getURLAnalytics(event, userId, headers) {
             timestamp: e.timestamp,
             userAgent: e.metadata?.userAgent,
             country: e.metadata?.country,
-            referer: e.metadata?.referer
+            referer: e.metadata?.referer,
+            destination: e.metadata?.destination,
+            version: e.metadata?.version || 1,
+            rule: ruleLabel(e.metadata),
+            variant: e.metadata?.variant || null
           }))
       }
     })
   };
 }
 
+// Name of the routing rule recorded on a click, or 'default' when none matched
+function ruleLabel(metadata) {
+  if (metadata?.rule === undefined || metadata.rule === null) return 'default';
+  return metadata.ruleName || `Rule ${metadata.rule + 1}`;
+}
+
+// Every item a query matches, following LastEvaluatedKey across pages
+async function queryAll(params) {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: startKey }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+}
+
+// Roll up the QR codes and short links in a campaign over a date window
+// (?from / ?to, ISO 8601; the last 30 days by default). Totals, per-asset
+// hits and the daily and country breakdowns all come from the scan and
+// click events recorded in that window while the record was in the campaign
+async function getCampaignAnalytics(event, userId, headers) {
+  const campaignId = event.pathParameters.campaignId;
+
+  const query = event.queryStringParameters || {};
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to);
+  if (!query.from) {
+    from.setDate(from.getDate() - 30);
+  }
+  if (isNaN(from) || isNaN(to)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'from and to must be ISO 8601 times such as 2026-10-19T08:30:00Z' })
+    };
+  }
+  if (from > to) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'from must not be later than to' })
+    };
+  }
+
+  const campaignResult = await dynamodb.get({
+    TableName: CAMPAIGNS_TABLE,
+    Key: { userId, campaignId }
+  }).promise();
+
+  if (!campaignResult.Item) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Campaign not found' })
+    };
+  }
+
+  const campaign = campaignResult.Item;
+
+  const byUser = {
+    IndexName: 'userId-createdAt-index',
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: {
+      ':userId': userId
+    }
+  };
+
+  const [userQRCodes, userURLs, events] = await Promise.all([
+    queryAll({ TableName: 'snapitqr-qrcodes', ...byUser }),
+    queryAll({ TableName: 'snapitqr-shorturls', ...byUser }),
+    queryAll({
+      TableName: 'snapitqr-analytics',
+      IndexName: 'campaignId-timestamp-index',
+      KeyConditionExpression: 'campaignId = :campaignId AND #timestamp BETWEEN :from AND :to',
+      ExpressionAttributeNames: {
+        '#timestamp': 'timestamp'
+      },
+      ExpressionAttributeValues: {
+        ':campaignId': campaignId,
+        ':from': from.toISOString(),
+        ':to': to.toISOString()
+      },
+      ScanIndexForward: true // Oldest first for time series
+    })
+  ]);
+
+  const qrCodes = userQRCodes.filter(item => item.campaignId === campaignId);
+  const urls = userURLs.filter(item => item.campaignId === campaignId);
+
+  // Process scans and clicks by day, country and asset
+  const activityByDay = {};
+  const activityByCountry = {};
+  const scansByQRCode = {};
+  const clicksByURL = {};
+  let totalScans = 0;
+  let totalClicks = 0;
+
+  events.forEach(event => {
+    if (event.userId !== userId) return;
+
+    let field;
+    if (event.eventType === 'qr_scanned') {
+      field = 'scans';
+      totalScans++;
+      scansByQRCode[event.qrId] = (scansByQRCode[event.qrId] || 0) + 1;
+    } else if (event.eventType === 'url_clicked') {
+      field = 'clicks';
+      totalClicks++;
+      clicksByURL[event.shortCode] = (clicksByURL[event.shortCode] || 0) + 1;
+    } else {
+      return;
+    }
+
+    const day = event.timestamp.split('T')[0]; // Get YYYY-MM-DD
+    activityByDay[day] = activityByDay[day] || { scans: 0, clicks: 0 };
+    activityByDay[day][field]++;
+
+    const country = event.metadata?.country || 'Unknown';
+    activityByCountry[country] = (activityByCountry[country] || 0) + 1;
+  });
+
+  const total = totalScans + totalClicks;
+
+  // Every QR code and short link in the campaign, busiest first
+  const assets = [
+    ...qrCodes.map(qr => ({
+      type: 'qr',
+      qrId: qr.qrId,
+      name: qr.name,
+      folder: qr.folder,
+      tags: qr.tags,
+      hits: scansByQRCode[qr.qrId] || 0
+    })),
+    ...urls.map(url => ({
+      type: 'url',
+      shortCode: url.shortCode,
+      name: url.title,
+      folder: url.folder,
+      tags: url.tags,
+      hits: clicksByURL[url.shortCode] || 0
+    }))
+  ].map(asset => ({ ...asset, share: total > 0 ? asset.hits / total : 0 }))
+    .sort((a, b) => b.hits - a.hits);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      campaign: {
+        campaignId: campaign.campaignId,
+        name: campaign.name,
+        description: campaign.description,
+        createdAt: campaign.createdAt
+      },
+      analytics: {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        qrCodes: qrCodes.length,
+        urls: urls.length,
+        totalScans,
+        totalClicks,
+        total,
+        activityByDay: Object.entries(activityByDay)
+          .map(([date, counts]) => ({ date, ...counts, total: counts.scans + counts.clicks }))
+          .sort((a, b) => a.date.localeCompare(b.date)),
+        activityByCountry: Object.entries(activityByCountry)
+          .map(([country, count]) => ({ country, count }))
+          .sort((a, b) => b.count - a.count)
+          .slice(0, 10), // Top 10 countries
+        assets
+      }
+    })
+  };
+}
+
 // Get dashboard analytics overview for all user's URLs
 async function getDashboardAnalytics(event, userId, headers) {
   // Get all URLs for this user
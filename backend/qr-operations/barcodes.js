@@ -0,0 +1,287 @@
+/**
+ * Barcode Symbologies
+ *
+ * QR codes are drawn by qr-style.js. The other symbologies are encoded
+ * with bwip-js (Barcode Writer in Pure PostScript) and turned into the
+ * same scene structure, so renderer.js produces every format for them:
+ * - 2D (Data Matrix, Aztec, PDF417): bwip-js returns a module matrix
+ * - linear (Code 128, EAN-13): bwip-js returns bar/space widths and bar
+ *   heights in inches, drawn here at 72 modules per inch with the
+ *   human-readable text underneath
+ *
+ * Scenes are in module units like QR scenes. `total` is the symbol width
+ * with its quiet zone, so `customization.size` sets the barcode width.
+ */
+
+const bwipjs = require('bwip-js');
+
+// matrix: 2D symbologies that can carry URLs and structured payloads
+// dynamic: whether dynamic (redirect URL) codes make sense
+// quietZone: default margin in modules and the minimum scanners need
+const SYMBOLOGIES = {
+  qrcode: {
+    name: 'QR Code',
+    matrix: true,
+    dynamic: true,
+    quietZone: { default: 4, minimum: 2 }
+  },
+  datamatrix: {
+    name: 'Data Matrix',
+    bcid: 'datamatrix',
+    matrix: true,
+    dynamic: true,
+    maxBytes: 1556,
+    quietZone: { default: 2, minimum: 1 }
+  },
+  aztec: {
+    name: 'Aztec',
+    bcid: 'azteccode',
+    matrix: true,
+    dynamic: true,
+    maxBytes: 1914,
+    quietZone: { default: 2, minimum: 0 }
+  },
+  pdf417: {
+    name: 'PDF417',
+    bcid: 'pdf417',
+    matrix: true,
+    dynamic: true,
+    maxBytes: 1100,
+    quietZone: { default: 2, minimum: 2 }
+  },
+  code128: {
+    name: 'Code 128',
+    bcid: 'code128',
+    matrix: false,
+    dynamic: false,
+    maxLength: 80,
+    quietZone: { default: 10, minimum: 10 }
+  },
+  ean13: {
+    name: 'EAN-13',
+    bcid: 'ean13',
+    matrix: false,
+    dynamic: false,
+    quietZone: { default: 11, minimum: 11 }
+  }
+};
+
+const DEFAULT_SYMBOLOGY = 'qrcode';
+
+// Customization fields that only mean something for QR codes
+const QR_ONLY_FIELDS = ['moduleShape', 'eyeShape', 'eyeColor', 'gradient', 'logo', 'frame', 'errorCorrection'];
+
+const TEXT_FONT = { font: 'mono', fontWeight: 'normal' };
+const MODULES_PER_INCH = 72;
+
+/**
+ * EAN-13 check digit for the first 12 digits
+ */
+function ean13CheckDigit(digits) {
+  const sum = [...digits.slice(0, 12)].reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Check content against a symbology's character set and capacity
+ * Returns { content } (EAN-13 gets its check digit appended) or { error }
+ */
+function normalizeContent(symbology, content) {
+  const spec = SYMBOLOGIES[symbology];
+  const text = String(content);
+
+  if (symbology === 'ean13') {
+    const digits = text.replace(/[\s-]/g, '');
+    if (!/^\d{12,13}$/.test(digits)) {
+      return { error: 'EAN-13 content must be 12 digits (check digit added for you) or 13 digits' };
+    }
+
+    const check = ean13CheckDigit(digits);
+    if (digits.length === 13 && digits[12] !== check) {
+      return { error: `EAN-13 check digit is wrong: ${digits.slice(0, 12)} should end in ${check}, not ${digits[12]}` };
+    }
+
+    return { content: digits.slice(0, 12) + check };
+  }
+
+  if (symbology === 'code128') {
+    if (!/^[\x20-\x7E]+$/.test(text)) {
+      return { error: 'Code 128 content may only contain printable ASCII characters (letters, digits, spaces and punctuation)' };
+    }
+    if (text.length > spec.maxLength) {
+      return { error: `Code 128 content must be at most ${spec.maxLength} characters; use a 2D symbology for longer data` };
+    }
+  }
+
+  if (spec.maxBytes && Buffer.byteLength(text) > spec.maxBytes) {
+    return { error: `${spec.name} content must be at most ${spec.maxBytes} bytes` };
+  }
+
+  if (symbology !== DEFAULT_SYMBOLOGY) {
+    // Let the encoder reject anything the checks above can't see
+    try {
+      encode(symbology, text);
+    } catch (error) {
+      return { error: `${spec.name} cannot encode this content: ${String(error.message || error).replace(/^bwipp\.\w+#\d+:\s*/, '')}` };
+    }
+  }
+
+  return { content: text };
+}
+
+/**
+ * Check a symbology name and the customization fields it supports
+ * Returns an error message, or null
+ */
+function validate(symbology, customization = {}) {
+  if (!SYMBOLOGIES[symbology]) {
+    return `symbology must be one of: ${Object.keys(SYMBOLOGIES).join(', ')}`;
+  }
+
+  if (symbology === DEFAULT_SYMBOLOGY) return null;
+
+  const unsupported = QR_ONLY_FIELDS.filter(field => customization[field] !== undefined && customization[field] !== null);
+  if (unsupported.length > 0) {
+    return `${unsupported.join(', ')} ${unsupported.length === 1 ? 'is' : 'are'} only available for QR codes`;
+  }
+
+  if (customization.showText !== undefined && typeof customization.showText !== 'boolean') {
+    return 'showText must be true or false';
+  }
+
+  return null;
+}
+
+/**
+ * Drop the customization fields a symbology can't use
+ * Lets a QR design preset supply colors and size for other barcodes
+ */
+function supportedFields(symbology, customization = {}) {
+  if (symbology === DEFAULT_SYMBOLOGY) return customization;
+
+  return Object.fromEntries(Object.entries(customization).filter(([field]) => !QR_ONLY_FIELDS.includes(field)));
+}
+
+/**
+ * Quiet zone in modules for a symbology
+ */
+function getMargin(symbology, customization = {}) {
+  return customization.margin ?? SYMBOLOGIES[symbology].quietZone.default;
+}
+
+function encode(symbology, text, includetext = false) {
+  // bwip-js encodes non-ASCII text as UTF-8 bytes
+  return bwipjs.raw({
+    bcid: SYMBOLOGIES[symbology].bcid,
+    text,
+    includetext
+  })[0];
+}
+
+/**
+ * Build a scene for a non-QR symbology
+ * `measure(text, fontSize, font)` returns text width in module units
+ */
+function buildScene(symbology, content, customization = {}, measure) {
+  const margin = getMargin(symbology, customization);
+  const showText = !SYMBOLOGIES[symbology].matrix && customization.showText !== false;
+  const raw = encode(symbology, content, showText);
+  const color = customization.foregroundColor || '#000000';
+
+  const scene = raw.pixs ? matrixScene(raw, margin) : linearScene(raw, margin, showText, measure);
+  scene.texts.forEach(text => { text.color = color; });
+
+  return {
+    ...scene,
+    total: scene.width,
+    margin,
+    background: customization.backgroundColor || '#FFFFFF',
+    crisp: true,
+    layers: [{ fill: { color }, evenOdd: false, segments: scene.segments }],
+    logoBox: null
+  };
+}
+
+function matrixScene(raw, margin) {
+  const segments = [];
+
+  // One rectangle per horizontal run of dark modules
+  for (let y = 0; y < raw.pixy; y++) {
+    let x = 0;
+    while (x < raw.pixx) {
+      if (!raw.pixs[y * raw.pixx + x]) {
+        x++;
+        continue;
+      }
+      const start = x;
+      while (x < raw.pixx && raw.pixs[y * raw.pixx + x]) x++;
+      segments.push(...rect(margin + start, margin + y, x - start, 1));
+    }
+  }
+
+  return {
+    width: raw.pixx + margin * 2,
+    height: raw.pixy + margin * 2,
+    segments,
+    texts: []
+  };
+}
+
+function linearScene(raw, margin, showText, measure) {
+  // bwip-js measures heights upwards from the bar baseline, in inches
+  const tops = raw.bhs.map((height, i) => (height + raw.bbs[i]) * MODULES_PER_INCH);
+  const top = Math.max(...tops);
+  const segments = [];
+  let x = 0;
+
+  raw.sbs.forEach((width, i) => {
+    if (i % 2 === 0) {
+      const bar = i / 2;
+      const bottom = raw.bbs[bar] * MODULES_PER_INCH;
+      segments.push(...rect(margin + x, margin + top - tops[bar], width, tops[bar] - bottom));
+    }
+    x += width;
+  });
+
+  // EAN digits keep the horizontal slots bwip-js assigns them; Code 128
+  // text has none and is centered. Either way the text hangs just below
+  // the shorter bars (roughly cap height plus a gap)
+  const labels = showText ? raw.txt.map(([text, tx, ty, , size]) => ({
+    text,
+    size,
+    x: typeof ty === 'number' ? tx : (x - measure(text, size, TEXT_FONT)) / 2,
+    baseline: -(size * 0.72 + 2)
+  })) : [];
+
+  const texts = labels.map(label => ({
+    ...TEXT_FONT,
+    text: label.text,
+    fontSize: label.size,
+    x: margin + label.x,
+    y: margin + top - label.baseline
+  }));
+
+  // Leave a little room under the text baseline
+  const lowest = Math.min(0, ...raw.bbs.map(bottom => bottom * MODULES_PER_INCH), ...labels.map(label => label.baseline - 2));
+
+  return {
+    width: x + margin * 2,
+    height: top - lowest + margin * 2,
+    segments,
+    texts
+  };
+}
+
+function rect(x, y, w, h) {
+  return [['M', x, y], ['L', x + w, y], ['L', x + w, y + h], ['L', x, y + h], ['Z']];
+}
+
+module.exports = {
+  SYMBOLOGIES,
+  DEFAULT_SYMBOLOGY,
+  normalizeContent,
+  validate,
+  supportedFields,
+  getMargin,
+  buildScene
+};
@@ -0,0 +1,208 @@
+/**
+ * Bulk QR Code Helpers
+ *
+ * Parses bulk create requests (CSV text or a JSON array) into one create
+ * body per row, and packages the results as a ZIP with a manifest CSV.
+ *
+ * CSV files need a header row naming their columns (content, name, type,
+ * symbology, contentType and its fields, customization overrides, folder,
+ * tags, campaignId). Batch-wide folder, tags and campaignId apply to rows
+ * that leave them empty.
+ * Headerless files are read as `content,name,type` for compatibility with
+ * the old `url,title` upload format.
+ */
+
+const JSZip = require('jszip');
+
+const MAX_ROWS = 500;
+
+// CSV columns copied into the row's customization
+const CUSTOMIZATION_COLUMNS = [
+  'size',
+  'margin',
+  'foregroundColor',
+  'backgroundColor',
+  'errorCorrection',
+  'moduleShape',
+  'eyeShape',
+  'eyeColor'
+];
+
+const NUMERIC_COLUMNS = ['size', 'margin'];
+
+const MANIFEST_COLUMNS = ['row', 'status', 'qrId', 'name', 'type', 'symbology', 'content', 'redirectUrl', 'qrUrl', 'file', 'error'];
+
+/**
+ * Parse RFC 4180 CSV text into an array of string arrays
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn a bulk request into create bodies, one per row
+ * Accepts { csv } or { items }, plus batch-wide `type`, `format`,
+ * `symbology`, `presetId` and `customization` defaults. Returns { rows } or { error }
+ */
+function parseBulkRequest(body) {
+  let records;
+
+  if (typeof body.csv === 'string') {
+    const table = parseCsv(body.csv);
+    if (table.length === 0) {
+      return { error: 'CSV is empty' };
+    }
+
+    const first = table[0].map(h => h.trim());
+    const hasHeader = first.some(h => ['content', 'url', 'contenttype'].includes(h.toLowerCase()));
+    const columns = hasHeader ? first : ['content', 'name', 'type'];
+    const dataRows = hasHeader ? table.slice(1) : table;
+
+    records = dataRows.map(values => {
+      const record = {};
+      columns.forEach((column, i) => {
+        const value = (values[i] || '').trim();
+        if (column && value !== '') record[column] = value;
+      });
+      return record;
+    });
+  } else if (Array.isArray(body.items)) {
+    records = body.items;
+  } else {
+    return { error: 'Provide either csv (CSV text) or items (JSON array)' };
+  }
+
+  if (records.length === 0) {
+    return { error: 'No rows to create' };
+  }
+
+  if (records.length > MAX_ROWS) {
+    return { error: `Maximum ${MAX_ROWS} rows per batch (got ${records.length}). Please split your file.` };
+  }
+
+  const rows = records.map(record => toCreateBody(record || {}, body));
+  return { rows };
+}
+
+function toCreateBody(record, batch) {
+  const overrides = {};
+  CUSTOMIZATION_COLUMNS.forEach(column => {
+    if (record[column] === undefined) return;
+    overrides[column] = NUMERIC_COLUMNS.includes(column) ? Number(record[column]) : record[column];
+  });
+
+  return {
+    ...record,
+    // `url` and `title` come from the original bulk upload format
+    content: record.content || record.url,
+    name: record.name || record.title,
+    type: record.type || batch.type,
+    symbology: record.symbology || batch.symbology,
+    format: batch.format,
+    force: record.force ?? batch.force,
+    presetId: record.presetId || batch.presetId,
+    folder: record.folder || batch.folder,
+    tags: record.tags || batch.tags,
+    campaignId: record.campaignId || batch.campaignId,
+    customization: {
+      ...batch.customization,
+      ...(typeof record.customization === 'object' ? record.customization : {}),
+      ...overrides
+    }
+  };
+}
+
+/**
+ * Build a CSV string from a header list and row objects
+ */
+function toCsv(columns, rows) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * File name for a row's image inside the ZIP
+ */
+function fileName(row, name, extension) {
+  const slug = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+
+  return `${String(row).padStart(4, '0')}${slug ? `-${slug}` : ''}.${extension}`;
+}
+
+/**
+ * Package rendered images and the manifest into a ZIP buffer
+ * `results` entries carry `files` ({ name: Buffer }) for created rows
+ */
+async function buildZip(results) {
+  const zip = new JSZip();
+
+  results.forEach(result => {
+    Object.entries(result.files || {}).forEach(([name, buffer]) => {
+      zip.file(`images/${name}`, buffer);
+    });
+  });
+
+  zip.file('manifest.csv', toCsv(MANIFEST_COLUMNS, results));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+  MAX_ROWS,
+  MANIFEST_COLUMNS,
+  parseCsv,
+  parseBulkRequest,
+  toCsv,
+  fileName,
+  buildZip
+};
@@ -12,7 +12,7 @@ def create_lambda_package():
 
     with zipfile.ZipFile(zip_path, 'w', zipfile.ZIP_DEFLATED) as zipf:
         # Add main files
-        for file in ['index.js', 'rate-limiter.js', 'package.json']:
+        for file in ['index.js', 'rate-limiter.js', 'renderer.js', 'qr-style.js', 'payloads.js', 'bulk.js', 'scannability.js', 'fonts.js', 'print.js', 'barcodes.js', 'reader.js', 'payments.js', 'routing-rules.js', 'split-test.js', 'schedule.js', 'lifecycle.js', 'unlock.js', 'pages.js', 'destination-versions.js', 'record-cache.js', 'organize.js', 'list-query.js', 'package.json']:
             if os.path.exists(file):
                 zipf.write(file, file)
                 print(f'Added: {file}')
@@ -28,6 +28,9 @@ def create_lambda_package():
                     # Skip unnecessary files
                     if file.endswith(('.md', '.txt', '.map', '.ts', '.yml', '.yaml')):
                         continue
+                    # Frame captions only read the .woff files from @fontsource
+                    if file.endswith('.woff2'):
+                        continue
                     if file.startswith('.'):
                         continue
 
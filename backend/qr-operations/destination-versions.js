@@ -0,0 +1,106 @@
+/**
+ * Shared Destination Versions Module
+ *
+ * Keeps every destination a dynamic QR code or short link has pointed at,
+ * so owners can see what changed, when and by whom, and roll back:
+ *
+ *   destinationVersion: 3,
+ *   destinationVersions: [
+ *     { version: 1, url, changedAt, changedBy, startCount: 0 },
+ *     { version: 2, url, pageId, changedAt, changedBy, startCount: 412 },
+ *     { version: 3, url, changedAt, changedBy, startCount: 980, rollbackOf: 1 }
+ *   ]
+ *
+ * The last entry is the current destination. A rollback adds a new
+ * version copying the old one, so the history is never rewritten. Each
+ * version stores the record's scan or click count when it went live, so
+ * the count per version is the difference to the next one. Redirects
+ * record `version` on their analytics event for exact per-version stats.
+ *
+ * Records from before versions were kept get a version 1 built from the
+ * current destination. Only the newest MAX_VERSIONS are stored.
+ *
+ * Copied into each Lambda that redirects visitors (qr-operations and
+ * url-operations); keep those copies identical to this file.
+ */
+
+const MAX_VERSIONS = 50;
+
+/**
+ * Stored versions of a record, oldest first
+ * `field` holds the destination URL (content or originalUrl)
+ */
+function versionsOf(record, field) {
+  if (Array.isArray(record.destinationVersions) && record.destinationVersions.length > 0) {
+    return record.destinationVersions;
+  }
+
+  return [{
+    version: 1,
+    url: record[field],
+    ...(record.pageId ? { pageId: record.pageId } : {}),
+    changedAt: toIso(record.createdAt),
+    changedBy: record.userId,
+    startCount: 0
+  }];
+}
+
+/**
+ * The first version of a new destination
+ * `change` is { url, pageId?, changedBy }
+ */
+function firstVersion(change) {
+  return [entry(1, change, 0)];
+}
+
+/**
+ * Versions after changing a record's destination
+ * `counter` is the hit count field (scans or clicks) and `change` is
+ * { url, pageId?, changedBy, rollbackOf? }. Returns { version, versions }
+ * with the new version last
+ */
+function addVersion(record, field, counter, change) {
+  const versions = versionsOf(record, field);
+  const version = versions[versions.length - 1].version + 1;
+
+  return {
+    version,
+    versions: [...versions, entry(version, change, record[counter] || 0)].slice(-MAX_VERSIONS)
+  };
+}
+
+function entry(version, change, startCount) {
+  return {
+    version,
+    url: change.url,
+    ...(change.pageId ? { pageId: change.pageId } : {}),
+    changedAt: new Date().toISOString(),
+    changedBy: change.changedBy,
+    ...(change.rollbackOf ? { rollbackOf: change.rollbackOf } : {}),
+    startCount
+  };
+}
+
+/**
+ * Versions newest first, each with its hit count under `counter`
+ * `total` is the record's current count
+ */
+function withCounts(versions, total, counter) {
+  return versions.map((version, i) => {
+    const end = i + 1 < versions.length ? versions[i + 1].startCount : total || 0;
+    return { ...version, [counter]: Math.max(0, end - version.startCount) };
+  }).reverse();
+}
+
+function toIso(time) {
+  const date = new Date(time);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+module.exports = {
+  MAX_VERSIONS,
+  versionsOf,
+  firstVersion,
+  addVersion,
+  withCounts
+};
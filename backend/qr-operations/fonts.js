@@ -0,0 +1,142 @@
+/**
+ * Frame Caption Fonts
+ *
+ * Frame captions are converted to vector outlines with opentype.js so
+ * SVG, PNG, PDF and EPS all show the same glyphs without relying on fonts
+ * installed where the image is opened (or on the Lambda, which has none).
+ *
+ * The bundled families are the Latin subsets of Roboto, Roboto Slab and
+ * Roboto Mono from @fontsource; qr-style.js lists the same names for the
+ * browser preview.
+ */
+
+const fs = require('fs');
+const opentype = require('opentype.js');
+
+const FONT_PACKAGES = {
+  sans: 'roboto',
+  serif: 'roboto-slab',
+  mono: 'roboto-mono'
+};
+
+const WEIGHTS = {
+  normal: 400,
+  bold: 700
+};
+
+const loaded = new Map();
+
+/**
+ * Load (once per container) the font for a caption's font and weight
+ */
+function getFont(font = 'sans', fontWeight = 'bold') {
+  const name = FONT_PACKAGES[font] || FONT_PACKAGES.sans;
+  const weight = WEIGHTS[fontWeight] || WEIGHTS.bold;
+  const key = `${name}-${weight}`;
+
+  if (!loaded.has(key)) {
+    const file = require.resolve(`@fontsource/${name}/files/${name}-latin-${weight}-normal.woff`);
+    const buffer = fs.readFileSync(file);
+    loaded.set(key, opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)));
+  }
+
+  return loaded.get(key);
+}
+
+/**
+ * Characters of `text` the chosen font cannot draw
+ */
+function missingCharacters(text, font, fontWeight) {
+  const face = getFont(font, fontWeight);
+  return [...new Set([...String(text)].filter(char => char.trim() !== '' && face.charToGlyphIndex(char) === 0))];
+}
+
+/**
+ * Position each glyph of a single-line caption, applying kerning
+ * opentype.js 1.x text shaping fails on the Roboto GSUB tables, and
+ * captions are short Latin strings that need no substitutions anyway
+ */
+function layout(face, text, fontSize) {
+  const scale = fontSize / face.unitsPerEm;
+  const glyphs = [...String(text)].map(char => face.charToGlyph(char));
+  const placed = [];
+  let x = 0;
+
+  glyphs.forEach((glyph, i) => {
+    placed.push({ glyph, x });
+    x += glyph.advanceWidth * scale;
+    if (glyphs[i + 1]) x += face.getKerningValue(glyph, glyphs[i + 1]) * scale;
+  });
+
+  return { glyphs: placed, width: x };
+}
+
+/**
+ * Advance width of a caption at the given font size (same units as the size)
+ */
+function measure(text, fontSize, frame) {
+  return layout(getFont(frame.font, frame.fontWeight), text, fontSize).width;
+}
+
+/**
+ * Replace a scene's captions with filled outline layers
+ */
+function outlineTexts(scene) {
+  if (!scene.texts || scene.texts.length === 0) return scene;
+
+  const layers = scene.texts.map(text => {
+    const { glyphs } = layout(getFont(text.font, text.fontWeight), text.text, text.fontSize);
+    return {
+      fill: { color: text.color },
+      // TrueType outlines are wound for the nonzero rule
+      evenOdd: false,
+      segments: glyphs.flatMap(({ glyph, x }) =>
+        toSegments(glyph.getPath(text.x + x, text.y, text.fontSize).commands))
+    };
+  });
+
+  return { ...scene, layers: [...scene.layers, ...layers], texts: [] };
+}
+
+/**
+ * Convert opentype.js path commands into scene segments
+ * Quadratic curves become cubics so renderers only handle M, L, C and Z
+ */
+function toSegments(commands) {
+  const segments = [];
+  let x = 0;
+  let y = 0;
+
+  commands.forEach(c => {
+    switch (c.type) {
+      case 'M':
+      case 'L':
+        segments.push([c.type, c.x, c.y]);
+        break;
+      case 'Q':
+        segments.push([
+          'C',
+          x + (2 / 3) * (c.x1 - x), y + (2 / 3) * (c.y1 - y),
+          c.x + (2 / 3) * (c.x1 - c.x), c.y + (2 / 3) * (c.y1 - c.y),
+          c.x, c.y
+        ]);
+        break;
+      case 'C':
+        segments.push(['C', c.x1, c.y1, c.x2, c.y2, c.x, c.y]);
+        break;
+      case 'Z':
+        segments.push(['Z']);
+        return;
+    }
+    x = c.x;
+    y = c.y;
+  });
+
+  return segments;
+}
+
+module.exports = {
+  missingCharacters,
+  measure,
+  outlineTexts
+};
@@ -1,29 +1,100 @@
 const AWS = require('aws-sdk');
-const QRCode = require('qrcode');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const jwt = require('jsonwebtoken');
 const rateLimiter = require('./rate-limiter');
+const renderer = require('./renderer');
+const payloads = require('./payloads');
+const bulk = require('./bulk');
+const scannability = require('./scannability');
+const barcodes = require('./barcodes');
+const reader = require('./reader');
+const routingRules = require('./routing-rules');
+const schedules = require('./schedule');
+const splitTest = require('./split-test');
+const lifecycle = require('./lifecycle');
+const unlock = require('./unlock');
+const pages = require('./pages');
+const destinationVersions = require('./destination-versions');
+const recordCache = require('./record-cache');
+const organize = require('./organize');
+const listQuery = require('./list-query');
 
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 const s3 = new AWS.S3();
 const JWT_SECRET = process.env.JWT_SECRET;
+const S3_BUCKET = process.env.S3_BUCKET || 'snapitqr-assets';
+
+// Rows rendered in parallel by POST /qr-codes/bulk
+const BULK_CONCURRENCY = 5;
+
+// Earlier image versions listed on the record; older S3 objects are kept
+// but no longer referenced
+const MAX_IMAGE_HISTORY = 20;
+
+// On-demand renders (GET /qr/{id}/image) are cached in S3 under a hash of
+// everything that affects the image. Bump the version when renderer output
+// changes so stale renders are not served
+const RENDER_CACHE_PREFIX = 'renders/';
+const RENDER_CACHE_VERSION = 1;
+
+// Records looked up by redirects (GET /r/{id}) are cached per container.
+// Updates and deletes clear the entry in the container that made them;
+// other containers pick up the change once the entry expires
+const QR_CACHE_TTL_MS = 15 * 1000;
+const QR_CACHE_MAX_ENTRIES = 1000;
+const qrCache = recordCache.createCache({ maxEntries: QR_CACHE_MAX_ENTRIES, ttlMs: QR_CACHE_TTL_MS });
+
+// Saved design presets (brand kits), keyed by userId + presetId
+const PRESETS_TABLE = 'snapitqr-presets';
+const MAX_PRESETS = 50;
+
+// Hosted landing pages, keyed by pageId and served from /p/{id}
+const PAGES_TABLE = 'snapitqr-pages';
+const MAX_PAGES = 100;
+
+// Campaigns grouping QR codes and short links, keyed by userId + campaignId
+const CAMPAIGNS_TABLE = 'snapitqr-campaigns';
+const MAX_CAMPAIGNS = 200;
+
+// Pending transfers of QR codes and short links between accounts; a
+// transfer not accepted within TRANSFER_TTL_MS expires
+const TRANSFERS_TABLE = 'snapitqr-transfers';
+const TRANSFER_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Search, sorting and paging for GET /qr-codes (see list-query.js)
+const QR_LIST_CONFIG = {
+  sorts: {
+    createdAt: { field: 'createdAt', index: 'userId-createdAt-index' },
+    name: { field: 'sortName', index: 'userId-sortName-index' },
+    scans: { field: 'scans', index: 'userId-scans-index' }
+  },
+  searchFields: ['name', 'content'],
+  types: ['static', 'dynamic'],
+  keyFields: ['qrId', 'userId']
+};
 
+// shortURLs limits match url-operations; they apply to accepted transfers
 const TIER_LIMITS = {
   free: {
     dynamicQRs: 1,
-    staticQRs: Infinity
+    staticQRs: Infinity,
+    shortURLs: 10
   },
   core: {
     dynamicQRs: 50,
-    staticQRs: Infinity
+    staticQRs: Infinity,
+    shortURLs: 1000
   },
   growth: {
     dynamicQRs: 500,
-    staticQRs: Infinity
+    staticQRs: Infinity,
+    shortURLs: 5000
   },
   business: {
     dynamicQRs: Infinity,
-    staticQRs: Infinity
+    staticQRs: Infinity,
+    shortURLs: Infinity
   }
 };
 
@@ -70,20 +141,85 @@ exports.handler = async (event) => {
     const pathParams = event.pathParameters || {};
 
     // Redirect handler for dynamic QR codes (no auth required)
-    if ((resource === '/r/{id}' || path.startsWith('/r/')) && pathParams.id && method === 'GET') {
-      return await redirectQRCode(event);
+    // POST submits the unlock form of a password-protected code. The
+    // /r/{shortCode} route belongs to url-operations, which passes on codes
+    // that are not short links, so the code can arrive under either name
+    const redirectId = pathParams.id || pathParams.shortCode;
+    if ((resource === '/r/{id}' || resource === '/r/{shortCode}' || path.startsWith('/r/')) && redirectId && (method === 'GET' || method === 'POST')) {
+      return await redirectQRCode({ ...event, pathParameters: { ...pathParams, id: redirectId } });
+    }
+
+    // Hosted landing pages (no auth required)
+    if ((resource === '/p/{id}' || path.startsWith('/p/')) && pathParams.id && method === 'GET') {
+      return await servePage(event);
     }
 
-    if ((path === '/qr/generate' || path === '/generate' || path === '/qr-codes' || resource === '/qr-codes') && method === 'POST') {
+    if ((path === '/qr-codes/bulk' || resource === '/qr-codes/bulk') && method === 'POST') {
+      return await bulkGenerateQRCodes(event, userId, userTier, headers);
+    } else if ((path === '/qr/decode' || resource === '/qr/decode' || resource === '/qr-codes/decode') && method === 'POST') {
+      return await decodeQRCode(event, userId, userTier, headers);
+    } else if ((path === '/qr/generate' || path === '/generate' || path === '/qr-codes' || resource === '/qr-codes') && method === 'POST') {
       return await generateQRCode(event, userId, userTier, headers);
     } else if ((path === '/qr/list' || path === '/qr-codes' || resource === '/qr-codes') && method === 'GET') {
       return await listQRCodes(event, userId, headers);
+    } else if ((resource === '/qr/{id}/image' || resource === '/qr-codes/{id}/image') && pathParams.id && method === 'GET') {
+      return await getQRCodeImage(event, headers);
+    } else if ((resource === '/qr/{id}/resolve' || resource === '/qr-codes/{id}/resolve') && pathParams.id && method === 'GET') {
+      return await resolveQRCode(event, userId, headers);
+    } else if ((resource === '/qr/{id}/versions' || resource === '/qr-codes/{id}/versions') && pathParams.id && method === 'GET') {
+      return await listQRCodeVersions(event, userId, headers);
+    } else if ((resource === '/qr/{id}/rollback' || resource === '/qr-codes/{id}/rollback') && pathParams.id && method === 'POST') {
+      return await rollbackQRCode(event, userId, userTier, headers);
+    } else if ((resource === '/qr/{id}/duplicate' || resource === '/qr-codes/{id}/duplicate') && pathParams.id && method === 'POST') {
+      return await duplicateQRCode(event, userId, userTier, headers);
     } else if ((resource === '/qr/{id}' || resource === '/qr-codes/{id}') && pathParams.id && method === 'GET') {
-      return await getQRCode(event, headers);
+      return await getQRCode(event, userId, headers);
     } else if ((resource === '/qr/{id}' || resource === '/qr-codes/{id}') && pathParams.id && method === 'PUT') {
       return await updateQRCode(event, userId, userTier, headers);
     } else if ((resource === '/qr/{id}' || resource === '/qr-codes/{id}') && pathParams.id && method === 'DELETE') {
       return await deleteQRCode(event, userId, headers);
+    } else if ((path === '/presets' || resource === '/presets') && method === 'GET') {
+      return await listPresets(userId, headers);
+    } else if ((path === '/presets' || resource === '/presets') && method === 'POST') {
+      return await createPreset(event, userId, headers);
+    } else if (resource === '/presets/{id}' && pathParams.id && method === 'PUT') {
+      return await updatePreset(event, userId, headers);
+    } else if (resource === '/presets/{id}' && pathParams.id && method === 'DELETE') {
+      return await deletePreset(event, userId, headers);
+    } else if ((path === '/pages' || resource === '/pages') && method === 'GET') {
+      return await listPages(userId, headers);
+    } else if ((path === '/pages' || resource === '/pages') && method === 'POST') {
+      return await createPage(event, userId, headers);
+    } else if (resource === '/pages/{id}' && pathParams.id && method === 'GET') {
+      return await getPage(event, userId, headers);
+    } else if (resource === '/pages/{id}' && pathParams.id && method === 'PUT') {
+      return await updatePage(event, userId, headers);
+    } else if (resource === '/pages/{id}' && pathParams.id && method === 'DELETE') {
+      return await deletePage(event, userId, headers);
+    } else if ((path === '/campaigns' || resource === '/campaigns') && method === 'GET') {
+      return await listCampaigns(userId, headers);
+    } else if ((path === '/campaigns' || resource === '/campaigns') && method === 'POST') {
+      return await createCampaign(event, userId, headers);
+    } else if (resource === '/campaigns/{id}' && pathParams.id && method === 'GET') {
+      return await getCampaignDetails(event, userId, headers);
+    } else if (resource === '/campaigns/{id}' && pathParams.id && method === 'PUT') {
+      return await updateCampaign(event, userId, headers);
+    } else if (resource === '/campaigns/{id}' && pathParams.id && method === 'DELETE') {
+      return await deleteCampaign(event, userId, headers);
+    } else if ((path === '/folders' || resource === '/folders') && method === 'GET') {
+      return await listOrganizers(userId, headers, 'folders');
+    } else if ((path === '/tags' || resource === '/tags') && method === 'GET') {
+      return await listOrganizers(userId, headers, 'tags');
+    } else if ((path === '/transfers' || resource === '/transfers') && method === 'GET') {
+      return await listTransfers(userId, headers);
+    } else if ((path === '/transfers' || resource === '/transfers') && method === 'POST') {
+      return await createTransfer(event, userId, headers);
+    } else if (resource === '/transfers/{id}/accept' && pathParams.id && method === 'POST') {
+      return await acceptTransfer(event, userId, userTier, headers);
+    } else if (resource === '/transfers/{id}/decline' && pathParams.id && method === 'POST') {
+      return await closeTransfer(event, userId, headers, 'declined');
+    } else if (resource === '/transfers/{id}' && pathParams.id && method === 'DELETE') {
+      return await closeTransfer(event, userId, headers, 'cancelled');
     }
 
     return {
@@ -110,19 +246,8 @@ exports.handler = async (event) => {
 
 async function generateQRCode(event, userId, userTier, headers) {
   const body = JSON.parse(event.body || '{}');
-  const { content, type, customization, name } = body;
-
-  if (!content) {
-    return {
-      statusCode: 400,
-      headers,
-      body: JSON.stringify({ error: 'Content is required' })
-    };
-  }
-
-  const qrType = type || 'static';
 
-  // For anonymous users, check IP-based rate limits
+  // For anonymous users, check IP-based rate limits before any rendering work
   if (!userId || userId === 'anonymous') {
     const sourceIp = event.requestContext.identity.sourceIp;
     const userAgent = event.headers?.['User-Agent'] || 'Unknown';
@@ -151,6 +276,21 @@ async function generateQRCode(event, userId, userTier, headers) {
     headers['X-Rate-Limit-Daily-Remaining'] = rateCheck.usage.daily.remaining;
   }
 
+  const prepared = await prepareQRCode(body, userId);
+  if (prepared.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: prepared.error,
+        supportedFormats: prepared.supportedFormats,
+        scannability: prepared.scannability
+      })
+    };
+  }
+
+  const qrType = prepared.type;
+
   // For authenticated users with dynamic QR codes, check tier-based usage limits
   if (qrType === 'dynamic' && userId && userId !== 'anonymous') {
     const usage = await checkUsageLimit(userId, 'dynamicQRs', userTier);
@@ -168,61 +308,8 @@ async function generateQRCode(event, userId, userTier, headers) {
     }
   }
 
-  // Generate QR code
-  const qrId = uuidv4();
-  const options = {
-    errorCorrectionLevel: customization?.errorCorrection || 'M',
-    type: 'image/png',
-    width: customization?.size || 300,
-    margin: customization?.margin || 4,
-    color: {
-      dark: customization?.foregroundColor || '#000000',
-      light: customization?.backgroundColor || '#FFFFFF'
-    }
-  };
-
-  let qrContent = content;
-
-  // For dynamic QR codes, create a redirect URL
-  if (qrType === 'dynamic') {
-    qrContent = `https://api.snapitqr.com/r/${qrId}`;
-  }
-
-  // Generate QR code image
-  const qrBuffer = await QRCode.toBuffer(qrContent, options);
-
-  // Upload to S3
-  const s3Key = `qr-codes/${qrId}.png`;
-  await s3.putObject({
-    Bucket: process.env.S3_BUCKET || 'snapitqr-assets',
-    Key: s3Key,
-    Body: qrBuffer,
-    ContentType: 'image/png'
-  }).promise();
-
-  const qrUrl = `https://${process.env.S3_BUCKET || 'snapitqr-assets'}.s3.amazonaws.com/${s3Key}`;
-
-  // Save to DynamoDB
-  const now = Date.now();
-  const qrRecord = {
-    qrId,
-    userId: userId || 'anonymous',
-    type: qrType,
-    content: qrType === 'dynamic' ? content : qrContent,
-    redirectUrl: qrType === 'dynamic' ? qrContent : undefined,
-    name: name || `QR Code ${new Date().toISOString()}`,
-    qrUrl,
-    customization: customization || {},
-    createdAt: now,
-    updatedAt: now,
-    scans: 0,
-    status: 'active'
-  };
-
-  await dynamodb.put({
-    TableName: 'snapitqr-qrcodes',
-    Item: qrRecord
-  }).promise();
+  const qrRecord = await saveQRCode(prepared, userId, body.name);
+  const { qrId, qrUrl, renditions } = qrRecord;
 
   // Increment usage for dynamic QR codes
   if (qrType === 'dynamic' && userId) {
@@ -253,8 +340,27 @@ async function generateQRCode(event, userId, userTier, headers) {
       success: true,
       qrId,
       qrUrl,
+      renditions,
+      customization: qrRecord.customization,
+      presetId: qrRecord.presetId,
+      contentType: qrRecord.contentType,
+      contentData: qrRecord.contentData,
+      pageId: qrRecord.pageId,
+      folder: qrRecord.folder,
+      tags: qrRecord.tags,
+      campaignId: qrRecord.campaignId,
+      rules: qrRecord.rules,
+      schedule: qrRecord.schedule,
+      variants: qrRecord.variants,
+      activatesAt: qrRecord.activatesAt,
+      expiresAt: qrRecord.expiresAt,
+      maxScans: qrRecord.maxScans,
+      fallbacks: qrRecord.fallbacks,
+      passwordProtected: Boolean(qrRecord.passwordHash),
+      scannability: qrRecord.scannability,
       type: qrType,
-      redirectUrl: qrType === 'dynamic' ? qrContent : undefined,
+      symbology: qrRecord.symbology,
+      redirectUrl: qrRecord.redirectUrl,
       message: qrType === 'static'
         ? 'Static QR code generated successfully'
         : 'Dynamic QR code generated successfully'
@@ -262,255 +368,548 @@ async function generateQRCode(event, userId, userTier, headers) {
   };
 }
 
-async function listQRCodes(event, userId, headers) {
-  if (!userId) {
+// Read an uploaded code (POST /qr/decode) and optionally take it over as a
+// new dynamic QR code pointing at the same destination
+async function decodeQRCode(event, userId, userTier, headers) {
+  if (!userId || userId === 'anonymous') {
     return {
       statusCode: 401,
       headers,
-      body: JSON.stringify({ error: 'Authentication required' })
+      body: JSON.stringify({ error: 'Authentication required to decode QR codes' })
     };
   }
 
-  const params = {
-    TableName: 'snapitqr-qrcodes',
-    IndexName: 'userId-createdAt-index',
-    KeyConditionExpression: 'userId = :userId',
-    ExpressionAttributeValues: {
-      ':userId': userId
-    },
-    ScanIndexForward: false // Most recent first
-  };
-
-  const result = await dynamodb.query(params).promise();
+  // Raw image uploads carry their options in the query string, where
+  // customization is JSON text and flags are strings
+  const contentTypeHeader = event.headers?.['Content-Type'] || event.headers?.['content-type'] || '';
+  const isRawImage = contentTypeHeader.startsWith('image/');
+  const body = isRawImage
+    ? { ...event.queryStringParameters }
+    : JSON.parse(event.body || '{}');
+
+  if (isRawImage) {
+    if (body.customization !== undefined) {
+      try {
+        body.customization = JSON.parse(body.customization);
+      } catch (error) {
+        body.customization = null;
+      }
+      if (!body.customization || typeof body.customization !== 'object' || Array.isArray(body.customization)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'customization must be a JSON object' })
+        };
+      }
+    }
+    body.force = isTruthy(body.force);
+    body.import = isTruthy(body.import);
+  }
+  const image = isRawImage
+    ? Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'binary')
+    : renderer.decodeLogoData(body.image || '');
 
-  return {
-    statusCode: 200,
-    headers,
-    body: JSON.stringify({
-      success: true,
-      qrCodes: result.Items,
-      count: result.Count
-    })
-  };
-}
+  const imageError = await reader.validateImage(image);
+  if (imageError) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: imageError })
+    };
+  }
 
-async function getQRCode(event, headers) {
-  const qrId = event.pathParameters.id;
+  const result = await reader.read(image);
+  if (!result) {
+    return {
+      statusCode: 422,
+      headers,
+      body: JSON.stringify({ error: 'No QR code or barcode could be read from this image. Try a sharper, well-lit photo with the whole code in frame' })
+    };
+  }
 
-  // Table has composite key (qrId + userId), so we need to scan for public access
-  const result = await dynamodb.scan({
-    TableName: 'snapitqr-qrcodes',
-    FilterExpression: 'qrId = :qrId',
-    ExpressionAttributeValues: {
-      ':qrId': qrId
-    },
-    Limit: 1
-  }).promise();
+  // Only web addresses can become redirect targets
+  const importable = /^https?:\/\/\S+$/i.test(result.text);
+  const decoded = { ...result, importable };
 
-  const item = result.Items && result.Items.length > 0 ? result.Items[0] : null;
+  if (!isTruthy(body.import)) {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, decoded })
+    };
+  }
 
-  if (!item) {
+  if (!importable) {
     return {
-      statusCode: 404,
+      statusCode: 400,
       headers,
-      body: JSON.stringify({ error: 'QR code not found' })
+      body: JSON.stringify({
+        error: 'Only codes that contain a web address can be imported as dynamic QR codes',
+        decoded
+      })
     };
   }
 
-  return {
-    statusCode: 200,
-    headers,
+  const symbologyName = barcodes.SYMBOLOGIES[result.symbology].name;
+  const created = await generateQRCode({
+    ...event,
     body: JSON.stringify({
-      success: true,
-      qrCode: item
+      content: result.text,
+      type: 'dynamic',
+      name: body.name || `Imported ${symbologyName}`,
+      format: body.format,
+      presetId: body.presetId,
+      customization: body.customization,
+      force: body.force
     })
+  }, userId, userTier, headers);
+
+  return {
+    ...created,
+    body: JSON.stringify({ ...JSON.parse(created.body), decoded })
   };
 }
 
-async function updateQRCode(event, userId, userTier, headers) {
-  if (!userId || userId === 'anonymous') {
-    return {
-      statusCode: 401,
-      headers,
-      body: JSON.stringify({ error: 'Authentication required to edit QR codes' })
-    };
+/**
+ * Validate a create request, render its PNG and check that it scans
+ * Returns { error } or the prepared fields for saveQRCode()
+ */
+async function prepareQRCode(body, userId, logoCache) {
+  const type = body.type || 'static';
+  const symbology = body.symbology || barcodes.DEFAULT_SYMBOLOGY;
+  let content = body.content;
+
+  if (type !== 'static' && type !== 'dynamic') {
+    return { error: 'type must be static or dynamic' };
   }
 
-  const qrId = event.pathParameters.id;
-  const body = JSON.parse(event.body || '{}');
+  const spec = barcodes.SYMBOLOGIES[symbology];
+  if (!spec) {
+    return { error: `symbology must be one of: ${Object.keys(barcodes.SYMBOLOGIES).join(', ')}` };
+  }
 
-  // Try to get QR code with current userId first
-  let existing = await dynamodb.get({
-    TableName: 'snapitqr-qrcodes',
-    Key: { qrId, userId }
-  }).promise();
+  if (type === 'dynamic' && !spec.dynamic) {
+    return { error: `${spec.name} barcodes cannot hold a redirect URL and must be static` };
+  }
 
-  // If not found, check if it exists with anonymous userId (for migration)
-  if (!existing.Item) {
-    const anonymousCheck = await dynamodb.get({
-      TableName: 'snapitqr-qrcodes',
-      Key: { qrId, userId: 'anonymous' }
-    }).promise();
+  // Device, language and country routing only works through the redirect
+  const routing = routingRules.validateRules(body.rules);
+  if (routing.error) {
+    return { error: routing.error };
+  }
+  if (routing.rules.length > 0 && type !== 'dynamic') {
+    return { error: 'Routing rules need a dynamic QR code' };
+  }
 
-    if (anonymousCheck.Item) {
-      // Migrate anonymous QR code to current user
-      await dynamodb.delete({
-        TableName: 'snapitqr-qrcodes',
-        Key: { qrId, userId: 'anonymous' }
-      }).promise();
+  const scheduled = schedules.validateSchedule(body.schedule);
+  if (scheduled.error) {
+    return { error: scheduled.error };
+  }
+  if (scheduled.schedule && type !== 'dynamic') {
+    return { error: 'Scheduled destinations need a dynamic QR code' };
+  }
 
-      anonymousCheck.Item.userId = userId;
+  const split = splitTest.validateVariants(body.variants);
+  if (split.error) {
+    return { error: split.error };
+  }
+  if (split.variants.length > 0 && type !== 'dynamic') {
+    return { error: 'A/B split destinations need a dynamic QR code' };
+  }
 
-      await dynamodb.put({
-        TableName: 'snapitqr-qrcodes',
-        Item: anonymousCheck.Item
-      }).promise();
+  const limits = lifecycle.validateLifecycle(body);
+  if (limits.error) {
+    return { error: limits.error };
+  }
+  if (Object.keys(limits.set).length > 0 && type !== 'dynamic') {
+    return { error: 'Start dates, expiry and scan limits need a dynamic QR code' };
+  }
 
-      existing.Item = anonymousCheck.Item;
+  // Passwords are checked by the redirect, so only dynamic codes can have one
+  let passwordHash;
+  if (body.password) {
+    if (type !== 'dynamic') {
+      return { error: 'Password protection needs a dynamic QR code' };
     }
+    const passwordError = unlock.validatePassword(body.password);
+    if (passwordError) {
+      return { error: passwordError };
+    }
+    passwordHash = await unlock.hashPassword(body.password);
   }
 
-  if (!existing.Item) {
-    return {
-      statusCode: 404,
-      headers,
-      body: JSON.stringify({ error: 'QR code not found' })
-    };
-  }
+  // Structured payloads (WiFi, vCard, ...) are built and escaped here
+  let payload = null;
+  if (body.contentType) {
+    if (!spec.matrix) {
+      return { error: `${body.contentType} content needs a 2D symbology such as qrcode or datamatrix` };
+    }
 
-  // Check ownership (should always match after migration above)
-  if (existing.Item.userId !== userId) {
-    return {
-      statusCode: 403,
-      headers,
-      body: JSON.stringify({ error: 'Access denied' })
-    };
+    payload = payloads.buildPayload(body.contentType, body);
+    if (payload.error) {
+      return { error: payload.error };
+    }
+
+    if (type === 'dynamic') {
+      return { error: `${body.contentType} QR codes are read directly by the scanner and must be static` };
+    }
+
+    content = payload.content;
   }
 
-  const isConvertingToDynamic = existing.Item.type === 'static' && body.content;
-  const isEditingDynamic = existing.Item.type === 'dynamic' && body.content;
+  // A hosted landing page as the destination; its URL is the content
+  let pageId;
+  if (body.pageId) {
+    if (payload) {
+      return { error: 'Send either pageId or contentType, not both' };
+    }
 
-  // If converting static to dynamic, check usage limits
-  if (isConvertingToDynamic) {
-    const usage = await checkUsageLimit(userId, 'dynamicQRs', userTier || 'free');
-    if (!usage.allowed) {
-      return {
-        statusCode: 403,
-        headers,
-        body: JSON.stringify({
-          error: usage.message,
-          usage: usage.current,
-          limit: usage.limit,
-          upgradeRequired: true,
-          upgradeUrl: 'https://snapitqr.com/#pricing'
-        })
-      };
+    const page = await findPage(String(body.pageId));
+    if (!page || !userId || page.userId !== userId) {
+      return { error: 'Page not found' };
     }
+    pageId = page.pageId;
+    content = pageUrl(pageId);
   }
 
-  // For free tier, enforce once-per-day edit limit on dynamic QR codes
-  if (isEditingDynamic && userTier === 'free') {
-    const lastEditedAt = existing.Item.lastEditedAt || existing.Item.updatedAt || existing.Item.createdAt;
-    const now = Date.now();
-    const hoursSinceLastEdit = (now - lastEditedAt) / (1000 * 60 * 60);
+  if (!content) {
+    return { error: 'Content is required' };
+  }
 
-    if (hoursSinceLastEdit < 24) {
-      const hoursRemaining = Math.ceil(24 - hoursSinceLastEdit);
-      return {
-        statusCode: 429,
-        headers,
-        body: JSON.stringify({
-          error: `Free tier allows editing dynamic QR codes once per day. Please wait ${hoursRemaining} hour(s) or upgrade for unlimited edits.`,
-          hoursRemaining,
-          upgradeRequired: true,
-          upgradeUrl: 'https://snapitqr.com/#pricing'
-        })
-      };
-    }
+  // Folder, tags and campaign only organize the dashboard
+  const folder = organize.validateFolder(body.folder);
+  if (folder.error) {
+    return { error: folder.error };
   }
 
-  // Update the content
-  const updateExpression = [];
-  const expressionAttributeValues = {};
-  const expressionAttributeNames = {};
+  const tags = organize.validateTags(body.tags);
+  if (tags.error) {
+    return { error: tags.error };
+  }
 
-  if (body.content) {
-    updateExpression.push('#content = :content');
-    expressionAttributeNames['#content'] = 'content';
-    expressionAttributeValues[':content'] = body.content;
+  let campaignId;
+  if (body.campaignId) {
+    if (!userId || userId === 'anonymous') {
+      return { error: 'Sign in to add QR codes to a campaign' };
+    }
 
-    // If converting to dynamic, create redirect URL and update type
-    if (isConvertingToDynamic) {
-      const redirectUrl = `https://api.snapitqr.com/r/${qrId}`;
-      updateExpression.push('redirectUrl = :redirectUrl');
-      expressionAttributeValues[':redirectUrl'] = redirectUrl;
-      updateExpression.push('#type = :type');
-      expressionAttributeNames['#type'] = 'type';
-      expressionAttributeValues[':type'] = 'dynamic';
+    const campaign = await getCampaign(userId, String(body.campaignId));
+    if (!campaign) {
+      return { error: 'Campaign not found' };
     }
+    campaignId = campaign.campaignId;
   }
 
-  if (body.name) {
-    updateExpression.push('#name = :name');
-    expressionAttributeNames['#name'] = 'name';
-    expressionAttributeValues[':name'] = body.name;
+  // Dynamic codes encode a redirect URL; everything else is checked
+  // against the symbology's character set and capacity
+  if (type === 'static') {
+    const checked = barcodes.normalizeContent(symbology, content);
+    if (checked.error) {
+      return { error: checked.error };
+    }
+    content = checked.content;
   }
 
-  if (body.status) {
-    updateExpression.push('#status = :status');
-    expressionAttributeNames['#status'] = 'status';
-    expressionAttributeValues[':status'] = body.status;
+  // PNG is always stored for previews, plus any other requested formats
+  const formats = renderer.parseFormats(body.format);
+  const unsupportedFormats = formats.filter(f => !renderer.FORMATS[f]);
+  if (unsupportedFormats.length > 0) {
+    return {
+      error: `Unsupported format: ${unsupportedFormats.join(', ')}`,
+      supportedFormats: Object.keys(renderer.FORMATS)
+    };
+  }
+  if (!formats.includes('png')) {
+    formats.unshift('png');
   }
 
-  if (body.customization) {
-    updateExpression.push('customization = :customization');
-    expressionAttributeValues[':customization'] = body.customization;
+  // Presets supply saved customization; fields sent with the request win.
+  // Requests without any customization get the user's default preset
+  let customization = body.customization || {};
+  let presetId;
+  if (body.presetId || (userId && userId !== 'anonymous' && Object.keys(customization).length === 0)) {
+    if (!userId || userId === 'anonymous') {
+      return { error: 'Sign in to use design presets' };
+    }
+
+    const preset = await getPreset(userId, body.presetId || 'default');
+    if (!preset && body.presetId) {
+      return { error: 'Preset not found' };
+    }
+
+    if (preset) {
+      customization = { ...barcodes.supportedFields(symbology, preset.customization), ...customization };
+      presetId = preset.presetId;
+    }
   }
 
-  updateExpression.push('updatedAt = :updatedAt');
-  expressionAttributeValues[':updatedAt'] = Date.now();
+  const styleError = renderer.validateStyle(customization, symbology) ||
+    renderer.validateForContent(content, customization, symbology);
+  if (styleError) {
+    return { error: styleError };
+  }
 
-  // Track lastEditedAt for rate limiting (only when content changes)
-  if (body.content) {
-    updateExpression.push('lastEditedAt = :lastEditedAt');
-    expressionAttributeValues[':lastEditedAt'] = Date.now();
+  // Logos are stored in S3 and referenced by key on the record
+  const assets = {};
+  if (customization.logo) {
+    const logoResult = await resolveLogo(customization.logo, userId, logoCache);
+    if (logoResult.error) {
+      return { error: logoResult.error };
+    }
+    customization = { ...customization, errorCorrection: 'H', logo: logoResult.logo };
+    assets.logo = logoResult.image;
   }
 
-  await dynamodb.update({
-    TableName: 'snapitqr-qrcodes',
-    Key: { qrId, userId },
-    UpdateExpression: 'SET ' + updateExpression.join(', '),
-    ExpressionAttributeNames: Object.keys(expressionAttributeNames).length > 0 ? expressionAttributeNames : undefined,
-    ExpressionAttributeValues: expressionAttributeValues
-  }).promise();
+  // Dynamic codes encode their redirect URL, so the id is needed to render
+  const qrId = uuidv4();
+  const qrContent = type === 'dynamic' ? `https://api.snapitqr.com/r/${qrId}` : content;
 
-  // Increment usage count if converting to dynamic
-  if (isConvertingToDynamic) {
-    await incrementUsage(userId, 'dynamicQRs');
+  // Decode the real image before anything is stored
+  const rendered = { png: await renderer.render(qrContent, 'png', customization, assets, symbology) };
+  const report = await scannability.check(rendered.png, qrContent, customization, symbology);
+  if (!report.passed && !isTruthy(body.force)) {
+    return {
+      error: 'QR code failed the scannability check. Adjust the colors, logo or margin, or pass force: true to save it anyway',
+      scannability: report
+    };
   }
 
-  // Track analytics event
-  await trackAnalyticsEvent({
-    eventType: isConvertingToDynamic ? 'qr_converted_to_dynamic' : 'qr_updated',
+  return {
     qrId,
-    userId,
-    metadata: { changes: Object.keys(body), wasStatic: isConvertingToDynamic }
-  });
+    qrContent,
+    type,
+    symbology,
+    content,
+    contentType: payload ? body.contentType : undefined,
+    contentData: payload ? payload.data : undefined,
+    pageId,
+    folder: folder.folder || undefined,
+    tags: tags.tags.length > 0 ? tags.tags : undefined,
+    campaignId,
+    rules: routing.rules.length > 0 ? routing.rules : undefined,
+    schedule: scheduled.schedule || undefined,
+    variants: split.variants.length > 0 ? split.variants : undefined,
+    lifecycle: limits.set,
+    passwordHash,
+    formats,
+    customization,
+    presetId,
+    assets,
+    rendered,
+    scannability: report
+  };
+}
+
+function isTruthy(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Render a prepared QR code, upload its images and store the record
+ * Pass `files` to also collect the rendered buffers by format
+ */
+async function saveQRCode(prepared, userId, name, files) {
+  const { qrId, qrContent } = prepared;
+
+  // Render every requested format and upload to S3
+  const rendered = files || {};
+  Object.assign(rendered, prepared.rendered);
+  const renditions = await storeRenditions(qrId, 1, qrContent, prepared.formats, prepared.customization, prepared.assets, rendered, prepared.symbology);
+
+  const now = Date.now();
+  const qrName = name || `QR Code ${new Date().toISOString()}`;
+  const qrRecord = {
+    qrId,
+    userId: userId || 'anonymous',
+    type: prepared.type,
+    symbology: prepared.symbology,
+    content: prepared.content,
+    redirectUrl: prepared.type === 'dynamic' ? qrContent : undefined,
+    contentType: prepared.contentType,
+    contentData: prepared.contentData,
+    pageId: prepared.pageId,
+    folder: prepared.folder,
+    tags: prepared.tags,
+    campaignId: prepared.campaignId,
+    rules: prepared.rules,
+    schedule: prepared.schedule,
+    variants: prepared.variants,
+    ...prepared.lifecycle,
+    passwordHash: prepared.passwordHash,
+    destinationVersion: prepared.type === 'dynamic' ? 1 : undefined,
+    destinationVersions: prepared.type === 'dynamic'
+      ? destinationVersions.firstVersion({ url: prepared.content, pageId: prepared.pageId, changedBy: userId || 'anonymous' })
+      : undefined,
+    name: qrName,
+    sortName: listQuery.toSortName(qrName),
+    qrUrl: renditions.png.url,
+    renditions,
+    imageVersion: 1,
+    customization: prepared.customization,
+    presetId: prepared.presetId,
+    scannability: prepared.scannability,
+    createdAt: now,
+    updatedAt: now,
+    scans: 0,
+    status: 'active'
+  };
+
+  await dynamodb.put({
+    TableName: 'snapitqr-qrcodes',
+    Item: qrRecord
+  }).promise();
+
+  return qrRecord;
+}
+
+async function bulkGenerateQRCodes(event, userId, userTier, headers) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required for bulk generation' })
+    };
+  }
+
+  // Raw CSV uploads carry batch options in the query string
+  const contentTypeHeader = event.headers?.['Content-Type'] || event.headers?.['content-type'] || '';
+  const body = contentTypeHeader.startsWith('text/csv')
+    ? { ...event.queryStringParameters, csv: event.body || '' }
+    : JSON.parse(event.body || '{}');
+
+  const parsed = bulk.parseBulkRequest(body);
+  if (parsed.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: parsed.error })
+    };
+  }
+
+  // Upload a batch-wide logo once and let every row reuse it
+  const logoCache = new Map();
+  if (body.customization?.logo) {
+    const logoResult = await resolveLogo(body.customization.logo, userId, logoCache);
+    if (logoResult.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: logoResult.error })
+      };
+    }
+    parsed.rows.forEach(row => {
+      if (row.customization.logo === body.customization.logo) {
+        row.customization.logo = logoResult.logo;
+      }
+    });
+  }
+
+  // Reserve dynamic QR allowance up front so parallel rows can't overshoot it
+  let dynamicRemaining = 0;
+  let usageError = null;
+  if (parsed.rows.some(row => row.type === 'dynamic')) {
+    const usage = await checkUsageLimit(userId, 'dynamicQRs', userTier);
+    if (!usage.allowed) {
+      usageError = usage.message;
+    } else {
+      dynamicRemaining = usage.limit === undefined ? Infinity : usage.limit - usage.current;
+      usageError = `You've reached your dynamicQRs limit of ${usage.limit}. Upgrade to get more!`;
+    }
+  }
+
+  const batchId = uuidv4();
+
+  const createRow = async (rowBody, index) => {
+    const result = { row: index + 1, name: rowBody.name, type: rowBody.type || 'static', symbology: rowBody.symbology, content: rowBody.content };
+
+    try {
+      const prepared = await prepareQRCode(rowBody, userId, logoCache);
+      if (prepared.error) {
+        return { ...result, status: 'failed', error: prepared.error, scannability: prepared.scannability };
+      }
+
+      result.content = prepared.content;
+      result.symbology = prepared.symbology;
+
+      if (prepared.type === 'dynamic') {
+        if (dynamicRemaining <= 0) {
+          return { ...result, status: 'failed', error: usageError };
+        }
+        dynamicRemaining--;
+      }
+
+      const rendered = {};
+      const qrRecord = await saveQRCode(prepared, userId, rowBody.name, rendered);
+
+      if (prepared.type === 'dynamic') {
+        await incrementUsage(userId, 'dynamicQRs');
+      }
+
+      await trackAnalyticsEvent({
+        eventType: 'qr_created',
+        qrId: qrRecord.qrId,
+        userId,
+        metadata: { type: prepared.type, tier: userTier, batchId }
+      });
+
+      const files = {};
+      Object.entries(rendered).forEach(([format, buffer]) => {
+        files[bulk.fileName(index + 1, qrRecord.name, renderer.FORMATS[format].extension)] = buffer;
+      });
+
+      return {
+        ...result,
+        status: 'created',
+        qrId: qrRecord.qrId,
+        name: qrRecord.name,
+        redirectUrl: qrRecord.redirectUrl,
+        qrUrl: qrRecord.qrUrl,
+        file: Object.keys(files).join(' '),
+        files
+      };
+    } catch (error) {
+      console.error(`Bulk row ${index + 1} failed:`, error);
+      return { ...result, status: 'failed', error: 'Internal error creating this row' };
+    }
+  };
+
+  const results = [];
+  for (let i = 0; i < parsed.rows.length; i += BULK_CONCURRENCY) {
+    const chunk = parsed.rows.slice(i, i + BULK_CONCURRENCY);
+    results.push(...await Promise.all(chunk.map((rowBody, j) => createRow(rowBody, i + j))));
+  }
+
+  const created = results.filter(r => r.status === 'created');
+  const failed = results.filter(r => r.status === 'failed');
+
+  // The ZIP holds every image plus a manifest mapping rows to qrIds
+  const zipKey = `bulk/${userId}/${batchId}.zip`;
+  await s3.putObject({
+    Bucket: S3_BUCKET,
+    Key: zipKey,
+    Body: await bulk.buildZip(results),
+    ContentType: 'application/zip',
+    ContentDisposition: `attachment; filename="qr-codes-${batchId}.zip"`
+  }).promise();
 
   return {
-    statusCode: 200,
+    statusCode: created.length > 0 ? 201 : 400,
     headers,
     body: JSON.stringify({
-      success: true,
-      message: isConvertingToDynamic
-        ? 'QR code converted to dynamic successfully'
-        : 'QR code updated successfully',
-      convertedToDynamic: isConvertingToDynamic
+      success: created.length > 0,
+      batchId,
+      count: created.length,
+      failed: failed.length,
+      zipUrl: `https://${S3_BUCKET}.s3.amazonaws.com/${zipKey}`,
+      results: results.map(({ files, ...row }) => row),
+      message: failed.length === 0
+        ? `Created ${created.length} QR codes`
+        : `Created ${created.length} of ${results.length} QR codes; ${failed.length} rows failed`
     })
   };
 }
 
-async function deleteQRCode(event, userId, headers) {
+async function listQRCodes(event, userId, headers) {
   if (!userId) {
     return {
       statusCode: 401,
@@ -519,14 +918,292 @@ async function deleteQRCode(event, userId, headers) {
     };
   }
 
+  const query = event.queryStringParameters || {};
+  const parsed = listQuery.parseListQuery(query, QR_LIST_CONFIG);
+  if (parsed.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: parsed.error })
+    };
+  }
+
+  // ?folder=, ?tag= and ?campaignId= narrow the list along with the search
+  const options = parsed.options;
+  const filters = organize.parseFilters(query);
+  const { items, nextCursor } = await listQuery.listPage(
+    (index, startKey, ascending) => dynamodb.query({
+      TableName: 'snapitqr-qrcodes',
+      IndexName: index,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      },
+      // Cursors only ever continue the caller's own list
+      ExclusiveStartKey: startKey ? { ...startKey, userId } : undefined,
+      ScanIndexForward: ascending
+    }).promise(),
+    options,
+    QR_LIST_CONFIG,
+    item => listQuery.matchesQuery(item, options, QR_LIST_CONFIG) && organize.matchesFilters(item, filters)
+  );
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      qrCodes: items.map(item => toApiRecord(item, userId)),
+      count: items.length,
+      nextCursor
+    })
+  };
+}
+
+async function getQRCode(event, userId, headers) {
+  const item = await findQRCode(event.pathParameters.id);
+
+  if (!item) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'QR code not found' })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      qrCode: toApiRecord(item, userId)
+    })
+  };
+}
+
+// Where a password-protected code leads is only shown to its owner
+const PROTECTED_FIELDS = ['content', 'contentData', 'pageId', 'destinationVersions', 'rules', 'schedule', 'variants', 'fallbacks'];
+
+/**
+ * A QR record as returned by the API, without its password hash
+ */
+function toApiRecord(item, userId) {
+  const { passwordHash, ...record } = item;
+  // Records from before symbologies were added are QR codes
+  record.symbology = record.symbology || barcodes.DEFAULT_SYMBOLOGY;
+  record.passwordProtected = Boolean(passwordHash);
+
+  if (passwordHash && record.userId !== userId) {
+    PROTECTED_FIELDS.forEach(field => { delete record[field]; });
+  }
+
+  return record;
+}
+
+async function findQRCode(qrId) {
+  // Table has composite key (qrId + userId), so public lookups go through
+  // the qrId index
+  const result = await dynamodb.query({
+    TableName: 'snapitqr-qrcodes',
+    IndexName: 'qrId-index',
+    KeyConditionExpression: 'qrId = :qrId',
+    ExpressionAttributeValues: {
+      ':qrId': qrId
+    }
+  }).promise();
+
+  return result.Items && result.Items.length > 0 ? result.Items[0] : null;
+}
+
+/**
+ * findQRCode through the redirect cache
+ * Scan counts on cached records may be a few seconds behind
+ */
+async function findQRCodeCached(qrId) {
+  const cached = qrCache.get(qrId);
+  if (cached) return cached;
+
+  const item = await findQRCode(qrId);
+  if (item) {
+    qrCache.set(qrId, item);
+  }
+  return item;
+}
+
+// Render a saved code on request: GET /qr/{id}/image?format=svg&size=1024
+// Public like GET /qr/{id}, so <img> tags can load it without a token
+async function getQRCodeImage(event, headers) {
+  const query = event.queryStringParameters || {};
+  const format = String(query.format || 'png').toLowerCase();
+
+  if (!renderer.FORMATS[format]) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({
+        error: `Unsupported format: ${format}`,
+        supportedFormats: Object.keys(renderer.FORMATS)
+      })
+    };
+  }
+
+  const size = query.size !== undefined ? Number(query.size) : undefined;
+  if (size !== undefined && (!Number.isInteger(size) || size < renderer.IMAGE_SIZE_LIMITS.min || size > renderer.IMAGE_SIZE_LIMITS.max)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `size must be a whole number of pixels between ${renderer.IMAGE_SIZE_LIMITS.min} and ${renderer.IMAGE_SIZE_LIMITS.max}` })
+    };
+  }
+
+  const item = await findQRCode(event.pathParameters.id);
+  if (!item) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'QR code not found' })
+    };
+  }
+
+  const encoded = item.type === 'dynamic' ? item.redirectUrl : item.content;
+  const symbology = item.symbology || barcodes.DEFAULT_SYMBOLOGY;
+
+  // A pixel size asks for a screen image, so it replaces any print sizing
+  let customization = item.customization || {};
+  if (size) {
+    const { print, ...rest } = customization;
+    customization = { ...rest, size };
+  }
+
+  const hash = crypto.createHash('sha256')
+    .update(canonicalJson([RENDER_CACHE_VERSION, symbology, encoded, format, customization]))
+    .digest('hex');
+  const { contentType, extension, binary } = renderer.FORMATS[format];
+  const imageHeaders = {
+    ...headers,
+    'Access-Control-Expose-Headers': 'ETag',
+    'Content-Type': contentType,
+    // Short max-age: the same URL shows the new image after an edit, and
+    // revalidating with the ETag is cheap
+    'Cache-Control': 'public, max-age=300',
+    ETag: `"${hash}"`
+  };
+
+  const ifNoneMatch = event.headers?.['If-None-Match'] || event.headers?.['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim() === `"${hash}"` || tag.trim() === '*')) {
+    return { statusCode: 304, headers: imageHeaders, body: '' };
+  }
+
+  const image = await getCachedRender(`${RENDER_CACHE_PREFIX}${hash}.${extension}`, async () => {
+    const assets = {};
+    if (customization.logo) {
+      const logoResult = await resolveLogo(customization.logo, item.userId);
+      if (logoResult.error) {
+        throw new Error(`Logo for ${item.qrId} could not be loaded: ${logoResult.error}`);
+      }
+      assets.logo = logoResult.image;
+    }
+    return renderer.render(encoded, format, customization, assets, symbology);
+  }, contentType);
+
+  // SVG and EPS are text and pass through API Gateway as they are
+  return {
+    statusCode: 200,
+    headers: imageHeaders,
+    body: image.toString(binary ? 'base64' : 'utf8'),
+    isBase64Encoded: binary
+  };
+}
+
+// Return a cached render from S3, rendering and storing it on a miss
+async function getCachedRender(key, render, contentType) {
+  try {
+    const object = await s3.getObject({ Bucket: S3_BUCKET, Key: key }).promise();
+    return object.Body;
+  } catch (error) {
+    if (!isMissingObject(error)) throw error;
+  }
+
+  const buffer = await render();
+  await s3.putObject({
+    Bucket: S3_BUCKET,
+    Key: key,
+    Body: buffer,
+    ContentType: contentType,
+    // The key is a content hash, so a cached render never changes
+    CacheControl: 'public, max-age=31536000, immutable'
+  }).promise();
+
+  return buffer;
+}
+
+// Whether an S3 read failed because the key does not exist. Without
+// s3:ListBucket S3 reports a missing key as AccessDenied, not NoSuchKey
+function isMissingObject(error) {
+  return error.code === 'NoSuchKey' || error.code === 'NotFound' || error.code === 'AccessDenied';
+}
+
+// JSON with object keys sorted, so equal customizations hash the same
+// however DynamoDB orders their attributes
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// `options.rollbackOf` marks the new destination as a rollback to that version
+async function updateQRCode(event, userId, userTier, headers, options = {}) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required to edit QR codes' })
+    };
+  }
+
   const qrId = event.pathParameters.id;
+  const body = JSON.parse(event.body || '{}');
 
-  // Get existing QR code (table has composite key: qrId + userId)
-  const existing = await dynamodb.get({
+  // Try to get QR code with current userId first
+  let existing = await dynamodb.get({
     TableName: 'snapitqr-qrcodes',
     Key: { qrId, userId }
   }).promise();
 
+  // If not found, check if it exists with anonymous userId (for migration)
+  if (!existing.Item) {
+    const anonymousCheck = await dynamodb.get({
+      TableName: 'snapitqr-qrcodes',
+      Key: { qrId, userId: 'anonymous' }
+    }).promise();
+
+    if (anonymousCheck.Item) {
+      // Migrate anonymous QR code to current user
+      await dynamodb.delete({
+        TableName: 'snapitqr-qrcodes',
+        Key: { qrId, userId: 'anonymous' }
+      }).promise();
+
+      anonymousCheck.Item.userId = userId;
+      anonymousCheck.Item.customization = await copyLogo(anonymousCheck.Item.customization, userId);
+
+      await dynamodb.put({
+        TableName: 'snapitqr-qrcodes',
+        Item: anonymousCheck.Item
+      }).promise();
+      qrCache.delete(qrId);
+
+      existing.Item = anonymousCheck.Item;
+    }
+  }
+
   if (!existing.Item) {
     return {
       statusCode: 404,
@@ -535,7 +1212,7 @@ async function deleteQRCode(event, userId, headers) {
     };
   }
 
-  // Check ownership
+  // Check ownership (should always match after migration above)
   if (existing.Item.userId !== userId) {
     return {
       statusCode: 403,
@@ -544,50 +1221,2159 @@ async function deleteQRCode(event, userId, headers) {
     };
   }
 
-  // Delete from DynamoDB (composite key: qrId + userId)
-  await dynamodb.delete({
-    TableName: 'snapitqr-qrcodes',
-    Key: { qrId, userId }
-  }).promise();
+  // Records from before symbologies were added are QR codes
+  const symbology = existing.Item.symbology || barcodes.DEFAULT_SYMBOLOGY;
+  const spec = barcodes.SYMBOLOGIES[symbology];
+
+  // A hosted landing page as the destination; its URL becomes the content
+  if (body.pageId) {
+    const page = await findPage(String(body.pageId));
+    if (!page || page.userId !== userId) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Page not found' })
+      };
+    }
+    body.content = pageUrl(page.pageId);
+  }
+
+  // Structured payloads are rebuilt from their fields, merged over the
+  // stored ones so clients can send only what changed
+  let payload = null;
+  if (body.contentType) {
+    if (!spec.matrix) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `${body.contentType} content needs a 2D symbology such as qrcode or datamatrix` })
+      };
+    }
+
+    if (existing.Item.type === 'dynamic') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `${body.contentType} QR codes are read directly by the scanner and must be static` })
+      };
+    }
+
+    const fields = body.contentType === existing.Item.contentType
+      ? { ...existing.Item.contentData, ...body }
+      : body;
+
+    payload = payloads.buildPayload(body.contentType, fields);
+    if (payload.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: payload.error })
+      };
+    }
+  }
+
+  // Symbologies that can't redirect (EAN-13, Code 128) re-encode new content instead
+  let newContent = body.content;
+  if (newContent && !payload && !spec.dynamic) {
+    const checked = barcodes.normalizeContent(symbology, newContent);
+    if (checked.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: checked.error })
+      };
+    }
+    newContent = checked.content;
+  }
+
+  const isReplacingStatic = existing.Item.type === 'static' && newContent && !payload && !spec.dynamic;
+  const isConvertingToDynamic = existing.Item.type === 'static' && newContent && !payload && spec.dynamic;
+  const isEditingDynamic = existing.Item.type === 'dynamic' &&
+    (body.content || body.rules !== undefined || body.schedule !== undefined || body.variants !== undefined);
+
+  // Routing rules replace the stored list; send null or [] to remove them
+  let routing = null;
+  if (body.rules !== undefined) {
+    routing = routingRules.validateRules(body.rules);
+    if (routing.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: routing.error })
+      };
+    }
+
+    if (routing.rules.length > 0 && existing.Item.type !== 'dynamic' && !isConvertingToDynamic) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Routing rules need a dynamic QR code' })
+      };
+    }
+  }
+
+  // A new schedule replaces the stored one; send null to remove it
+  let scheduled = null;
+  if (body.schedule !== undefined) {
+    scheduled = schedules.validateSchedule(body.schedule);
+    if (scheduled.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: scheduled.error })
+      };
+    }
+
+    if (scheduled.schedule && existing.Item.type !== 'dynamic' && !isConvertingToDynamic) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Scheduled destinations need a dynamic QR code' })
+      };
+    }
+  }
+
+  // A/B split variants replace the stored list; send null or [] to stop splitting
+  let split = null;
+  if (body.variants !== undefined) {
+    split = splitTest.validateVariants(body.variants);
+    if (split.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: split.error })
+      };
+    }
+
+    if (split.variants.length > 0 && existing.Item.type !== 'dynamic' && !isConvertingToDynamic) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'A/B split destinations need a dynamic QR code' })
+      };
+    }
+  }
+
+  // Start date, expiry, scan limit and their fallbacks
+  const limits = lifecycle.validateLifecycle(body, existing.Item);
+  if (limits.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: limits.error })
+    };
+  }
+  if (Object.keys(limits.set).length > 0 && existing.Item.type !== 'dynamic' && !isConvertingToDynamic) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Start dates, expiry and scan limits need a dynamic QR code' })
+    };
+  }
+
+  // A new password replaces the old one; send null or '' to remove it
+  let passwordHash;
+  if (body.password) {
+    const passwordError = existing.Item.type !== 'dynamic' && !isConvertingToDynamic
+      ? 'Password protection needs a dynamic QR code'
+      : unlock.validatePassword(body.password);
+    if (passwordError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: passwordError })
+      };
+    }
+    passwordHash = await unlock.hashPassword(body.password);
+  }
+
+  // Folder, tags and campaign replace the stored ones; send null to remove
+  const folder = body.folder !== undefined ? organize.validateFolder(body.folder) : null;
+  const tags = body.tags !== undefined ? organize.validateTags(body.tags) : null;
+  const organizeError = (folder && folder.error) || (tags && tags.error);
+  if (organizeError) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: organizeError })
+    };
+  }
+
+  if (body.campaignId && !(await getCampaign(userId, String(body.campaignId)))) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Campaign not found' })
+    };
+  }
+
+  // If converting static to dynamic, check usage limits
+  if (isConvertingToDynamic) {
+    const usage = await checkUsageLimit(userId, 'dynamicQRs', userTier || 'free');
+    if (!usage.allowed) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+          error: usage.message,
+          usage: usage.current,
+          limit: usage.limit,
+          upgradeRequired: true,
+          upgradeUrl: 'https://snapitqr.com/#pricing'
+        })
+      };
+    }
+  }
+
+  // For free tier, enforce once-per-day edit limit on dynamic QR codes
+  if (isEditingDynamic && userTier === 'free') {
+    const lastEditedAt = existing.Item.lastEditedAt || existing.Item.updatedAt || existing.Item.createdAt;
+    const now = Date.now();
+    const hoursSinceLastEdit = (now - lastEditedAt) / (1000 * 60 * 60);
+
+    if (hoursSinceLastEdit < 24) {
+      const hoursRemaining = Math.ceil(24 - hoursSinceLastEdit);
+      return {
+        statusCode: 429,
+        headers,
+        body: JSON.stringify({
+          error: `Free tier allows editing dynamic QR codes once per day. Please wait ${hoursRemaining} hour(s) or upgrade for unlimited edits.`,
+          hoursRemaining,
+          upgradeRequired: true,
+          upgradeUrl: 'https://snapitqr.com/#pricing'
+        })
+      };
+    }
+  }
+
+  // Update the content
+  const updateExpression = [];
+  const expressionAttributeValues = {};
+  const expressionAttributeNames = {};
+  const removeExpression = [];
+
+  if (payload) {
+    if (existing.Item.pageId) {
+      removeExpression.push('pageId');
+    }
+
+    updateExpression.push('#content = :content', 'contentType = :contentType', 'contentData = :contentData');
+    expressionAttributeNames['#content'] = 'content';
+    expressionAttributeValues[':content'] = payload.content;
+    expressionAttributeValues[':contentType'] = body.contentType;
+    expressionAttributeValues[':contentData'] = payload.data;
+  } else if (body.content) {
+    // Raw content replaces any structured form
+    if (existing.Item.contentType) {
+      removeExpression.push('contentType', 'contentData');
+    }
+
+    updateExpression.push('#content = :content');
+    expressionAttributeNames['#content'] = 'content';
+    expressionAttributeValues[':content'] = newContent;
+
+    // Content that isn't a page URL unlinks the page
+    if (body.pageId) {
+      updateExpression.push('pageId = :pageId');
+      expressionAttributeValues[':pageId'] = String(body.pageId);
+    } else if (existing.Item.pageId) {
+      removeExpression.push('pageId');
+    }
+
+    // Every new redirect destination is kept as a version
+    const change = {
+      url: newContent,
+      pageId: body.pageId ? String(body.pageId) : undefined,
+      changedBy: userId,
+      rollbackOf: options.rollbackOf
+    };
+    let versioned = null;
+    if (isConvertingToDynamic) {
+      versioned = { version: 1, versions: destinationVersions.firstVersion(change) };
+    } else if (existing.Item.type === 'dynamic' && newContent !== existing.Item.content) {
+      versioned = destinationVersions.addVersion(existing.Item, 'content', 'scans', change);
+    }
+    if (versioned) {
+      updateExpression.push('destinationVersion = :destinationVersion', 'destinationVersions = :destinationVersions');
+      expressionAttributeValues[':destinationVersion'] = versioned.version;
+      expressionAttributeValues[':destinationVersions'] = versioned.versions;
+    }
+
+    // If converting to dynamic, create redirect URL and update type
+    if (isConvertingToDynamic) {
+      const redirectUrl = `https://api.snapitqr.com/r/${qrId}`;
+      updateExpression.push('redirectUrl = :redirectUrl');
+      expressionAttributeValues[':redirectUrl'] = redirectUrl;
+      updateExpression.push('#type = :type');
+      expressionAttributeNames['#type'] = 'type';
+      expressionAttributeValues[':type'] = 'dynamic';
+    }
+  }
+
+  if (routing) {
+    if (routing.rules.length > 0) {
+      updateExpression.push('rules = :rules');
+      expressionAttributeValues[':rules'] = routing.rules;
+    } else {
+      removeExpression.push('rules');
+    }
+  }
+
+  if (scheduled) {
+    if (scheduled.schedule) {
+      updateExpression.push('schedule = :schedule');
+      expressionAttributeValues[':schedule'] = scheduled.schedule;
+    } else {
+      removeExpression.push('schedule');
+    }
+  }
+
+  if (split) {
+    if (split.variants.length > 0) {
+      updateExpression.push('variants = :variants');
+      expressionAttributeValues[':variants'] = split.variants;
+    } else {
+      removeExpression.push('variants');
+    }
+  }
+
+  Object.entries(limits.set).forEach(([field, value]) => {
+    updateExpression.push(`${field} = :${field}`);
+    expressionAttributeValues[`:${field}`] = value;
+  });
+  removeExpression.push(...limits.remove);
+
+  if (passwordHash) {
+    updateExpression.push('passwordHash = :passwordHash');
+    expressionAttributeValues[':passwordHash'] = passwordHash;
+  } else if (body.password !== undefined && existing.Item.passwordHash) {
+    removeExpression.push('passwordHash');
+  }
+
+  // Lifecycle fields as stored after this update
+  const lifecycleFields = { ...existing.Item, ...limits.set };
+  limits.remove.forEach(field => { delete lifecycleFields[field]; });
+
+  if (body.name) {
+    updateExpression.push('#name = :name');
+    expressionAttributeNames['#name'] = 'name';
+    expressionAttributeValues[':name'] = body.name;
+    updateExpression.push('sortName = :sortName');
+    expressionAttributeValues[':sortName'] = listQuery.toSortName(body.name);
+  }
+
+  if (folder) {
+    if (folder.folder) {
+      updateExpression.push('folder = :folder');
+      expressionAttributeValues[':folder'] = folder.folder;
+    } else {
+      removeExpression.push('folder');
+    }
+  }
+
+  if (tags) {
+    if (tags.tags.length > 0) {
+      updateExpression.push('tags = :tags');
+      expressionAttributeValues[':tags'] = tags.tags;
+    } else {
+      removeExpression.push('tags');
+    }
+  }
+
+  if (body.campaignId !== undefined) {
+    if (body.campaignId) {
+      updateExpression.push('campaignId = :campaignId');
+      expressionAttributeValues[':campaignId'] = String(body.campaignId);
+    } else {
+      removeExpression.push('campaignId');
+    }
+  }
+
+  if (body.status) {
+    updateExpression.push('#status = :status');
+    expressionAttributeNames['#status'] = 'status';
+    expressionAttributeValues[':status'] = body.status;
+  }
+
+  let logoImage = null;
+  if (body.customization) {
+    // Merge over the stored settings; send a field as null to clear it
+    let customization = { ...existing.Item.customization, ...body.customization };
+
+    const styleError = renderer.validateStyle(customization, symbology);
+    if (styleError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: styleError })
+      };
+    }
+
+    if (customization.logo) {
+      const logoResult = await resolveLogo(customization.logo, userId);
+      if (logoResult.error) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: logoResult.error })
+        };
+      }
+      customization = { ...customization, errorCorrection: 'H', logo: logoResult.logo };
+      logoImage = logoResult.image;
+    }
+
+    updateExpression.push('customization = :customization');
+    expressionAttributeValues[':customization'] = customization;
+  }
+
+  // Redraw the image whenever what it encodes or how it looks changes
+  let imageVersion = existing.Item.imageVersion || 1;
+  if (payload || body.customization || isConvertingToDynamic || isReplacingStatic) {
+    const customization = expressionAttributeValues[':customization'] || existing.Item.customization || {};
+    const assets = {};
+    let encoded;
+    if (payload) {
+      encoded = payload.content;
+    } else if (isReplacingStatic) {
+      encoded = newContent;
+    } else if (isConvertingToDynamic) {
+      encoded = expressionAttributeValues[':redirectUrl'];
+    } else {
+      encoded = existing.Item.type === 'dynamic' ? existing.Item.redirectUrl : existing.Item.content;
+    }
+
+    const contentError = renderer.validateForContent(encoded, customization, symbology);
+    if (contentError) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: contentError })
+      };
+    }
+
+    if (customization.logo) {
+      if (!logoImage) {
+        const logoResult = await resolveLogo(customization.logo, userId);
+        if (logoResult.error) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: logoResult.error })
+          };
+        }
+        logoImage = logoResult.image;
+      }
+      assets.logo = logoImage;
+    }
+
+    const rendered = { png: await renderer.render(encoded, 'png', customization, assets, symbology) };
+    const report = await scannability.check(rendered.png, encoded, customization, symbology);
+    if (!report.passed && !isTruthy(body.force)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'QR code failed the scannability check. Adjust the colors, logo or margin, or pass force: true to save it anyway',
+          scannability: report
+        })
+      };
+    }
+
+    imageVersion++;
+    const formats = Object.keys(existing.Item.renditions || { png: true });
+    const renditions = await storeRenditions(qrId, imageVersion, encoded, formats, customization, assets, rendered, symbology);
+
+    // Records created before renditions existed only have qrUrl
+    const imageHistory = [...(existing.Item.imageHistory || []), {
+      imageVersion: existing.Item.imageVersion || 1,
+      renditions: existing.Item.renditions ||
+        (existing.Item.qrUrl ? { png: { url: existing.Item.qrUrl, contentType: 'image/png' } } : {}),
+      customization: existing.Item.customization || {},
+      replacedAt: Date.now()
+    }].slice(-MAX_IMAGE_HISTORY);
+
+    updateExpression.push(
+      'renditions = :renditions',
+      'qrUrl = :qrUrl',
+      'scannability = :scannability',
+      'imageVersion = :imageVersion',
+      'imageHistory = :imageHistory'
+    );
+    expressionAttributeValues[':renditions'] = renditions;
+    expressionAttributeValues[':qrUrl'] = renditions.png.url;
+    expressionAttributeValues[':scannability'] = report;
+    expressionAttributeValues[':imageVersion'] = imageVersion;
+    expressionAttributeValues[':imageHistory'] = imageHistory;
+  }
+
+  updateExpression.push('updatedAt = :updatedAt');
+  expressionAttributeValues[':updatedAt'] = Date.now();
+
+  // Track lastEditedAt for rate limiting (only when destinations change)
+  if (body.content || payload || routing || scheduled || split) {
+    updateExpression.push('lastEditedAt = :lastEditedAt');
+    expressionAttributeValues[':lastEditedAt'] = Date.now();
+  }
+
+  await dynamodb.update({
+    TableName: 'snapitqr-qrcodes',
+    Key: { qrId, userId },
+    UpdateExpression: 'SET ' + updateExpression.join(', ') +
+      (removeExpression.length > 0 ? ' REMOVE ' + removeExpression.join(', ') : ''),
+    ExpressionAttributeNames: Object.keys(expressionAttributeNames).length > 0 ? expressionAttributeNames : undefined,
+    ExpressionAttributeValues: expressionAttributeValues
+  }).promise();
+  qrCache.delete(qrId);
+
+  // Increment usage count if converting to dynamic
+  if (isConvertingToDynamic) {
+    await incrementUsage(userId, 'dynamicQRs');
+  }
+
+  // Track analytics event
+  await trackAnalyticsEvent({
+    eventType: isConvertingToDynamic ? 'qr_converted_to_dynamic' : options.rollbackOf ? 'qr_rolled_back' : 'qr_updated',
+    qrId,
+    userId,
+    metadata: {
+      changes: Object.keys(body),
+      wasStatic: isConvertingToDynamic,
+      version: expressionAttributeValues[':destinationVersion'],
+      rollbackOf: options.rollbackOf
+    }
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      message: isConvertingToDynamic
+        ? 'QR code converted to dynamic successfully'
+        : options.rollbackOf
+          ? `QR code rolled back to version ${options.rollbackOf}`
+          : 'QR code updated successfully',
+      convertedToDynamic: isConvertingToDynamic,
+      contentData: payload ? payload.data : undefined,
+      pageId: body.pageId ? String(body.pageId) : payload || body.content ? undefined : existing.Item.pageId,
+      destinationVersion: expressionAttributeValues[':destinationVersion'] || existing.Item.destinationVersion,
+      folder: folder ? folder.folder || undefined : existing.Item.folder,
+      tags: tags ? tags.tags : existing.Item.tags,
+      campaignId: body.campaignId !== undefined ? body.campaignId || undefined : existing.Item.campaignId,
+      rules: routing ? routing.rules : existing.Item.rules,
+      schedule: scheduled ? scheduled.schedule : existing.Item.schedule,
+      variants: split ? split.variants : existing.Item.variants,
+      activatesAt: lifecycleFields.activatesAt,
+      expiresAt: lifecycleFields.expiresAt,
+      maxScans: lifecycleFields.maxScans,
+      fallbacks: lifecycleFields.fallbacks,
+      passwordProtected: passwordHash ? true : body.password !== undefined ? false : Boolean(existing.Item.passwordHash),
+      imageVersion,
+      qrUrl: expressionAttributeValues[':qrUrl'] || existing.Item.qrUrl,
+      renditions: expressionAttributeValues[':renditions'] || existing.Item.renditions,
+      scannability: expressionAttributeValues[':scannability']
+    })
+  };
+}
+
+async function deleteQRCode(event, userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const qrId = event.pathParameters.id;
+
+  // Get existing QR code (table has composite key: qrId + userId)
+  const existing = await dynamodb.get({
+    TableName: 'snapitqr-qrcodes',
+    Key: { qrId, userId }
+  }).promise();
+
+  if (!existing.Item) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'QR code not found' })
+    };
+  }
+
+  // Check ownership
+  if (existing.Item.userId !== userId) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'Access denied' })
+    };
+  }
+
+  // Delete from DynamoDB (composite key: qrId + userId)
+  await dynamodb.delete({
+    TableName: 'snapitqr-qrcodes',
+    Key: { qrId, userId }
+  }).promise();
+  qrCache.delete(qrId);
+
+  // Decrement usage for dynamic QR codes
+  if (existing.Item.type === 'dynamic') {
+    await decrementUsage(userId, 'dynamicQRs');
+  }
+
+  // Track analytics event
+  await trackAnalyticsEvent({
+    eventType: 'qr_deleted',
+    qrId,
+    userId,
+    metadata: { type: existing.Item.type }
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      message: 'QR code deleted successfully'
+    })
+  };
+}
+
+// Copy a QR code (POST /qr/{id}/duplicate) into a new qrId with the same
+// destination, design and settings. Scans, history and images start fresh
+async function duplicateQRCode(event, userId, userTier, headers) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required to duplicate QR codes' })
+    };
+  }
+
+  const existing = await findQRCode(event.pathParameters.id);
+  if (!existing || existing.userId !== userId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'QR code not found' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+
+  const prepared = await prepareQRCode(copyRequest(existing), userId);
+  if (prepared.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `The QR code could not be copied: ${prepared.error}` })
+    };
+  }
+
+  // The hash can't be turned back into the password, so it is copied as is
+  prepared.passwordHash = existing.passwordHash;
+  prepared.presetId = existing.presetId;
+
+  if (prepared.type === 'dynamic') {
+    const usage = await checkUsageLimit(userId, 'dynamicQRs', userTier);
+    if (!usage.allowed) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+          error: usage.message,
+          usage: usage.current,
+          limit: usage.limit,
+          upgradeRequired: true
+        })
+      };
+    }
+  }
+
+  const qrRecord = await saveQRCode(prepared, userId, body.name || `${existing.name || 'QR Code'} (copy)`);
+
+  if (prepared.type === 'dynamic') {
+    await incrementUsage(userId, 'dynamicQRs');
+  }
+
+  await trackAnalyticsEvent({
+    eventType: 'qr_duplicated',
+    qrId: qrRecord.qrId,
+    userId,
+    metadata: { sourceQrId: existing.qrId, type: prepared.type }
+  });
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      qrId: qrRecord.qrId,
+      qrUrl: qrRecord.qrUrl,
+      redirectUrl: qrRecord.redirectUrl,
+      type: qrRecord.type,
+      duplicatedFrom: existing.qrId,
+      qrCode: toApiRecord(qrRecord, userId),
+      message: 'QR code duplicated successfully'
+    })
+  };
+}
+
+// A create request that reproduces a stored QR code
+function copyRequest(item) {
+  let destination = { content: item.content };
+  if (item.contentType) {
+    destination = { ...item.contentData, contentType: item.contentType };
+  } else if (item.pageId) {
+    destination = { pageId: item.pageId };
+  }
+
+  return {
+    ...destination,
+    type: item.type,
+    symbology: item.symbology,
+    format: Object.keys(item.renditions || {}),
+    customization: item.customization || {},
+    rules: item.rules,
+    schedule: item.schedule,
+    variants: item.variants,
+    activatesAt: item.activatesAt,
+    expiresAt: item.expiresAt,
+    maxScans: item.maxScans,
+    fallbacks: item.fallbacks,
+    folder: item.folder,
+    tags: item.tags,
+    campaignId: item.campaignId,
+    // The original already passed the scannability check or was forced past it
+    force: true
+  };
+}
+
+async function listPresets(userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const presets = await queryPresets(userId);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      presets,
+      count: presets.length
+    })
+  };
+}
+
+async function createPreset(event, userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+  const name = String(body.name || '').trim();
+
+  if (!name) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Preset name is required' })
+    };
+  }
+
+  const existing = await queryPresets(userId);
+  if (existing.length >= MAX_PRESETS) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `You can save up to ${MAX_PRESETS} presets. Delete one to add another.` })
+    };
+  }
+
+  const checked = await checkPresetCustomization(body.customization || {}, userId);
+  if (checked.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: checked.error })
+    };
+  }
+
+  const now = Date.now();
+  const preset = {
+    presetId: uuidv4(),
+    userId,
+    name,
+    customization: checked.customization,
+    // The first preset becomes the default
+    isDefault: existing.length === 0 || isTruthy(body.isDefault),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await dynamodb.put({
+    TableName: PRESETS_TABLE,
+    Item: preset
+  }).promise();
+
+  if (preset.isDefault) {
+    await clearDefaultPreset(existing, preset.presetId);
+  }
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      preset
+    })
+  };
+}
+
+async function updatePreset(event, userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const presetId = event.pathParameters.id;
+  const body = JSON.parse(event.body || '{}');
+
+  const existing = await dynamodb.get({
+    TableName: PRESETS_TABLE,
+    Key: { userId, presetId }
+  }).promise();
+
+  if (!existing.Item) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Preset not found' })
+    };
+  }
+
+  const preset = { ...existing.Item, updatedAt: Date.now() };
+
+  if (body.name !== undefined) {
+    preset.name = String(body.name).trim();
+    if (!preset.name) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Preset name is required' })
+      };
+    }
+  }
+
+  if (body.customization) {
+    // Merge like QR code updates; null removes a saved field
+    const merged = { ...existing.Item.customization, ...body.customization };
+    const checked = await checkPresetCustomization(
+      Object.fromEntries(Object.entries(merged).filter(([, value]) => value !== null)),
+      userId
+    );
+    if (checked.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: checked.error })
+      };
+    }
+    preset.customization = checked.customization;
+  }
+
+  if (body.isDefault !== undefined) {
+    preset.isDefault = isTruthy(body.isDefault);
+  }
+
+  await dynamodb.put({
+    TableName: PRESETS_TABLE,
+    Item: preset
+  }).promise();
+
+  if (preset.isDefault && !existing.Item.isDefault) {
+    await clearDefaultPreset(await queryPresets(userId), presetId);
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      preset
+    })
+  };
+}
+
+async function deletePreset(event, userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const presetId = event.pathParameters.id;
+
+  const existing = await dynamodb.get({
+    TableName: PRESETS_TABLE,
+    Key: { userId, presetId }
+  }).promise();
+
+  if (!existing.Item) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Preset not found' })
+    };
+  }
+
+  // QR codes keep their own copy of the customization, so nothing else changes
+  await dynamodb.delete({
+    TableName: PRESETS_TABLE,
+    Key: { userId, presetId }
+  }).promise();
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      message: 'Preset deleted successfully'
+    })
+  };
+}
+
+async function queryPresets(userId) {
+  const result = await dynamodb.query({
+    TableName: PRESETS_TABLE,
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: {
+      ':userId': userId
+    }
+  }).promise();
+
+  return result.Items.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Look up a preset by id, or the user's default preset for 'default'
+ */
+async function getPreset(userId, presetId) {
+  if (presetId === 'default') {
+    return (await queryPresets(userId)).find(preset => preset.isDefault) || null;
+  }
+
+  const result = await dynamodb.get({
+    TableName: PRESETS_TABLE,
+    Key: { userId, presetId: String(presetId) }
+  }).promise();
+
+  return result.Item || null;
+}
+
+async function clearDefaultPreset(presets, keepPresetId) {
+  await Promise.all(presets
+    .filter(preset => preset.isDefault && preset.presetId !== keepPresetId)
+    .map(preset => dynamodb.update({
+      TableName: PRESETS_TABLE,
+      Key: { userId: preset.userId, presetId: preset.presetId },
+      UpdateExpression: 'SET isDefault = :false',
+      ExpressionAttributeValues: { ':false': false }
+    }).promise()));
+}
+
+/**
+ * Validate a preset's customization and store its logo
+ * Returns { customization } with the logo referenced by S3 key, or { error }
+ */
+async function checkPresetCustomization(customization, userId) {
+  if (typeof customization !== 'object' || Array.isArray(customization)) {
+    return { error: 'customization must be an object' };
+  }
+
+  const styleError = renderer.validateStyle(customization);
+  if (styleError) {
+    return { error: styleError };
+  }
+
+  if (!customization.logo) {
+    return { customization };
+  }
+
+  const logoResult = await resolveLogo(customization.logo, userId);
+  if (logoResult.error) {
+    return { error: logoResult.error };
+  }
+
+  return { customization: { ...customization, errorCorrection: 'H', logo: logoResult.logo } };
+}
+
+async function listPages(userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const items = await queryPages(userId);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      pages: items.map(toPageRecord),
+      count: items.length
+    })
+  };
+}
+
+async function createPage(event, userId, headers) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+
+  const checked = pages.validatePage(body);
+  if (checked.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: checked.error })
+    };
+  }
+
+  const existing = await queryPages(userId);
+  if (existing.length >= MAX_PAGES) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `You can host up to ${MAX_PAGES} pages. Delete one to add another.` })
+    };
+  }
+
+  const pageId = uuidv4();
+  const now = Date.now();
+  const page = {
+    pageId,
+    userId,
+    ...checked.page,
+    blocks: await storePageAssets(pageId, checked.page.blocks),
+    status: 'active',
+    views: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await dynamodb.put({
+    TableName: PAGES_TABLE,
+    Item: page
+  }).promise();
+
+  await trackAnalyticsEvent({
+    eventType: 'page_created',
+    pageId,
+    userId,
+    metadata: { blocks: page.blocks.length }
+  });
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      page: toPageRecord(page)
+    })
+  };
+}
+
+async function getPage(event, userId, headers) {
+  const page = await findPage(event.pathParameters.id);
+
+  if (!page || !userId || page.userId !== userId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Page not found' })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      page: toPageRecord(page)
+    })
+  };
+}
+
+async function updatePage(event, userId, headers) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const existing = await findPage(event.pathParameters.id);
+  if (!existing || existing.userId !== userId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Page not found' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+
+  if (body.status !== undefined && body.status !== 'active' && body.status !== 'disabled') {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'status must be active or disabled' })
+    };
+  }
+
+  const checked = pages.validatePage(body, existing);
+  if (checked.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: checked.error })
+    };
+  }
+
+  const page = {
+    ...existing,
+    ...checked.page,
+    status: body.status || existing.status,
+    updatedAt: Date.now()
+  };
+
+  if (body.blocks !== undefined) {
+    page.blocks = await storePageAssets(existing.pageId, checked.page.blocks, existing.blocks);
+  }
+
+  await dynamodb.put({
+    TableName: PAGES_TABLE,
+    Item: page
+  }).promise();
+
+  // Uploads the new blocks no longer use
+  if (body.blocks !== undefined) {
+    await deletePageAssets(existing.blocks, page.blocks);
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      page: toPageRecord(page)
+    })
+  };
+}
+
+async function deletePage(event, userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const existing = await findPage(event.pathParameters.id);
+  if (!existing || existing.userId !== userId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Page not found' })
+    };
+  }
+
+  // QR codes and short links pointing at the page show the not-found page
+  await dynamodb.delete({
+    TableName: PAGES_TABLE,
+    Key: { pageId: existing.pageId }
+  }).promise();
+
+  await deletePageAssets(existing.blocks, []);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      message: 'Page deleted successfully'
+    })
+  };
+}
+
+async function queryPages(userId) {
+  const result = await dynamodb.query({
+    TableName: PAGES_TABLE,
+    IndexName: 'userId-createdAt-index',
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: {
+      ':userId': userId
+    },
+    ScanIndexForward: false // Most recent first
+  }).promise();
+
+  return result.Items;
+}
+
+async function findPage(pageId) {
+  const result = await dynamodb.get({
+    TableName: PAGES_TABLE,
+    Key: { pageId }
+  }).promise();
+
+  return result.Item || null;
+}
+
+function pageUrl(pageId) {
+  return `https://api.snapitqr.com/p/${pageId}`;
+}
+
+/**
+ * A page as returned by the API, with its public URL
+ */
+function toPageRecord(page) {
+  return { ...page, url: pageUrl(page.pageId) };
+}
+
+// Upload image and file blocks sent as base64 data and store their S3 URL
+// instead. Blocks sent back with an earlier upload's URL keep its key, so
+// deletePageAssets can tell which uploads are still in use
+async function storePageAssets(pageId, blocks, currentBlocks = []) {
+  const uploaded = new Map(currentBlocks.filter(block => block.s3Key).map(block => [block.url, block.s3Key]));
+
+  return Promise.all(blocks.map(async block => {
+    if (block.url !== undefined) {
+      return uploaded.has(block.url) ? { ...block, s3Key: uploaded.get(block.url) } : block;
+    }
+    if (block.data === undefined) {
+      return block;
+    }
+
+    const { data, ...rest } = block;
+    const asset = pages.decodeAsset(data, block.type);
+    const s3Key = `pages/${pageId}/${uuidv4()}.${asset.extension}`;
+
+    await s3.putObject({
+      Bucket: S3_BUCKET,
+      Key: s3Key,
+      Body: asset.buffer,
+      ContentType: asset.contentType
+    }).promise();
+
+    return { ...rest, url: `https://${S3_BUCKET}.s3.amazonaws.com/${s3Key}`, s3Key };
+  }));
+}
+
+async function deletePageAssets(oldBlocks = [], newBlocks = []) {
+  const kept = new Set(newBlocks.map(block => block.s3Key).filter(Boolean));
+  const unused = oldBlocks.filter(block => block.s3Key && !kept.has(block.s3Key));
+
+  await Promise.all(unused.map(block => s3.deleteObject({
+    Bucket: S3_BUCKET,
+    Key: block.s3Key
+  }).promise()));
+}
+
+async function listCampaigns(userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const [campaigns, qrCodes, links] = await Promise.all([
+    queryCampaigns(userId),
+    queryUserQRCodes(userId),
+    queryUserShortURLs(userId)
+  ]);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      campaigns: campaigns.map(campaign => ({
+        ...campaign,
+        qrCodes: qrCodes.filter(item => item.campaignId === campaign.campaignId).length,
+        links: links.filter(item => item.campaignId === campaign.campaignId).length
+      })),
+      count: campaigns.length
+    })
+  };
+}
+
+async function createCampaign(event, userId, headers) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+
+  const checked = validateCampaign(body);
+  if (checked.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: checked.error })
+    };
+  }
+
+  const existing = await queryCampaigns(userId);
+  if (existing.length >= MAX_CAMPAIGNS) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `You can have up to ${MAX_CAMPAIGNS} campaigns. Delete one to add another.` })
+    };
+  }
+
+  const now = Date.now();
+  const campaign = {
+    campaignId: uuidv4(),
+    userId,
+    name: checked.name,
+    description: checked.description || undefined,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await dynamodb.put({
+    TableName: CAMPAIGNS_TABLE,
+    Item: campaign
+  }).promise();
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      campaign
+    })
+  };
+}
+
+// A campaign with the QR codes and short links in it
+async function getCampaignDetails(event, userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const campaign = await getCampaign(userId, event.pathParameters.id);
+  if (!campaign) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Campaign not found' })
+    };
+  }
+
+  const [qrCodes, links] = await Promise.all([
+    queryUserQRCodes(userId),
+    queryUserShortURLs(userId)
+  ]);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      campaign,
+      qrCodes: qrCodes
+        .filter(item => item.campaignId === campaign.campaignId)
+        .map(item => toApiRecord(item, userId)),
+      links: links
+        .filter(item => item.campaignId === campaign.campaignId)
+        .map(item => ({
+          shortCode: item.shortCode,
+          originalUrl: item.originalUrl,
+          title: item.title,
+          folder: item.folder,
+          tags: item.tags,
+          clicks: item.clicks || 0,
+          createdAt: item.createdAt
+        }))
+    })
+  };
+}
+
+async function updateCampaign(event, userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const existing = await getCampaign(userId, event.pathParameters.id);
+  if (!existing) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Campaign not found' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+
+  const checked = validateCampaign({ ...existing, ...body });
+  if (checked.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: checked.error })
+    };
+  }
+
+  const campaign = {
+    ...existing,
+    name: checked.name,
+    description: checked.description || undefined,
+    updatedAt: Date.now()
+  };
+
+  await dynamodb.put({
+    TableName: CAMPAIGNS_TABLE,
+    Item: campaign
+  }).promise();
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      campaign
+    })
+  };
+}
+
+// QR codes and short links in a deleted campaign are kept and taken out of it
+async function deleteCampaign(event, userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const campaign = await getCampaign(userId, event.pathParameters.id);
+  if (!campaign) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Campaign not found' })
+    };
+  }
+
+  const [qrCodes, links] = await Promise.all([
+    queryUserQRCodes(userId),
+    queryUserShortURLs(userId)
+  ]);
+
+  await Promise.all([
+    ...qrCodes.filter(item => item.campaignId === campaign.campaignId).map(item => dynamodb.update({
+      TableName: 'snapitqr-qrcodes',
+      Key: { qrId: item.qrId, userId },
+      UpdateExpression: 'REMOVE campaignId'
+    }).promise().then(() => qrCache.delete(item.qrId))),
+    ...links.filter(item => item.campaignId === campaign.campaignId).map(item => dynamodb.update({
+      TableName: 'snapitqr-shorturls',
+      Key: { shortCode: item.shortCode },
+      UpdateExpression: 'REMOVE campaignId'
+    }).promise())
+  ]);
+
+  await dynamodb.delete({
+    TableName: CAMPAIGNS_TABLE,
+    Key: { userId, campaignId: campaign.campaignId }
+  }).promise();
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      message: 'Campaign deleted successfully'
+    })
+  };
+}
+
+// Folders (GET /folders) and tags (GET /tags) in use on the user's QR codes
+// and short links. A folder's counts include its subfolders
+async function listOrganizers(userId, headers, kind) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const [qrCodes, links] = await Promise.all([
+    queryUserQRCodes(userId),
+    queryUserShortURLs(userId)
+  ]);
+
+  const counts = new Map();
+  const count = (items, field) => items.forEach(item => {
+    const names = kind === 'folders' ? folderPaths(item.folder) : item.tags || [];
+    names.forEach(name => {
+      const entry = counts.get(name) || { qrCodes: 0, links: 0 };
+      entry[field] += 1;
+      counts.set(name, entry);
+    });
+  });
+  count(qrCodes, 'qrCodes');
+  count(links, 'links');
+
+  const key = kind === 'folders' ? 'folder' : 'tag';
+  const entries = [...counts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, entry]) => ({ [key]: name, ...entry }));
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      [kind]: entries,
+      count: entries.length
+    })
+  };
+}
+
+// 'Clients/Acme/Spring' -> ['Clients', 'Clients/Acme', 'Clients/Acme/Spring']
+function folderPaths(folder) {
+  if (!folder) return [];
+  const names = folder.split('/');
+  return names.map((_, i) => names.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Check a campaign's name and description
+ * Returns { name, description } or { error }
+ */
+function validateCampaign(body) {
+  const name = String(body.name || '').trim();
+  const description = String(body.description || '').trim();
+
+  if (!name) {
+    return { error: 'Campaign name is required' };
+  }
+  if (name.length > 100) {
+    return { error: 'Campaign name must be at most 100 characters' };
+  }
+  if (description.length > 500) {
+    return { error: 'Campaign description must be at most 500 characters' };
+  }
+
+  return { name, description };
+}
+
+async function queryCampaigns(userId) {
+  const result = await dynamodb.query({
+    TableName: CAMPAIGNS_TABLE,
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: {
+      ':userId': userId
+    }
+  }).promise();
+
+  return result.Items.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getCampaign(userId, campaignId) {
+  const result = await dynamodb.get({
+    TableName: CAMPAIGNS_TABLE,
+    Key: { userId, campaignId: String(campaignId) }
+  }).promise();
+
+  return result.Item || null;
+}
+
+async function queryUserQRCodes(userId) {
+  return await queryAllByUser('snapitqr-qrcodes', userId);
+}
+
+async function queryUserShortURLs(userId) {
+  return await queryAllByUser('snapitqr-shorturls', userId);
+}
+
+// Every record a user owns in a table, newest first. DynamoDB returns at
+// most 1 MB per query, so follow LastEvaluatedKey until the end
+async function queryAllByUser(tableName, userId) {
+  const items = [];
+  let startKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: tableName,
+      IndexName: 'userId-createdAt-index',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      },
+      ExclusiveStartKey: startKey,
+      ScanIndexForward: false // Most recent first
+    }).promise();
+
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  return items;
+}
+
+// Hand a QR code or short link to another account (POST /transfers). The
+// record moves once the recipient accepts (POST /transfers/{id}/accept)
+async function createTransfer(event, userId, headers) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+  const toEmail = String(body.toEmail || '').trim().toLowerCase();
+
+  if (Boolean(body.qrId) === Boolean(body.shortCode)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Send either qrId or shortCode' })
+    };
+  }
+
+  if (!toEmail) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'toEmail is required' })
+    };
+  }
+
+  const asset = body.qrId
+    ? await findQRCode(String(body.qrId))
+    : (await dynamodb.get({ TableName: 'snapitqr-shorturls', Key: { shortCode: String(body.shortCode) } }).promise()).Item;
+  if (!asset || asset.userId !== userId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: body.qrId ? 'QR code not found' : 'Short URL not found' })
+    };
+  }
+
+  const recipient = await findUserByEmail(toEmail);
+  if (!recipient) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'No SnapIT account uses that email. Ask the recipient to sign up first.' })
+    };
+  }
+
+  if (recipient.userId === userId) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'You already own this' })
+    };
+  }
+
+  const outgoing = await queryTransfers('fromUserId', userId);
+  if (outgoing.some(transfer => isPending(transfer) && transfer.assetId === (asset.qrId || asset.shortCode))) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ error: 'This already has a pending transfer. Cancel it to send a new one.' })
+    };
+  }
+
+  const sender = await dynamodb.get({
+    TableName: 'snapitqr-users',
+    Key: { userId }
+  }).promise();
+
+  const now = Date.now();
+  const transfer = {
+    transferId: uuidv4(),
+    assetType: body.qrId ? 'qr' : 'url',
+    assetId: asset.qrId || asset.shortCode,
+    name: asset.name || asset.title,
+    fromUserId: userId,
+    fromEmail: sender.Item?.email,
+    toUserId: recipient.userId,
+    toEmail,
+    status: 'pending',
+    createdAt: now,
+    expiresAt: now + TRANSFER_TTL_MS
+  };
+
+  await dynamodb.put({
+    TableName: TRANSFERS_TABLE,
+    Item: transfer
+  }).promise();
+
+  await trackAnalyticsEvent({
+    eventType: 'transfer_requested',
+    userId,
+    metadata: { transferId: transfer.transferId, assetType: transfer.assetType, assetId: transfer.assetId }
+  });
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      transfer
+    })
+  };
+}
+
+// Transfers sent to and by the user, newest first
+async function listTransfers(userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const [incoming, outgoing] = await Promise.all([
+    queryTransfers('toUserId', userId),
+    queryTransfers('fromUserId', userId)
+  ]);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      incoming: incoming.map(toTransferRecord),
+      outgoing: outgoing.map(toTransferRecord)
+    })
+  };
+}
+
+async function acceptTransfer(event, userId, userTier, headers) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const transfer = await getTransfer(event.pathParameters.id);
+  if (!transfer || transfer.toUserId !== userId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Transfer not found' })
+    };
+  }
+
+  const closed = closedTransferError(transfer);
+  if (closed) {
+    return { statusCode: closed.statusCode, headers, body: JSON.stringify({ error: closed.error }) };
+  }
+
+  // Claim the transfer first so a repeated accept cannot move it twice
+  if (!await setTransferStatus(transfer, 'accepted')) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ error: 'This transfer was already answered' })
+    };
+  }
+
+  const moved = transfer.assetType === 'qr'
+    ? await moveQRCode(transfer, userId, userTier)
+    : await moveShortURL(transfer, userId, userTier);
+  if (moved.error) {
+    // Over the plan limit the recipient can upgrade and accept again
+    await setTransferStatus(transfer, 'pending', 'accepted');
+    return {
+      statusCode: moved.statusCode,
+      headers,
+      body: JSON.stringify({ error: moved.error, upgradeRequired: moved.upgradeRequired })
+    };
+  }
+
+  await trackAnalyticsEvent({
+    eventType: transfer.assetType === 'qr' ? 'qr_transferred' : 'url_transferred',
+    ...(transfer.assetType === 'qr' ? { qrId: transfer.assetId } : { shortCode: transfer.assetId }),
+    userId,
+    metadata: { transferId: transfer.transferId, fromUserId: transfer.fromUserId }
+  });
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      transfer: toTransferRecord({ ...transfer, status: 'accepted' }),
+      message: transfer.assetType === 'qr' ? 'QR code transferred to your account' : 'Short link transferred to your account'
+    })
+  };
+}
+
+// The recipient declines (POST /transfers/{id}/decline) or the sender
+// cancels (DELETE /transfers/{id}) a pending transfer
+async function closeTransfer(event, userId, headers, status) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const transfer = await getTransfer(event.pathParameters.id);
+  const party = status === 'declined' ? 'toUserId' : 'fromUserId';
+  if (!transfer || transfer[party] !== userId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Transfer not found' })
+    };
+  }
+
+  const closed = closedTransferError(transfer);
+  if (closed) {
+    return { statusCode: closed.statusCode, headers, body: JSON.stringify({ error: closed.error }) };
+  }
+
+  if (!await setTransferStatus(transfer, status)) {
+    return {
+      statusCode: 409,
+      headers,
+      body: JSON.stringify({ error: 'This transfer was already answered' })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      transfer: toTransferRecord({ ...transfer, status }),
+      message: `Transfer ${status}`
+    })
+  };
+}
+
+// Move a QR code to the recipient. The table key includes the owner, so
+// the record is written under the new owner and the old one deleted
+async function moveQRCode(transfer, userId, userTier) {
+  const existing = await dynamodb.get({
+    TableName: 'snapitqr-qrcodes',
+    Key: { qrId: transfer.assetId, userId: transfer.fromUserId }
+  }).promise();
+
+  if (!existing.Item) {
+    return { statusCode: 410, error: 'This QR code no longer belongs to the sender' };
+  }
+
+  const item = existing.Item;
+  if (item.type === 'dynamic') {
+    const usage = await checkUsageLimit(userId, 'dynamicQRs', userTier);
+    if (!usage.allowed) {
+      return { statusCode: 403, error: usage.message, upgradeRequired: true };
+    }
+  }
+
+  const customization = await copyLogo(item.customization, userId);
+
+  // Folders, tags, campaigns, presets and pages belong to the sender
+  const { folder, tags, campaignId, presetId, pageId, ...rest } = item;
+  const now = Date.now();
+
+  // One transaction, so a failure never leaves the code with both owners
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: 'snapitqr-qrcodes',
+            Item: {
+              ...rest,
+              userId,
+              customization,
+              ...(item.destinationVersions ? { destinationVersions: withoutPages(item.destinationVersions) } : {}),
+              transferredFrom: transfer.fromUserId,
+              transferredAt: now,
+              updatedAt: now
+            },
+            ConditionExpression: 'attribute_not_exists(qrId)'
+          }
+        },
+        {
+          Delete: {
+            TableName: 'snapitqr-qrcodes',
+            Key: { qrId: item.qrId, userId: transfer.fromUserId },
+            ConditionExpression: 'attribute_exists(qrId)'
+          }
+        }
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'TransactionCanceledException') throw error;
+    return { statusCode: 410, error: 'This QR code no longer belongs to the sender' };
+  }
+  qrCache.delete(item.qrId);
+
+  if (item.type === 'dynamic') {
+    await decrementUsage(transfer.fromUserId, 'dynamicQRs');
+    await incrementUsage(userId, 'dynamicQRs');
+  }
+
+  return {};
+}
+
+async function moveShortURL(transfer, userId, userTier) {
+  const existing = await dynamodb.get({
+    TableName: 'snapitqr-shorturls',
+    Key: { shortCode: transfer.assetId }
+  }).promise();
+
+  if (!existing.Item || existing.Item.userId !== transfer.fromUserId) {
+    return { statusCode: 410, error: 'This short link no longer belongs to the sender' };
+  }
+
+  const usage = await checkUsageLimit(userId, 'shortURLs', userTier);
+  if (!usage.allowed) {
+    return { statusCode: 403, error: usage.message, upgradeRequired: true };
+  }
+
+  // Folders, tags, campaigns and pages belong to the sender
+  try {
+    await dynamodb.update({
+      TableName: 'snapitqr-shorturls',
+      Key: { shortCode: transfer.assetId },
+      UpdateExpression: 'SET userId = :userId, transferredFrom = :from, transferredAt = :now, updatedAt = :updatedAt, ' +
+        'destinationVersions = :versions REMOVE folder, tags, campaignId, pageId',
+      ConditionExpression: 'userId = :from',
+      ExpressionAttributeValues: {
+        ':userId': userId,
+        ':from': transfer.fromUserId,
+        ':now': Date.now(),
+        ':updatedAt': new Date().toISOString(),
+        ':versions': withoutPages(destinationVersions.versionsOf(existing.Item, 'originalUrl'))
+      }
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') throw error;
+    return { statusCode: 410, error: 'This short link no longer belongs to the sender' };
+  }
+
+  await decrementUsage(transfer.fromUserId, 'shortURLs');
+  await incrementUsage(userId, 'shortURLs');
+
+  return {};
+}
+
+// Destination history without page references: the pages stay with the
+// sender, so rolling back uses the page's public URL instead
+function withoutPages(versions) {
+  return versions.map(({ pageId, ...version }) => version);
+}
+
+async function getTransfer(transferId) {
+  const result = await dynamodb.get({
+    TableName: TRANSFERS_TABLE,
+    Key: { transferId }
+  }).promise();
+
+  return result.Item || null;
+}
+
+async function queryTransfers(party, userId) {
+  const result = await dynamodb.query({
+    TableName: TRANSFERS_TABLE,
+    IndexName: `${party}-createdAt-index`,
+    KeyConditionExpression: `${party} = :userId`,
+    ExpressionAttributeValues: {
+      ':userId': userId
+    },
+    ScanIndexForward: false // Most recent first
+  }).promise();
+
+  return result.Items;
+}
+
+// Change a transfer's status only while it is still `from`; resolves to
+// false when another request changed it first
+async function setTransferStatus(transfer, status, from = 'pending') {
+  try {
+    await dynamodb.update({
+      TableName: TRANSFERS_TABLE,
+      Key: { transferId: transfer.transferId },
+      UpdateExpression: 'SET #status = :status, respondedAt = :now',
+      ConditionExpression: '#status = :from',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':status': status, ':from': from, ':now': Date.now() }
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') throw error;
+    return false;
+  }
+}
+
+function isPending(transfer) {
+  return transfer.status === 'pending' && transfer.expiresAt > Date.now();
+}
+
+// Why a transfer can no longer be answered, or null while it is pending
+function closedTransferError(transfer) {
+  if (transfer.status !== 'pending') {
+    return { statusCode: 409, error: `This transfer was already ${transfer.status}` };
+  }
+  if (!isPending(transfer)) {
+    return { statusCode: 410, error: 'This transfer has expired. Ask the sender to send it again.' };
+  }
+  return null;
+}
+
+/**
+ * A transfer as returned by the API; pending transfers past their expiry
+ * show as expired
+ */
+function toTransferRecord(transfer) {
+  return transfer.status === 'pending' && !isPending(transfer)
+    ? { ...transfer, status: 'expired' }
+    : transfer;
+}
+
+async function findUserByEmail(email) {
+  const result = await dynamodb.query({
+    TableName: 'snapitqr-users',
+    IndexName: 'email-index',
+    KeyConditionExpression: 'email = :email',
+    ExpressionAttributeValues: {
+      ':email': email
+    }
+  }).promise();
+
+  return result.Items[0] || null;
+}
+
+const PAGE_NOT_FOUND = '<!DOCTYPE html><html><head><title>Page Not Found</title><meta name="viewport" content="width=device-width, initial-scale=1"><style>body{font-family:system-ui,-apple-system,sans-serif;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0;background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);color:#fff;text-align:center;padding:20px}h1{font-size:3rem;margin:0 0 1rem 0}p{font-size:1.25rem;opacity:.9}a{color:#fff}</style></head><body><div><h1>404</h1><p>This page does not exist or has been removed.</p><p><a href="https://snapitqr.com">Create your own at SnapIT QR</a></p></div></body></html>';
+
+// Serve a hosted page (GET /p/{id}) and count the view. Pages only load
+// images from https URLs and run no scripts
+async function servePage(event) {
+  const pageHeaders = {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  try {
+    const page = await findPage(event.pathParameters.id);
+
+    if (!page || page.status !== 'active') {
+      return { statusCode: page ? 410 : 404, headers: pageHeaders, body: PAGE_NOT_FOUND };
+    }
+
+    await dynamodb.update({
+      TableName: PAGES_TABLE,
+      Key: { pageId: page.pageId },
+      UpdateExpression: 'ADD #views :inc',
+      ExpressionAttributeNames: { '#views': 'views' },
+      ExpressionAttributeValues: { ':inc': 1 }
+    }).promise();
 
-  // Decrement usage for dynamic QR codes
-  if (existing.Item.type === 'dynamic') {
-    await decrementUsage(userId, 'dynamicQRs');
-  }
+    const visitor = routingRules.parseVisitor(event.headers);
+    await trackAnalyticsEvent({
+      eventType: 'page_viewed',
+      pageId: page.pageId,
+      userId: page.userId,
+      metadata: {
+        os: visitor.os,
+        browser: visitor.browser,
+        language: visitor.language,
+        referer: event.headers?.Referer || event.headers?.referer || null,
+        userAgent: event.headers?.['User-Agent'],
+        country: event.headers?.['CloudFront-Viewer-Country']
+      }
+    });
 
-  // Track analytics event
-  await trackAnalyticsEvent({
-    eventType: 'qr_deleted',
-    qrId,
-    userId,
-    metadata: { type: existing.Item.type }
-  });
+    return {
+      statusCode: 200,
+      headers: {
+        ...pageHeaders,
+        'Content-Security-Policy': "default-src 'none'; img-src https:; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'",
+        'X-Content-Type-Options': 'nosniff'
+      },
+      body: pages.renderPage(page)
+    };
 
-  return {
-    statusCode: 200,
-    headers,
-    body: JSON.stringify({
-      success: true,
-      message: 'QR code deleted successfully'
-    })
-  };
+  } catch (error) {
+    console.error('Page error:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'text/html' },
+      body: '<!DOCTYPE html><html><head><title>Error</title><meta name="viewport" content="width=device-width, initial-scale=1"><style>body{font-family:system-ui,-apple-system,sans-serif;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0;background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);color:#fff;text-align:center;padding:20px}h1{font-size:3rem;margin:0 0 1rem 0}p{font-size:1.25rem;opacity:.9}</style></head><body><div><h1>Error</h1><p>An error occurred while loading this page.</p></div></body></html>'
+    };
+  }
 }
 
 async function redirectQRCode(event) {
   const qrId = event.pathParameters.id;
 
   try {
-    // Scan DynamoDB for this qrId across all users
-    const result = await dynamodb.scan({
-      TableName: 'snapitqr-qrcodes',
-      FilterExpression: 'qrId = :qrId',
-      ExpressionAttributeValues: {
-        ':qrId': qrId
-      },
-      Limit: 1
-    }).promise();
+    const qrCode = await findQRCodeCached(qrId);
 
-    if (!result.Items || result.Items.length === 0) {
+    if (!qrCode) {
       return {
         statusCode: 404,
         headers: { 'Content-Type': 'text/html' },
@@ -595,8 +3381,6 @@ async function redirectQRCode(event) {
       };
     }
 
-    const qrCode = result.Items[0];
-
     if (qrCode.status !== 'active') {
       return {
         statusCode: 410,
@@ -605,33 +3389,85 @@ async function redirectQRCode(event) {
       };
     }
 
-    // Increment scan count
-    await dynamodb.update({
+    // Start dates, expiry and scan limits send scans to their fallback
+    const blocked = lifecycle.check(qrCode);
+    if (blocked) {
+      return await lifecycleFallback(event, qrCode, blocked);
+    }
+
+    // Password-protected codes ask for the password until it is unlocked
+    const cookies = [];
+    if (qrCode.passwordHash && !unlock.isUnlocked(event.headers, qrCode.qrId, qrCode.passwordHash, JWT_SECRET)) {
+      const locked = await checkUnlockForm(event, qrCode);
+      if (locked.response) {
+        return locked.response;
+      }
+      cookies.push(locked.cookie);
+    }
+
+    // Increment scan count; with a scan limit, only while under it
+    const scanUpdate = {
       TableName: 'snapitqr-qrcodes',
       Key: { qrId: qrCode.qrId, userId: qrCode.userId },
       UpdateExpression: 'ADD scans :inc',
       ExpressionAttributeValues: { ':inc': 1 }
-    }).promise();
+    };
+    if (qrCode.maxScans) {
+      scanUpdate.ConditionExpression = 'attribute_not_exists(scans) OR scans < :maxScans';
+      scanUpdate.ExpressionAttributeValues[':maxScans'] = qrCode.maxScans;
+    }
+
+    try {
+      await dynamodb.update(scanUpdate).promise();
+    } catch (error) {
+      // Other scans used up the limit since the record was read
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+      qrCache.delete(qrCode.qrId);
+      return await lifecycleFallback(event, qrCode, lifecycle.fallbackFor(qrCode, 'maxScans'));
+    }
+
+    const visitor = routingRules.parseVisitor(event.headers);
+    const visitorId = splitTest.getVisitorId(event.headers, event.requestContext?.identity?.sourceIp);
+    const { destination, rule, window, variant } = resolveDestination(qrCode, visitor, new Date(), visitorId.id);
 
     // Track analytics
     await trackAnalyticsEvent({
       eventType: 'qr_scanned',
       qrId,
       userId: qrCode.userId,
+      // Indexed (campaignId-timestamp-index) for campaign analytics
+      campaignId: qrCode.campaignId,
       metadata: {
-        destination: qrCode.content,
+        destination,
+        version: qrCode.destinationVersion || 1,
+        rule: rule ? rule.index : null,
+        ruleName: rule ? rule.name : null,
+        scheduleWindow: window ? window.index : null,
+        scheduleWindowName: window ? window.name : null,
+        variant: variant ? variant.id : null,
+        variantName: variant ? variant.name || null : null,
+        os: visitor.os,
+        browser: visitor.browser,
+        language: visitor.language,
         userAgent: event.headers?.['User-Agent'],
         country: event.headers?.['CloudFront-Viewer-Country']
       }
     });
 
-    // Redirect to destination
+    // Redirect to destination; split visitors keep their id so they stay
+    // in the same variant. Unlock form posts get a 303 so the browser
+    // follows with a GET
+    if (variant && visitorId.isNew) {
+      cookies.push(splitTest.visitorCookie(visitorId.id));
+    }
+
     return {
-      statusCode: 302,
+      statusCode: event.httpMethod === 'POST' ? 303 : 302,
       headers: {
-        'Location': qrCode.content,
+        'Location': destination,
         'Cache-Control': 'no-cache, no-store, must-revalidate'
       },
+      ...(cookies.length > 0 ? { multiValueHeaders: { 'Set-Cookie': cookies } } : {}),
       body: ''
     };
 
@@ -645,6 +3481,419 @@ async function redirectQRCode(event) {
   }
 }
 
+// Serve the unlock form, or check a submitted password. Failed attempts
+// are limited per IP and code. Returns { response } to send instead of the
+// redirect, or { cookie } once the password is right
+async function checkUnlockForm(event, qrCode) {
+  const pageHeaders = {
+    'Content-Type': 'text/html',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  if (event.httpMethod !== 'POST') {
+    return { response: { statusCode: 401, headers: pageHeaders, body: unlock.unlockPage() } };
+  }
+
+  const sourceIp = event.requestContext?.identity?.sourceIp;
+  const target = `qr:${qrCode.qrId}`;
+  const attempts = await rateLimiter.checkFailedAttempts(sourceIp, target);
+  if (!attempts.allowed) {
+    const minutes = Math.ceil(attempts.retryAfter / 60);
+    return {
+      response: {
+        statusCode: 429,
+        headers: { ...pageHeaders, 'Retry-After': String(attempts.retryAfter) },
+        body: unlock.unlockPage(`Too many wrong passwords. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`)
+      }
+    };
+  }
+
+  const password = unlock.readSubmittedPassword(event);
+  if (!password || !(await unlock.verifyPassword(password, qrCode.passwordHash))) {
+    await rateLimiter.recordFailedAttempt(sourceIp, target);
+    await trackAnalyticsEvent({
+      eventType: 'qr_unlock_failed',
+      qrId: qrCode.qrId,
+      userId: qrCode.userId,
+      metadata: {
+        userAgent: event.headers?.['User-Agent'],
+        country: event.headers?.['CloudFront-Viewer-Country']
+      }
+    });
+    return { response: { statusCode: 401, headers: pageHeaders, body: unlock.unlockPage('Incorrect password. Please try again.') } };
+  }
+
+  return { cookie: unlock.unlockCookie(qrCode.qrId, qrCode.passwordHash, JWT_SECRET) };
+}
+
+const LIFECYCLE_PAGES = {
+  activatesAt: { statusCode: 403, title: 'Not Active Yet' },
+  expiresAt: { statusCode: 410, title: 'Expired' },
+  maxScans: { statusCode: 410, title: 'Scan Limit Reached' }
+};
+
+// Answer a scan turned away by activatesAt, expiresAt or maxScans with the
+// owner's fallback URL or message
+async function lifecycleFallback(event, qrCode, blocked) {
+  await trackAnalyticsEvent({
+    eventType: 'qr_scan_blocked',
+    qrId: qrCode.qrId,
+    userId: qrCode.userId,
+    metadata: {
+      reason: blocked.limit,
+      destination: blocked.url || null,
+      userAgent: event.headers?.['User-Agent'],
+      country: event.headers?.['CloudFront-Viewer-Country']
+    }
+  });
+
+  if (blocked.url) {
+    return {
+      statusCode: 302,
+      headers: {
+        'Location': blocked.url,
+        'Cache-Control': 'no-cache, no-store, must-revalidate'
+      },
+      body: ''
+    };
+  }
+
+  const page = LIFECYCLE_PAGES[blocked.limit];
+  return {
+    statusCode: page.statusCode,
+    headers: {
+      'Content-Type': 'text/html',
+      'Cache-Control': 'no-cache, no-store, must-revalidate'
+    },
+    body: `<!DOCTYPE html><html><head><title>QR Code ${page.title}</title><meta name="viewport" content="width=device-width, initial-scale=1"><style>body{font-family:system-ui,-apple-system,sans-serif;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0;background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);color:#fff;text-align:center;padding:20px}h1{font-size:3rem;margin:0 0 1rem 0}p{font-size:1.25rem;opacity:.9;white-space:pre-line}</style></head><body><div><h1>${page.title}</h1><p>${escapeHtml(blocked.message)}</p></div></body></html>`
+  };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
+
+// Routing rules win, then the schedule window open at `at`, then the
+// visitor's A/B split variant, then the record's own content
+function resolveDestination(qrCode, visitor, at, visitorId) {
+  const resolved = { rule: null, window: null, variant: null };
+
+  const rule = routingRules.matchRule(qrCode.rules, visitor);
+  if (rule) {
+    return { ...resolved, destination: rule.url, source: 'rule', rule };
+  }
+
+  const window = schedules.resolve(qrCode.schedule, at);
+  if (window) {
+    return { ...resolved, destination: window.url, source: 'schedule', window };
+  }
+
+  const variant = splitTest.pickVariant(qrCode.variants, visitorId, qrCode.qrId);
+  if (variant) {
+    return { ...resolved, destination: variant.url, source: 'variant', variant };
+  }
+
+  return { ...resolved, destination: qrCode.content, source: 'default' };
+}
+
+/**
+ * Preview where a dynamic QR code would send a scan (GET /qr/{id}/resolve)
+ * `at` is an ISO time (default now); os, browser, language and country
+ * describe the visitor for routing rules. A/B splits use the caller's own
+ * visitor id unless `visitorId` is given
+ */
+async function resolveQRCode(event, userId, headers) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const query = event.queryStringParameters || {};
+  const at = query.at ? new Date(query.at) : new Date();
+  if (isNaN(at)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'at must be an ISO 8601 time such as 2026-10-19T08:30:00Z' })
+    };
+  }
+
+  const result = await dynamodb.get({
+    TableName: 'snapitqr-qrcodes',
+    Key: { qrId: event.pathParameters.id, userId }
+  }).promise();
+
+  if (!result.Item) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'QR code not found' })
+    };
+  }
+
+  if (result.Item.type !== 'dynamic') {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Only dynamic QR codes redirect' })
+    };
+  }
+
+  const visitor = {
+    os: query.os ? query.os.toLowerCase() : null,
+    browser: query.browser ? query.browser.toLowerCase() : null,
+    language: query.language ? query.language.toLowerCase() : null,
+    country: query.country ? query.country.toUpperCase() : null
+  };
+  const visitorId = query.visitorId || splitTest.getVisitorId(event.headers, event.requestContext?.identity?.sourceIp).id;
+  const schedule = result.Item.schedule;
+
+  // Scans outside the start date, expiry or scan limit get the fallback
+  const blocked = lifecycle.check(result.Item, at);
+  const resolved = blocked
+    ? { destination: blocked.url || null, source: 'lifecycle', blocked }
+    : resolveDestination(result.Item, visitor, at, visitorId);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      at: at.toISOString(),
+      timezone: schedule ? schedule.timezone : undefined,
+      localTime: schedule ? schedules.localTime(schedule.timezone, at) : undefined,
+      visitor,
+      ...resolved
+    })
+  };
+}
+
+/**
+ * Destination history of a dynamic QR code (GET /qr/{id}/versions)
+ * Newest first, each with the scans it received while current
+ */
+async function listQRCodeVersions(event, userId, headers) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const result = await dynamodb.get({
+    TableName: 'snapitqr-qrcodes',
+    Key: { qrId: event.pathParameters.id, userId }
+  }).promise();
+
+  if (!result.Item) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'QR code not found' })
+    };
+  }
+
+  if (result.Item.type !== 'dynamic') {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Only dynamic QR codes have destination versions' })
+    };
+  }
+
+  const versions = destinationVersions.versionsOf(result.Item, 'content');
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      currentVersion: result.Item.destinationVersion || 1,
+      versions: destinationVersions.withCounts(versions, result.Item.scans, 'scans'),
+      count: versions.length
+    })
+  };
+}
+
+/**
+ * Point a dynamic QR code back at an earlier destination
+ * (POST /qr/{id}/rollback with { version }). The old destination becomes
+ * a new version, so the rollback itself shows in the history
+ */
+async function rollbackQRCode(event, userId, userTier, headers) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+
+  const result = await dynamodb.get({
+    TableName: 'snapitqr-qrcodes',
+    Key: { qrId: event.pathParameters.id, userId }
+  }).promise();
+
+  if (!result.Item || result.Item.type !== 'dynamic') {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'QR code not found' })
+    };
+  }
+
+  const target = destinationVersions.versionsOf(result.Item, 'content').find(v => v.version === Number(body.version));
+  if (!target) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: `Version ${body.version} not found` })
+    };
+  }
+
+  if (target.url === result.Item.content) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Version ${target.version} is already the current destination` })
+    };
+  }
+
+  // Goes through the normal update so edit limits and page checks apply
+  const update = target.pageId ? { pageId: target.pageId } : { content: target.url };
+  return await updateQRCode({ ...event, body: JSON.stringify(update) }, userId, userTier, headers, { rollbackOf: target.version });
+}
+
+// Each image version gets its own keys, so URLs change whenever the image
+// does and earlier versions stay downloadable.
+// Buffers already in `rendered` are uploaded as-is; new renders are added to it
+async function storeRenditions(qrId, version, qrContent, formats, customization, assets, rendered, symbology) {
+  const renditions = {};
+
+  for (const format of formats) {
+    const { contentType, extension } = renderer.FORMATS[format];
+    const buffer = rendered?.[format] || await renderer.render(qrContent, format, customization, assets, symbology);
+    const s3Key = `qr-codes/${qrId}/v${version}.${extension}`;
+    if (rendered) {
+      rendered[format] = buffer;
+    }
+
+    await s3.putObject({
+      Bucket: S3_BUCKET,
+      Key: s3Key,
+      Body: buffer,
+      ContentType: contentType
+    }).promise();
+
+    renditions[format] = {
+      key: s3Key,
+      url: `https://${S3_BUCKET}.s3.amazonaws.com/${s3Key}`,
+      contentType
+    };
+  }
+
+  return renditions;
+}
+
+async function resolveLogo(logo, userId, cache) {
+  const validationError = renderer.validateLogo(logo);
+  if (validationError) {
+    return { error: validationError };
+  }
+
+  const owner = userId || 'anonymous';
+  let buffer;
+
+  if (logo.data) {
+    buffer = renderer.decodeLogoData(logo.data);
+    if (buffer.length === 0) {
+      return { error: 'Logo data must be a base64-encoded image' };
+    }
+    if (buffer.length > renderer.LOGO_LIMITS.maxBytes) {
+      return { error: `Logo must be smaller than ${renderer.LOGO_LIMITS.maxBytes / 1024}KB` };
+    }
+  } else {
+    // Only allow logos uploaded by the same user
+    if (!String(logo.s3Key).startsWith(`logos/${owner}/`)) {
+      return { error: 'Logo asset not found' };
+    }
+
+    buffer = cache?.get(logo.s3Key);
+    if (!buffer) {
+      try {
+        const object = await s3.getObject({
+          Bucket: S3_BUCKET,
+          Key: logo.s3Key
+        }).promise();
+        buffer = object.Body;
+      } catch (error) {
+        if (isMissingObject(error)) {
+          return { error: 'Logo asset not found' };
+        }
+        throw error;
+      }
+      cache?.set(logo.s3Key, buffer);
+    }
+  }
+
+  let image;
+  try {
+    image = await renderer.prepareLogo(buffer);
+  } catch (error) {
+    return { error: 'Logo must be a PNG, JPEG, WebP or SVG image' };
+  }
+
+  let s3Key = logo.s3Key;
+  if (logo.data) {
+    s3Key = `logos/${owner}/${uuidv4()}.png`;
+    await s3.putObject({
+      Bucket: S3_BUCKET,
+      Key: s3Key,
+      Body: image.png,
+      ContentType: 'image/png'
+    }).promise();
+    cache?.set(s3Key, image.png);
+  }
+
+  return {
+    logo: {
+      s3Key,
+      size: logo.size !== undefined ? Number(logo.size) : renderer.LOGO_LIMITS.defaultSize
+    },
+    image
+  };
+}
+
+// Logos are only usable by the account that uploaded them (resolveLogo
+// checks the logos/{userId}/ prefix), so a code changing owner gets its
+// own copy under the new owner's prefix
+async function copyLogo(customization, userId) {
+  if (!customization?.logo?.s3Key || customization.logo.s3Key.startsWith(`logos/${userId}/`)) {
+    return customization;
+  }
+
+  const s3Key = `logos/${userId}/${uuidv4()}.png`;
+  await s3.copyObject({
+    Bucket: S3_BUCKET,
+    CopySource: `${S3_BUCKET}/${customization.logo.s3Key}`,
+    Key: s3Key
+  }).promise();
+
+  return { ...customization, logo: { ...customization.logo, s3Key } };
+}
+
 async function checkUsageLimit(userId, resource, tier) {
   const user = await dynamodb.get({
     TableName: 'snapitqr-users',
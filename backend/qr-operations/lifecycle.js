@@ -0,0 +1,166 @@
+/**
+ * Dynamic QR Code Lifecycle
+ *
+ * Limits when a dynamic QR code redirects:
+ * - activatesAt: scans before this time are turned away
+ * - expiresAt: scans from this time on are turned away
+ * - maxScans: only this many scans are redirected
+ *
+ * Turned-away scans get the fallback stored under the name of the limit
+ * that triggered, either a URL to redirect to or a message page:
+ *
+ *   fallbacks: {
+ *     expiresAt: { url: 'https://example.com/event-over' },
+ *     maxScans: { message: 'All promo codes have been claimed' }
+ *   }
+ *
+ * Times are stored as ISO 8601 strings, as short URLs store expiresAt.
+ */
+
+const LIMITS = ['activatesAt', 'expiresAt', 'maxScans'];
+
+const DEFAULT_MESSAGES = {
+  activatesAt: 'This QR code is not active yet. Please try again later.',
+  expiresAt: 'This QR code has expired.',
+  maxScans: 'This QR code has reached its scan limit.'
+};
+
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Check lifecycle fields from a create or update request
+ * `current` holds the stored values on update; send a field as null to
+ * clear it. Returns { error } or { set, remove } with the fields to
+ * write and the ones to delete
+ */
+function validateLifecycle(body, current = {}) {
+  const set = {};
+  const remove = [];
+
+  for (const field of ['activatesAt', 'expiresAt']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      remove.push(field);
+      continue;
+    }
+
+    const time = new Date(body[field]);
+    if (isNaN(time)) {
+      return { error: `${field} must be an ISO 8601 time such as 2026-11-30T23:59:00Z` };
+    }
+    set[field] = time.toISOString();
+  }
+
+  if (body.maxScans !== undefined) {
+    if (body.maxScans === null) {
+      remove.push('maxScans');
+    } else if (!Number.isInteger(body.maxScans) || body.maxScans < 1) {
+      return { error: 'maxScans must be a whole number of at least 1' };
+    } else {
+      set.maxScans = body.maxScans;
+    }
+  }
+
+  const activatesAt = remove.includes('activatesAt') ? null : set.activatesAt || current.activatesAt;
+  const expiresAt = remove.includes('expiresAt') ? null : set.expiresAt || current.expiresAt;
+  if (activatesAt && expiresAt && activatesAt >= expiresAt) {
+    return { error: 'expiresAt must be later than activatesAt' };
+  }
+
+  if (body.fallbacks !== undefined) {
+    if (body.fallbacks === null) {
+      remove.push('fallbacks');
+    } else {
+      const fallbacks = validateFallbacks(body.fallbacks, current.fallbacks);
+      if (fallbacks.error) {
+        return { error: fallbacks.error };
+      }
+      if (Object.keys(fallbacks.fallbacks).length > 0) {
+        set.fallbacks = fallbacks.fallbacks;
+      } else {
+        remove.push('fallbacks');
+      }
+    }
+  }
+
+  return { set, remove };
+}
+
+// Merged over the stored fallbacks; null removes one
+function validateFallbacks(fallbacks, current = {}) {
+  if (typeof fallbacks !== 'object' || Array.isArray(fallbacks)) {
+    return { error: `fallbacks must be an object keyed by ${LIMITS.join(', ')}` };
+  }
+
+  const merged = { ...current };
+  for (const [limit, fallback] of Object.entries(fallbacks)) {
+    if (!LIMITS.includes(limit)) {
+      return { error: `fallbacks can only be set for ${LIMITS.join(', ')}` };
+    }
+
+    if (fallback === null) {
+      delete merged[limit];
+      continue;
+    }
+
+    if (!fallback || typeof fallback !== 'object' || (fallback.url === undefined) === (fallback.message === undefined)) {
+      return { error: `fallbacks.${limit} needs either a url or a message` };
+    }
+
+    if (fallback.url !== undefined) {
+      if (!isHttpUrl(fallback.url)) {
+        return { error: `fallbacks.${limit}.url must be an http or https URL` };
+      }
+      merged[limit] = { url: fallback.url };
+    } else {
+      if (typeof fallback.message !== 'string' || fallback.message.trim() === '' || fallback.message.length > MAX_MESSAGE_LENGTH) {
+        return { error: `fallbacks.${limit}.message must be text of at most ${MAX_MESSAGE_LENGTH} characters` };
+      }
+      merged[limit] = { message: fallback.message.trim() };
+    }
+  }
+
+  return { fallbacks: merged };
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Which limit, if any, turns away a scan at `now`
+ * Returns { limit, url } or { limit, message }, or null to redirect
+ */
+function check(qrCode, now = new Date()) {
+  let limit = null;
+  if (qrCode.activatesAt && now < new Date(qrCode.activatesAt)) {
+    limit = 'activatesAt';
+  } else if (qrCode.expiresAt && now >= new Date(qrCode.expiresAt)) {
+    limit = 'expiresAt';
+  } else if (qrCode.maxScans && (qrCode.scans || 0) >= qrCode.maxScans) {
+    limit = 'maxScans';
+  }
+
+  return limit ? fallbackFor(qrCode, limit) : null;
+}
+
+/**
+ * The stored fallback for a limit, or its default message
+ */
+function fallbackFor(qrCode, limit) {
+  const fallback = qrCode.fallbacks?.[limit];
+  if (fallback?.url) return { limit, url: fallback.url };
+  return { limit, message: fallback?.message || DEFAULT_MESSAGES[limit] };
+}
+
+module.exports = {
+  LIMITS,
+  validateLifecycle,
+  check,
+  fallbackFor
+};
@@ -0,0 +1,224 @@
+/**
+ * Shared List Query Module
+ *
+ * Search, filters, sorting and paging for the list endpoints
+ * (GET /qr-codes and GET /short-urls):
+ *
+ *   ?search=menu&status=active&type=dynamic
+ *   &from=2026-01-01&to=2026-03-31
+ *   &sort=scans&order=desc&limit=25&cursor=eyJz...
+ *
+ * Search matches any of the endpoint's text fields (name, title,
+ * destination), case-insensitively. `from` and `to` bound the creation
+ * date and take ISO dates or millisecond timestamps.
+ *
+ * Results come a page at a time. A response with more results has a
+ * `nextCursor`; send it back unchanged as ?cursor= with the same sort to
+ * get the next page. Each sort follows its own userId index (createdAt,
+ * sortName, scans or clicks) and the cursor holds the DynamoDB key to
+ * start after (a LastEvaluatedKey), so a page only reads as far as it
+ * needs to. Names sort by `sortName`, a lowercased copy of the name or
+ * title kept on the record (see toSortName()).
+ *
+ * Copied into qr-operations and url-operations; keep those copies
+ * identical to this file.
+ */
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const MAX_SEARCH_LENGTH = 200;
+const MAX_SORT_NAME_LENGTH = 200;
+
+/**
+ * Read the list parameters from a request's query string
+ * `config` describes the endpoint:
+ *   sorts:        sort name -> { field, index }, the record field sorted on
+ *                 and the userId index with that field as its range key
+ *   searchFields: record fields matched by ?search=
+ *   types:        values allowed for ?type=, or null when it has no types
+ *   keyFields:    the table's key fields plus userId; with the sort field
+ *                 they make up an index LastEvaluatedKey
+ * Returns { options } or { error }
+ */
+function parseListQuery(query = {}, config) {
+  const sort = query.sort || 'createdAt';
+  if (!config.sorts[sort]) {
+    return { error: `sort must be one of: ${Object.keys(config.sorts).join(', ')}` };
+  }
+
+  // Names read A-Z by default; dates and counts newest or highest first
+  const order = query.order || (sort === 'name' ? 'asc' : 'desc');
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+
+  const search = String(query.search || '').trim().toLowerCase();
+  if (search.length > MAX_SEARCH_LENGTH) {
+    return { error: `search must be at most ${MAX_SEARCH_LENGTH} characters` };
+  }
+
+  if (query.type && (!config.types || !config.types.includes(query.type))) {
+    return {
+      error: config.types
+        ? `type must be one of: ${config.types.join(', ')}`
+        : 'This list cannot be filtered by type'
+    };
+  }
+
+  const from = query.from ? toMillis(query.from) : null;
+  const to = query.to ? toMillis(query.to) : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'from and to must be ISO dates or millisecond timestamps' };
+  }
+  if (from !== null && to !== null && from > to) {
+    return { error: 'from must be before to' };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor, [...config.keyFields, config.sorts[sort].field]);
+    if (!cursor || cursor.sort !== `${sort}:${order}`) {
+      return { error: 'Invalid cursor; start again without one or keep the same sort' };
+    }
+  }
+
+  return {
+    options: {
+      search,
+      status: query.status || null,
+      type: query.type || null,
+      from,
+      // A date without a time covers that whole day
+      to: to !== null && /^\d{4}-\d{2}-\d{2}$/.test(query.to) ? to + 24 * 60 * 60 * 1000 - 1 : to,
+      sort,
+      field: config.sorts[sort].field,
+      index: config.sorts[sort].index,
+      order,
+      limit,
+      cursor
+    }
+  };
+}
+
+/**
+ * Whether a record passes the search, status, type and date filters
+ */
+function matchesQuery(record, options, config) {
+  if (options.status && (record.status || 'active') !== options.status) {
+    return false;
+  }
+
+  if (options.type && record.type !== options.type) {
+    return false;
+  }
+
+  const createdAt = toMillis(record.createdAt);
+  if ((options.from !== null && !(createdAt >= options.from)) || (options.to !== null && !(createdAt <= options.to))) {
+    return false;
+  }
+
+  if (options.search && !config.searchFields.some(field =>
+    String(record[field] || '').toLowerCase().includes(options.search))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Read one page of records
+ * `fetchPage(index, exclusiveStartKey, ascending)` queries the user's
+ * records on the given index and resolves to { Items, LastEvaluatedKey };
+ * `matches(record)` keeps a record. Resolves to { items, nextCursor }
+ */
+async function listPage(fetchPage, options, config, matches) {
+  const ascending = options.order === 'asc';
+  const items = [];
+  let startKey = options.cursor ? options.cursor.key : undefined;
+
+  do {
+    const result = await fetchPage(options.index, startKey, ascending);
+
+    for (let i = 0; i < result.Items.length; i++) {
+      const record = result.Items[i];
+
+      // Past the date range in the direction of travel, nothing else matches
+      if (options.sort === 'createdAt') {
+        const createdAt = toMillis(record.createdAt);
+        if ((ascending && options.to !== null && createdAt > options.to) ||
+            (!ascending && options.from !== null && createdAt < options.from)) {
+          return { items, nextCursor: null };
+        }
+      }
+
+      if (!matches(record)) continue;
+
+      items.push(record);
+      if (items.length === options.limit) {
+        const last = i === result.Items.length - 1 && !result.LastEvaluatedKey;
+        return {
+          items,
+          nextCursor: last ? null : encodeCursor({ sort: `${options.sort}:${options.order}`, key: keyOf(record, options, config) })
+        };
+      }
+    }
+
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  return { items, nextCursor: null };
+}
+
+/**
+ * The value stored as `sortName` for a name or title
+ * Lowercased so names sort A-Z regardless of case
+ */
+function toSortName(name) {
+  return String(name || '').trim().toLowerCase().slice(0, MAX_SORT_NAME_LENGTH) || ' ';
+}
+
+// The index key of a record, as DynamoDB would return it in LastEvaluatedKey
+function keyOf(record, options, config) {
+  return Object.fromEntries([...config.keyFields, options.field].map(field => [field, record[field]]));
+}
+
+function toMillis(value) {
+  if (typeof value === 'number') return value;
+  return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// A cursor is only used as an ExclusiveStartKey when its key has exactly
+// the index key fields, each a string or number; anything else would fail
+// in DynamoDB
+function decodeCursor(text, keyFields) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(text), 'base64url').toString('utf8'));
+    const fields = [...new Set(keyFields)];
+    const key = cursor?.key;
+    const valid = typeof cursor?.sort === 'string' &&
+      key && typeof key === 'object' && !Array.isArray(key) &&
+      Object.keys(key).length === fields.length &&
+      fields.every(field => typeof key[field] === 'string' || typeof key[field] === 'number');
+    return valid ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  matchesQuery,
+  listPage,
+  toSortName
+};
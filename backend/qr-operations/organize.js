@@ -0,0 +1,132 @@
+/**
+ * Shared Organization Module
+ *
+ * QR codes and short links can be filed in a folder, labelled with tags
+ * and grouped into a campaign:
+ *
+ *   folder: 'Clients/Acme/Spring 2026',
+ *   tags: ['print', 'in-store'],
+ *   campaignId: '8c0e...'
+ *
+ * Folders are paths of up to MAX_FOLDER_DEPTH names separated by `/`; a
+ * folder exists while something is filed in it. Tags are free-form and
+ * stored lowercased. Campaigns are their own records (qr-operations
+ * /campaigns); this module only checks the fields on QR codes and links.
+ *
+ * List endpoints take ?folder=, ?tag= and ?campaignId= filters. A folder
+ * filter includes its subfolders; several tags (comma-separated) must all
+ * be present.
+ *
+ * Copied into qr-operations and url-operations; keep those copies
+ * identical to this file.
+ */
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_FOLDER_DEPTH = 5;
+const MAX_FOLDER_NAME_LENGTH = 60;
+
+/**
+ * Check and normalize a folder path from a create or update request
+ * Send null or '' to take a record out of its folder. Returns { folder }
+ * (null when removed) or { error }
+ */
+function validateFolder(folder) {
+  if (folder === null || folder === undefined || folder === '') {
+    return { folder: null };
+  }
+
+  if (typeof folder !== 'string') {
+    return { error: 'folder must be a path such as Clients/Acme' };
+  }
+
+  const names = folder.split('/').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0) {
+    return { folder: null };
+  }
+
+  if (names.length > MAX_FOLDER_DEPTH) {
+    return { error: `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep` };
+  }
+
+  if (names.some(name => name.length > MAX_FOLDER_NAME_LENGTH)) {
+    return { error: `Folder names must be at most ${MAX_FOLDER_NAME_LENGTH} characters` };
+  }
+
+  return { folder: names.join('/') };
+}
+
+/**
+ * Check and normalize tags from a create or update request
+ * Accepts an array or a comma-separated string; send null or [] to remove
+ * all tags. Returns { tags } or { error }
+ */
+function validateTags(tags) {
+  if (tags === null || tags === undefined) {
+    return { tags: [] };
+  }
+
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+    return { error: 'tags must be a list of text labels' };
+  }
+
+  const normalized = [...new Set(list.map(normalizeTag).filter(Boolean))];
+
+  if (normalized.length > MAX_TAGS) {
+    return { error: `A maximum of ${MAX_TAGS} tags is allowed` };
+  }
+
+  const tooLong = normalized.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters (got ${tooLong.slice(0, MAX_TAG_LENGTH)}...)` };
+  }
+
+  return { tags: normalized };
+}
+
+function normalizeTag(tag) {
+  return tag.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Read ?folder=, ?tag= and ?campaignId= from a list request
+ * Returns { folder, tags, campaignId } with unset filters left null/empty
+ */
+function parseFilters(query = {}) {
+  const folder = validateFolder(query.folder || null);
+
+  return {
+    folder: folder.error ? query.folder : folder.folder,
+    tags: query.tag ? String(query.tag).split(',').map(normalizeTag).filter(Boolean) : [],
+    campaignId: query.campaignId || null
+  };
+}
+
+/**
+ * Whether a QR code or short link passes the filters from parseFilters()
+ */
+function matchesFilters(record, filters) {
+  if (filters.folder && record.folder !== filters.folder && !String(record.folder || '').startsWith(`${filters.folder}/`)) {
+    return false;
+  }
+
+  if (filters.tags.length > 0 && !filters.tags.every(tag => (record.tags || []).includes(tag))) {
+    return false;
+  }
+
+  if (filters.campaignId && record.campaignId !== filters.campaignId) {
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  MAX_TAGS,
+  MAX_FOLDER_DEPTH,
+  validateFolder,
+  validateTags,
+  parseFilters,
+  matchesFilters
+};
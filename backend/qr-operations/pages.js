@@ -0,0 +1,355 @@
+/**
+ * Hosted Landing Pages
+ *
+ * Small mobile pages built from JSON blocks and served as HTML from
+ * /p/{pageId} on the redirect domain, so a QR code or short link can point
+ * at a page without the owner hosting anything:
+ *
+ *   {
+ *     title: 'Spring Menu',
+ *     description: 'Seasonal dishes, served daily',
+ *     theme: { background: '#fff8f0', text: '#222222', accent: '#c0392b' },
+ *     blocks: [
+ *       { type: 'heading', text: 'Spring Menu', level: 1 },
+ *       { type: 'image', url: 'https://...', alt: 'Pasta', link: 'https://...' },
+ *       { type: 'text', text: 'Served daily from 12:00' },
+ *       { type: 'buttons', buttons: [{ label: 'Book a table', url: 'https://...' }] },
+ *       { type: 'social', links: [{ network: 'instagram', url: 'https://...' }] },
+ *       { type: 'file', url: 'https://...', label: 'Full menu (PDF)' }
+ *     ]
+ *   }
+ *
+ * Images and files may be sent as base64 `data` instead of a `url`; the
+ * caller uploads them and stores the resulting URL on the block. Page
+ * text is always escaped and theme colors are strict hex values, so the
+ * rendered HTML never contains owner-written markup or CSS.
+ */
+
+const PAGE_LIMITS = {
+  maxBlocks: 50,
+  maxTitle: 100,
+  maxDescription: 300,
+  maxHeading: 200,
+  maxText: 5000,
+  maxLabel: 100,
+  maxButtons: 10,
+  maxSocialLinks: 20
+};
+
+// Uploaded assets, checked by their leading bytes rather than the data URL
+const ASSET_LIMITS = {
+  image: { maxBytes: 2 * 1024 * 1024, types: ['png', 'jpeg', 'gif', 'webp'] },
+  file: { maxBytes: 4 * 1024 * 1024, types: ['pdf'] }
+};
+
+const ASSET_TYPES = {
+  png: { contentType: 'image/png', test: b => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  jpeg: { contentType: 'image/jpeg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  gif: { contentType: 'image/gif', test: b => b.slice(0, 4).toString('latin1') === 'GIF8' },
+  webp: { contentType: 'image/webp', test: b => b.slice(0, 4).toString('latin1') === 'RIFF' && b.slice(8, 12).toString('latin1') === 'WEBP' },
+  pdf: { contentType: 'application/pdf', test: b => b.slice(0, 5).toString('latin1') === '%PDF-' }
+};
+
+const BLOCK_TYPES = ['heading', 'text', 'image', 'buttons', 'social', 'file'];
+
+const SOCIAL_NETWORKS = {
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  x: 'X',
+  tiktok: 'TikTok',
+  youtube: 'YouTube',
+  linkedin: 'LinkedIn',
+  pinterest: 'Pinterest',
+  whatsapp: 'WhatsApp',
+  telegram: 'Telegram',
+  spotify: 'Spotify',
+  github: 'GitHub',
+  email: 'Email',
+  website: 'Website'
+};
+
+const DEFAULT_THEME = { background: '#ffffff', text: '#1f2937', accent: '#667eea' };
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Check a page from a create or update request
+ * `current` is the stored page on update; fields left out keep their
+ * stored values and `theme` is merged over the stored one. Returns
+ * { page } with title, description, theme and blocks, or { error }
+ */
+function validatePage(body, current = {}) {
+  const page = {
+    title: current.title,
+    description: current.description,
+    theme: current.theme,
+    blocks: current.blocks || []
+  };
+
+  if (body.title !== undefined) {
+    page.title = typeof body.title === 'string' ? body.title.trim() : '';
+  }
+  if (!page.title || page.title.length > PAGE_LIMITS.maxTitle) {
+    return { error: `title is required and must be at most ${PAGE_LIMITS.maxTitle} characters` };
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && (typeof body.description !== 'string' || body.description.length > PAGE_LIMITS.maxDescription)) {
+      return { error: `description must be text of at most ${PAGE_LIMITS.maxDescription} characters` };
+    }
+    page.description = body.description ? body.description.trim() : undefined;
+  }
+
+  if (body.theme !== undefined) {
+    if (body.theme !== null && (typeof body.theme !== 'object' || Array.isArray(body.theme))) {
+      return { error: 'theme must be an object with background, text and accent colors' };
+    }
+
+    const theme = body.theme === null ? {} : { ...current.theme, ...body.theme };
+    for (const [key, value] of Object.entries(theme)) {
+      if (!(key in DEFAULT_THEME)) {
+        return { error: `theme can only set ${Object.keys(DEFAULT_THEME).join(', ')}` };
+      }
+      if (value === null) {
+        delete theme[key];
+      } else if (!COLOR_PATTERN.test(value)) {
+        return { error: `theme.${key} must be a hex color such as #667eea` };
+      }
+    }
+    page.theme = Object.keys(theme).length > 0 ? theme : undefined;
+  }
+
+  if (body.blocks !== undefined) {
+    if (!Array.isArray(body.blocks) || body.blocks.length > PAGE_LIMITS.maxBlocks) {
+      return { error: `blocks must be an array of at most ${PAGE_LIMITS.maxBlocks} blocks` };
+    }
+
+    const blocks = [];
+    for (let i = 0; i < body.blocks.length; i++) {
+      const checked = validateBlock(body.blocks[i]);
+      if (checked.error) {
+        return { error: `Block ${i + 1}: ${checked.error}` };
+      }
+      blocks.push(checked.block);
+    }
+    page.blocks = blocks;
+  }
+
+  return { page };
+}
+
+function validateBlock(block) {
+  if (!block || typeof block !== 'object' || !BLOCK_TYPES.includes(block.type)) {
+    return { error: `type must be one of: ${BLOCK_TYPES.join(', ')}` };
+  }
+
+  switch (block.type) {
+    case 'heading': {
+      if (!isText(block.text, PAGE_LIMITS.maxHeading)) {
+        return { error: `text is required and must be at most ${PAGE_LIMITS.maxHeading} characters` };
+      }
+      const level = block.level === undefined ? 1 : block.level;
+      if (![1, 2, 3].includes(level)) {
+        return { error: 'level must be 1, 2 or 3' };
+      }
+      return { block: { type: 'heading', text: block.text.trim(), level } };
+    }
+
+    case 'text':
+      if (!isText(block.text, PAGE_LIMITS.maxText)) {
+        return { error: `text is required and must be at most ${PAGE_LIMITS.maxText} characters` };
+      }
+      return { block: { type: 'text', text: block.text.trim() } };
+
+    case 'image': {
+      const source = checkSource(block, 'image');
+      if (source.error) return source;
+      if (block.alt !== undefined && (typeof block.alt !== 'string' || block.alt.length > PAGE_LIMITS.maxLabel)) {
+        return { error: `alt must be text of at most ${PAGE_LIMITS.maxLabel} characters` };
+      }
+      if (block.link !== undefined && !isHttpUrl(block.link)) {
+        return { error: 'link must be an http or https URL' };
+      }
+      return {
+        block: {
+          type: 'image',
+          ...source.source,
+          ...(block.alt ? { alt: block.alt } : {}),
+          ...(block.link ? { link: block.link } : {})
+        }
+      };
+    }
+
+    case 'buttons': {
+      if (!Array.isArray(block.buttons) || block.buttons.length === 0 || block.buttons.length > PAGE_LIMITS.maxButtons) {
+        return { error: `buttons must list between 1 and ${PAGE_LIMITS.maxButtons} buttons` };
+      }
+      const buttons = [];
+      for (const [i, button] of block.buttons.entries()) {
+        if (!button || !isText(button.label, PAGE_LIMITS.maxLabel)) {
+          return { error: `button ${i + 1} needs a label of at most ${PAGE_LIMITS.maxLabel} characters` };
+        }
+        if (!isLinkUrl(button.url)) {
+          return { error: `button ${i + 1}: url must be an http, https, mailto or tel URL` };
+        }
+        buttons.push({ label: button.label.trim(), url: button.url });
+      }
+      return { block: { type: 'buttons', buttons } };
+    }
+
+    case 'social': {
+      if (!Array.isArray(block.links) || block.links.length === 0 || block.links.length > PAGE_LIMITS.maxSocialLinks) {
+        return { error: `links must list between 1 and ${PAGE_LIMITS.maxSocialLinks} links` };
+      }
+      const links = [];
+      for (const [i, link] of block.links.entries()) {
+        const network = String(link?.network || '').toLowerCase();
+        if (!SOCIAL_NETWORKS[network]) {
+          return { error: `link ${i + 1}: network must be one of: ${Object.keys(SOCIAL_NETWORKS).join(', ')}` };
+        }
+        if (!isLinkUrl(link.url)) {
+          return { error: `link ${i + 1}: url must be an http, https, mailto or tel URL` };
+        }
+        links.push({ network, url: link.url });
+      }
+      return { block: { type: 'social', links } };
+    }
+
+    case 'file': {
+      const source = checkSource(block, 'file');
+      if (source.error) return source;
+      if (!isText(block.label, PAGE_LIMITS.maxLabel)) {
+        return { error: `label is required and must be at most ${PAGE_LIMITS.maxLabel} characters` };
+      }
+      return { block: { type: 'file', ...source.source, label: block.label.trim() } };
+    }
+  }
+}
+
+// Exactly one of url or data; data is decoded now so bad uploads fail
+// before anything is stored
+function checkSource(block, kind) {
+  if ((block.url === undefined) === (block.data === undefined)) {
+    return { error: 'needs either a url or base64 data' };
+  }
+
+  if (block.url !== undefined) {
+    return isHttpUrl(block.url) ? { source: { url: block.url } } : { error: 'url must be an http or https URL' };
+  }
+
+  const asset = decodeAsset(block.data, kind);
+  return asset.error ? asset : { source: { data: block.data } };
+}
+
+/**
+ * Decode a base64 image or file upload and check its type and size
+ * Returns { buffer, contentType, extension } or { error }
+ */
+function decodeAsset(data, kind) {
+  const limits = ASSET_LIMITS[kind];
+  const buffer = Buffer.from(String(data).replace(/^data:[^;]+;base64,/, ''), 'base64');
+
+  if (buffer.length === 0) {
+    return { error: 'data must be base64-encoded' };
+  }
+  if (buffer.length > limits.maxBytes) {
+    return { error: `${kind === 'image' ? 'Images' : 'Files'} must be smaller than ${limits.maxBytes / (1024 * 1024)}MB` };
+  }
+
+  const type = limits.types.find(name => ASSET_TYPES[name].test(buffer));
+  if (!type) {
+    return { error: `data must be a ${limits.types.map(name => name.toUpperCase()).join(', ')} file` };
+  }
+
+  return { buffer, contentType: ASSET_TYPES[type].contentType, extension: type === 'jpeg' ? 'jpg' : type };
+}
+
+function isText(value, maxLength) {
+  return typeof value === 'string' && value.trim() !== '' && value.length <= maxLength;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+// Buttons and social links may also open mail or the dialer
+function isLinkUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:', 'mailto:', 'tel:'].includes(url.protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+    case 'text':
+      return `<p class="text">${escapeHtml(block.text)}</p>`;
+    case 'image': {
+      const image = `<img src="${escapeHtml(block.url)}" alt="${escapeHtml(block.alt || '')}" loading="lazy">`;
+      return block.link
+        ? `<a class="image" href="${escapeHtml(block.link)}" rel="noopener">${image}</a>`
+        : `<div class="image">${image}</div>`;
+    }
+    case 'buttons':
+      return '<div class="buttons">' + block.buttons.map(button =>
+        `<a class="button" href="${escapeHtml(button.url)}" rel="noopener">${escapeHtml(button.label)}</a>`
+      ).join('') + '</div>';
+    case 'social':
+      return '<div class="social">' + block.links.map(link =>
+        `<a href="${escapeHtml(link.url)}" rel="noopener">${SOCIAL_NETWORKS[link.network]}</a>`
+      ).join('') + '</div>';
+    case 'file':
+      return `<a class="button file" href="${escapeHtml(block.url)}" rel="noopener" download>📄 ${escapeHtml(block.label)}</a>`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Render a stored page as a standalone mobile HTML document
+ */
+function renderPage(page) {
+  const theme = { ...DEFAULT_THEME, ...page.theme };
+
+  return '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+    `<title>${escapeHtml(page.title)}</title><meta name="viewport" content="width=device-width, initial-scale=1">` +
+    (page.description ? `<meta name="description" content="${escapeHtml(page.description)}">` : '') +
+    `<meta property="og:title" content="${escapeHtml(page.title)}">` +
+    `<style>body{font-family:system-ui,-apple-system,sans-serif;margin:0;background:${theme.background};color:${theme.text};line-height:1.5}` +
+    'main{max-width:560px;margin:0 auto;padding:24px 20px 40px;display:flex;flex-direction:column;gap:16px}' +
+    'h1,h2,h3{margin:0;line-height:1.25}h1{font-size:1.9rem;text-align:center}h2{font-size:1.4rem}h3{font-size:1.15rem}' +
+    '.text{margin:0;white-space:pre-line}.image img{display:block;width:100%;height:auto;border-radius:12px}' +
+    '.buttons{display:flex;flex-direction:column;gap:10px}' +
+    `.button{display:block;padding:14px 16px;border-radius:10px;background:${theme.accent};color:#fff;text-align:center;font-weight:600;text-decoration:none}` +
+    `.social{display:flex;flex-wrap:wrap;justify-content:center;gap:8px}.social a{padding:8px 14px;border:2px solid ${theme.accent};border-radius:999px;color:${theme.accent};font-weight:600;text-decoration:none}` +
+    'footer{text-align:center;font-size:.8rem;opacity:.6;padding-bottom:24px}footer a{color:inherit}</style></head><body><main>' +
+    page.blocks.map(renderBlock).join('') +
+    '</main><footer><a href="https://snapitqr.com">Made with SnapIT QR</a></footer></body></html>';
+}
+
+module.exports = {
+  PAGE_LIMITS,
+  BLOCK_TYPES,
+  SOCIAL_NETWORKS,
+  validatePage,
+  decodeAsset,
+  renderPage
+};
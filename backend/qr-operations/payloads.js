@@ -0,0 +1,482 @@
+/**
+ * Structured QR Payloads
+ *
+ * Builds the encoded text for QR codes that scanners act on directly
+ * (join a network, save a contact, ...) from structured fields, so
+ * clients never hand-assemble escaped strings.
+ *
+ * Content types:
+ * - wifi: WIFI: network config (ZXing/MECARD-style escaping)
+ * - vcard: vCard 3.0 or 4.0 contact (RFC 2426 / RFC 6350)
+ * - sms: SMSTO: number and message
+ * - geo: geo: URI (RFC 5870)
+ * - event: iCalendar VEVENT (RFC 5545)
+ * - email: mailto: URI (RFC 6068)
+ * - epc, upi, swissqr, crypto: payment requests (see payments.js)
+ *
+ * The picked fields are returned alongside the content so they can be
+ * stored on the record and edited later.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const payments = require('./payments');
+
+const WIFI_ENCRYPTIONS = ['WPA', 'WEP', 'SAE', 'nopass'];
+const VCARD_VERSIONS = ['3.0', '4.0'];
+
+// ISO 8601 date or date-time with an optional UTC offset
+const EVENT_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9()\-.\s]{3,20}$/;
+
+// Longest text field accepted; keeps payloads inside a scannable QR version
+const MAX_TEXT_LENGTH = 1000;
+
+const CONTENT_TYPES = {
+  wifi: {
+    fields: ['ssid', 'password', 'encryption', 'hidden'],
+    build: buildWifi
+  },
+  vcard: {
+    fields: ['version', 'firstName', 'lastName', 'organization', 'title', 'phone', 'mobile', 'email', 'website', 'address', 'note'],
+    build: buildVCard
+  },
+  sms: {
+    fields: ['phone', 'message'],
+    build: buildSms
+  },
+  geo: {
+    fields: ['latitude', 'longitude', 'altitude'],
+    build: buildGeo
+  },
+  event: {
+    fields: ['uid', 'summary', 'start', 'end', 'allDay', 'timezone', 'location', 'description'],
+    build: buildEvent
+  },
+  email: {
+    fields: ['to', 'cc', 'bcc', 'subject', 'body'],
+    build: buildEmail
+  },
+  epc: {
+    fields: ['name', 'iban', 'bic', 'amount', 'purpose', 'reference', 'text', 'information'],
+    build: payments.buildEpc
+  },
+  upi: {
+    fields: ['vpa', 'name', 'amount', 'note', 'reference', 'merchantCode'],
+    build: payments.buildUpi
+  },
+  swissqr: {
+    fields: ['iban', 'creditor', 'amount', 'currency', 'debtor', 'reference', 'message', 'billInformation'],
+    build: payments.buildSwissQr
+  },
+  crypto: {
+    fields: ['currency', 'address', 'amount', 'label', 'message', 'chainId'],
+    build: payments.buildCrypto
+  }
+};
+
+/**
+ * Build QR content for a structured content type
+ * Returns { content, data } or { error }
+ */
+function buildPayload(contentType, input = {}) {
+  const spec = CONTENT_TYPES[contentType];
+  if (!spec) {
+    return { error: `Unsupported contentType: ${contentType}. Supported: ${Object.keys(CONTENT_TYPES).join(', ')}` };
+  }
+
+  const data = {};
+  spec.fields.forEach(field => {
+    if (input[field] !== undefined && input[field] !== null && input[field] !== '') {
+      data[field] = input[field];
+    }
+  });
+
+  const tooLong = spec.fields.find(field => typeof data[field] === 'string' && data[field].length > MAX_TEXT_LENGTH);
+  if (tooLong) {
+    return { error: `${tooLong} must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+
+  return spec.build(data);
+}
+
+/**
+ * WIFI:T:<auth>;S:<ssid>;P:<password>;H:<hidden>;;
+ */
+function buildWifi(data) {
+  if (typeof data.ssid !== 'string' || !data.ssid) {
+    return { error: 'ssid is required' };
+  }
+
+  if (Buffer.byteLength(data.ssid) > 32) {
+    return { error: 'ssid must be at most 32 bytes' };
+  }
+
+  const encryption = normalizeEncryption(data.encryption, data.password);
+  if (!encryption) {
+    return { error: `encryption must be one of: ${WIFI_ENCRYPTIONS.join(', ')}` };
+  }
+  data.encryption = encryption;
+
+  if (encryption === 'nopass') {
+    delete data.password;
+  } else if (typeof data.password !== 'string' || !data.password) {
+    return { error: `password is required for ${encryption} networks` };
+  } else if (encryption === 'WEP' && !/^([\x20-\x7e]{5}|[\x20-\x7e]{13}|[0-9a-f]{10}|[0-9a-f]{26})$/i.test(data.password)) {
+    return { error: 'WEP keys must be 5 or 13 characters, or 10 or 26 hex digits' };
+  } else if (encryption !== 'WEP' && (data.password.length < 8 || data.password.length > 63)) {
+    return { error: 'WPA passwords must be 8 to 63 characters' };
+  }
+
+  data.hidden = data.hidden === true || data.hidden === 'true';
+
+  const parts = [`T:${encryption}`, `S:${wifiValue(data.ssid)}`];
+  if (data.password) parts.push(`P:${wifiValue(data.password)}`);
+  if (data.hidden) parts.push('H:true');
+
+  return { content: `WIFI:${parts.join(';')};;`, data };
+}
+
+function normalizeEncryption(encryption, password) {
+  if (!encryption) return password ? 'WPA' : 'nopass';
+
+  const value = String(encryption).toUpperCase();
+  if (value === 'NONE' || value === 'NOPASS' || value === 'OPEN') return 'nopass';
+  if (value === 'WPA2' || value === 'WPA/WPA2') return 'WPA';
+  if (value === 'WPA3') return 'SAE';
+
+  return WIFI_ENCRYPTIONS.includes(value) ? value : null;
+}
+
+/**
+ * Escape \ ; , : " and quote values that would otherwise read as hex
+ */
+function wifiValue(value) {
+  const escaped = value.replace(/([\\;,:"])/g, '\\$1');
+  return /^[0-9a-f]+$/i.test(value) && value.length % 2 === 0 ? `"${escaped}"` : escaped;
+}
+
+/**
+ * vCard contact card; 3.0 by default for the widest scanner support
+ */
+function buildVCard(data) {
+  const version = data.version ? String(data.version) : '3.0';
+  if (!VCARD_VERSIONS.includes(version)) {
+    return { error: `version must be one of: ${VCARD_VERSIONS.join(', ')}` };
+  }
+  data.version = version;
+
+  const fullName = [data.firstName, data.lastName].filter(Boolean).join(' ') || data.organization;
+  if (!fullName) {
+    return { error: 'firstName, lastName or organization is required' };
+  }
+
+  for (const field of ['phone', 'mobile']) {
+    if (data[field] && !PHONE_PATTERN.test(data[field])) {
+      return { error: `${field} must be a phone number` };
+    }
+  }
+
+  if (data.email && !EMAIL_PATTERN.test(data.email)) {
+    return { error: 'email must be a valid email address' };
+  }
+
+  if (data.website && !/^https?:\/\//i.test(data.website)) {
+    return { error: 'website must start with http:// or https://' };
+  }
+
+  if (data.address !== undefined && (typeof data.address !== 'object' || Array.isArray(data.address))) {
+    return { error: 'address must be an object with street, city, region, postalCode and country' };
+  }
+
+  const v4 = version === '4.0';
+  const lines = ['BEGIN:VCARD', `VERSION:${version}`];
+
+  lines.push(`N:${[data.lastName, data.firstName, '', '', ''].map(v => vText(v || '')).join(';')}`);
+  lines.push(`FN:${vText(fullName)}`);
+  if (data.organization) lines.push(`ORG:${vText(data.organization)}`);
+  if (data.title) lines.push(`TITLE:${vText(data.title)}`);
+
+  if (data.phone) {
+    lines.push(v4 ? `TEL;VALUE=uri;TYPE="work,voice":tel:${telUri(data.phone)}` : `TEL;TYPE=WORK,VOICE:${data.phone}`);
+  }
+  if (data.mobile) {
+    lines.push(v4 ? `TEL;VALUE=uri;TYPE="cell,voice":tel:${telUri(data.mobile)}` : `TEL;TYPE=CELL,VOICE:${data.mobile}`);
+  }
+
+  if (data.email) lines.push(`EMAIL${v4 ? ';TYPE=work' : ';TYPE=INTERNET'}:${data.email}`);
+  if (data.website) lines.push(`URL:${data.website}`);
+
+  if (data.address) {
+    const a = data.address;
+    const adr = ['', '', a.street, a.city, a.region, a.postalCode, a.country].map(v => vText(v || ''));
+    lines.push(`ADR;TYPE=${v4 ? 'work' : 'WORK'}:${adr.join(';')}`);
+  }
+
+  if (data.note) lines.push(`NOTE:${vText(data.note)}`);
+  lines.push('END:VCARD');
+
+  return { content: lines.map(foldLine).join('\r\n'), data };
+}
+
+function telUri(phone) {
+  return phone.replace(/[\s().]/g, '');
+}
+
+/**
+ * SMSTO:<number>:<message>
+ */
+function buildSms(data) {
+  if (!data.phone || !PHONE_PATTERN.test(data.phone)) {
+    return { error: 'phone is required and must be a phone number' };
+  }
+
+  const number = telUri(data.phone);
+  return { content: data.message ? `SMSTO:${number}:${data.message}` : `SMSTO:${number}`, data };
+}
+
+/**
+ * geo:<lat>,<lng>[,<alt>]
+ */
+function buildGeo(data) {
+  const latitude = Number(data.latitude);
+  const longitude = Number(data.longitude);
+
+  if (data.latitude === undefined || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return { error: 'latitude must be a number between -90 and 90' };
+  }
+
+  if (data.longitude === undefined || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return { error: 'longitude must be a number between -180 and 180' };
+  }
+
+  const coordinates = [latitude, longitude];
+  if (data.altitude !== undefined) {
+    const altitude = Number(data.altitude);
+    if (!Number.isFinite(altitude)) {
+      return { error: 'altitude must be a number of meters' };
+    }
+    coordinates.push(altitude);
+  }
+
+  // Six decimals is ~10cm, more than any phone can resolve
+  const [lat, lng, alt] = coordinates.map(n => Number(n.toFixed(6)));
+  return {
+    content: `geo:${lat},${lng}${alt !== undefined ? `,${alt}` : ''}`,
+    data: { latitude: lat, longitude: lng, ...(alt !== undefined && { altitude: alt }) }
+  };
+}
+
+/**
+ * iCalendar VEVENT wrapped in a VCALENDAR
+ * Times are written either in UTC, which needs start/end with an offset
+ * (2026-06-01T18:00:00+02:00), or as local times in an IANA `timezone`
+ * (DTSTART;TZID=Europe/Zurich:...), which needs them without one.
+ * All-day events use the dates as written.
+ * `uid` is generated once and kept in the stored fields so rebuilds
+ * update the same calendar entry
+ */
+function buildEvent(data) {
+  if (!data.summary) {
+    return { error: 'summary is required' };
+  }
+
+  data.allDay = data.allDay === true || data.allDay === 'true';
+
+  if (data.timezone !== undefined && data.timezone !== null && data.timezone !== '') {
+    const timezone = canonicalTimeZone(data.timezone);
+    if (!timezone) {
+      return { error: 'timezone must be an IANA time zone such as Europe/Zurich' };
+    }
+    data.timezone = timezone;
+  } else {
+    delete data.timezone;
+  }
+
+  const start = parseEventTime(data.start);
+  if (!start) {
+    return { error: 'start must be an ISO 8601 date or date-time' };
+  }
+
+  let end = data.end ? parseEventTime(data.end) : null;
+  if (data.end && !end) {
+    return { error: 'end must be an ISO 8601 date or date-time' };
+  }
+
+  if (!data.allDay) {
+    for (const [field, time] of [['start', start], ['end', end]]) {
+      if (!time) continue;
+      if (data.timezone && time.offset) {
+        return { error: `${field} must be a local date-time without an offset when timezone is set` };
+      }
+      if (!data.timezone && !time.offset) {
+        return { error: `${field} must include a UTC offset such as 2026-06-01T18:00:00+02:00, or set timezone` };
+      }
+    }
+  }
+
+  // Compare and extend in the same frame: real instants when offsets are
+  // given, wall-clock times in the event's timezone otherwise
+  const at = time => (data.allDay || data.timezone ? time.wallClock : time.instant);
+
+  let endAt;
+  if (data.allDay) {
+    // DTEND is exclusive for all-day events
+    const last = at(end || start);
+    endAt = new Date(Date.UTC(last.getUTCFullYear(), last.getUTCMonth(), last.getUTCDate() + 1));
+  } else {
+    endAt = end ? at(end) : new Date(at(start).getTime() + 60 * 60 * 1000);
+  }
+
+  if (endAt <= at(start)) {
+    return { error: 'end must be after start' };
+  }
+
+  const dateLine = (name, date) => {
+    if (data.allDay) return `${name};VALUE=DATE:${icalDate(date)}`;
+    if (data.timezone) return `${name};TZID=${data.timezone}:${icalDateTime(date).replace(/Z$/, '')}`;
+    return `${name}:${icalDateTime(date)}`;
+  };
+
+  data.uid = data.uid || `${uuidv4()}@snapitqr.com`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SnapIT QR//Event QR//EN',
+    'BEGIN:VEVENT',
+    `UID:${data.uid}`,
+    `DTSTAMP:${icalDateTime(new Date())}`,
+    dateLine('DTSTART', at(start)),
+    dateLine('DTEND', endAt),
+    `SUMMARY:${vText(data.summary)}`
+  ];
+
+  if (data.location) lines.push(`LOCATION:${vText(data.location)}`);
+  if (data.description) lines.push(`DESCRIPTION:${vText(data.description)}`);
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return { content: lines.map(foldLine).join('\r\n'), data };
+}
+
+/**
+ * Parse an event start or end
+ * `wallClock` holds the date and time as written, stored as if they were
+ * UTC so they can be read back with getUTC*; `instant` is the actual
+ * moment, known only when an offset is given. Returns null when invalid
+ */
+function parseEventTime(value) {
+  const match = EVENT_TIME_PATTERN.exec(String(value ?? ''));
+  if (!match) return null;
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', offset] = match;
+  const wallClock = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+
+  // Date.UTC rolls over out-of-range fields (Feb 30th, 25:00) instead of failing
+  if (wallClock.toISOString().slice(0, 19) !== `${year}-${month}-${day}T${hour}:${minute}:${second}`) {
+    return null;
+  }
+
+  return { wallClock, instant: offset ? new Date(value) : null, offset: offset || null };
+}
+
+/**
+ * Canonical spelling of an IANA time zone name, or null if unknown
+ */
+function canonicalTimeZone(zone) {
+  if (!/^[A-Za-z][A-Za-z0-9_+\-/]*$/.test(String(zone))) return null;
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: zone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+function icalDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function icalDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * mailto:<to>?cc=&bcc=&subject=&body=
+ */
+function buildEmail(data) {
+  const recipients = {};
+
+  for (const field of ['to', 'cc', 'bcc']) {
+    if (data[field] === undefined) continue;
+
+    const list = Array.isArray(data[field]) ? data[field] : String(data[field]).split(',');
+    const addresses = list.map(a => String(a).trim()).filter(Boolean);
+    const invalid = addresses.find(a => !EMAIL_PATTERN.test(a));
+    if (invalid) {
+      return { error: `${field} contains an invalid email address: ${invalid}` };
+    }
+    recipients[field] = addresses;
+    data[field] = addresses;
+  }
+
+  if (!recipients.to || recipients.to.length === 0) {
+    return { error: 'to is required' };
+  }
+
+  const query = [];
+  if (recipients.cc) query.push(`cc=${recipients.cc.map(mailtoAddress).join(',')}`);
+  if (recipients.bcc) query.push(`bcc=${recipients.bcc.map(mailtoAddress).join(',')}`);
+  // RFC 6068 wants CRLF line breaks in the body
+  if (data.subject) query.push(`subject=${encodeURIComponent(data.subject)}`);
+  if (data.body) query.push(`body=${encodeURIComponent(String(data.body).replace(/\r?\n/g, '\r\n'))}`);
+
+  const to = recipients.to.map(mailtoAddress).join(',');
+  return { content: `mailto:${to}${query.length > 0 ? `?${query.join('&')}` : ''}`, data };
+}
+
+function mailtoAddress(address) {
+  return encodeURIComponent(address).replace(/%40/g, '@');
+}
+
+/**
+ * Escape a TEXT value for vCard and iCalendar
+ */
+function vText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold content lines longer than 75 octets (vCard and iCalendar)
+ * Continuation lines start with a single space
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let limit = 75;
+
+  // Iterate by code point so multi-byte characters are never split
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74; // leading space counts towards the 75
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  buildPayload
+};
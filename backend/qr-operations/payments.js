@@ -0,0 +1,525 @@
+/**
+ * Payment QR Payloads
+ *
+ * Builders for the payment content types in payloads.js. Each one
+ * validates its fields (account checksums, amount precision, length
+ * limits) so the code a customer prints is one a banking app accepts.
+ *
+ * - epc: EPC069-12 SEPA credit transfer ("GiroCode"), version 002, UTF-8
+ * - upi: UPI deep link (upi://pay) as used by Indian payment apps
+ * - swissqr: Swiss QR-bill payload (SPC 0200). renderer.js draws the
+ *   Swiss cross the standard requires in the middle of the code
+ * - crypto: BIP 21 bitcoin: and EIP-681 ethereum: payment URIs
+ */
+
+const crypto = require('crypto');
+
+// IBAN lengths from the SWIFT IBAN registry
+const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BI: 27,
+  BR: 29, BY: 28, CH: 21, CR: 22, CY: 28, CZ: 24, DE: 22, DJ: 27, DK: 18, DO: 28,
+  EE: 20, EG: 29, ES: 24, FI: 18, FK: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23,
+  GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22, IL: 23, IQ: 23, IS: 26, IT: 27,
+  JO: 30, KW: 30, KZ: 20, LB: 28, LC: 32, LI: 21, LT: 20, LU: 20, LV: 21, LY: 25,
+  MC: 27, MD: 24, ME: 22, MK: 19, MN: 20, MR: 27, MT: 31, MU: 30, NI: 28, NL: 18,
+  NO: 15, OM: 23, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, RU: 33,
+  SA: 24, SC: 31, SD: 18, SE: 24, SI: 19, SK: 24, SM: 27, SO: 23, ST: 25, SV: 28,
+  TL: 23, TN: 24, TR: 26, UA: 29, VA: 22, VG: 24, XK: 20, YE: 30
+};
+
+// Countries in the SEPA scheme (EPC409-09)
+const SEPA_COUNTRIES = [
+  'AD', 'AT', 'BE', 'BG', 'CH', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GB',
+  'GI', 'GR', 'HR', 'HU', 'IE', 'IS', 'IT', 'LI', 'LT', 'LU', 'LV', 'MC', 'MT', 'NL',
+  'NO', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK', 'SM', 'VA'
+];
+
+const BIC_PATTERN = /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+const UPI_VPA_PATTERN = /^[a-zA-Z0-9.\-_]{2,256}@[a-zA-Z][a-zA-Z0-9]{2,64}$/;
+const ETHEREUM_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// Characters allowed in Swiss QR-bill text fields (Latin subset, v2.3)
+const SWISS_TEXT_PATTERN = /^[\u0020-\u007E\u00A0-\u017F\u0218-\u021B\u20AC]*$/;
+
+const EPC_LIMITS = { maxAmount: 999999999.99, maxBytes: 331 };
+const SWISS_LIMITS = { maxAmount: 999999999.99, maxLength: 997 };
+const SWISS_CURRENCIES = ['CHF', 'EUR'];
+
+// QR type and version lines every Swiss QR-bill payload starts with
+const SWISS_QR_HEADER = 'SPC\r\n0200\r\n';
+
+const CRYPTO_CURRENCIES = {
+  bitcoin: { decimals: 8, maxAmount: 21000000 },
+  ethereum: { decimals: 18 }
+};
+
+/**
+ * Check an IBAN's country length and ISO 7064 mod 97 checksum
+ * Returns the IBAN without spaces, upper-cased, or null when invalid
+ */
+function normalizeIban(value) {
+  const iban = String(value || '').replace(/\s+/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban) || IBAN_LENGTHS[iban.slice(0, 2)] !== iban.length) {
+    return null;
+  }
+
+  return mod97(iban.slice(4) + iban.slice(0, 4)) === 1 ? iban : null;
+}
+
+/**
+ * ISO 11649 creditor reference (RF + 2 check digits + up to 21 characters)
+ */
+function isCreditorReference(value) {
+  const reference = String(value).replace(/\s+/g, '').toUpperCase();
+  return /^RF\d{2}[A-Z0-9]{1,21}$/.test(reference) && mod97(reference.slice(4) + reference.slice(0, 4)) === 1;
+}
+
+// Letters count as 10-35; the number is reduced in chunks to stay exact
+function mod97(text) {
+  const digits = text.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (let i = 0; i < digits.length; i += 7) {
+    remainder = Number(String(remainder) + digits.slice(i, i + 7)) % 97;
+  }
+  return remainder;
+}
+
+/**
+ * Parse an amount with at most `decimals` places
+ * Returns the amount as a plain decimal string, or null when invalid
+ */
+function normalizeAmount(value, decimals) {
+  const text = String(value).trim();
+  const pattern = new RegExp(`^\\d+(\\.\\d{1,${decimals}})?$`);
+  if (!pattern.test(text) || Number(text) <= 0) return null;
+
+  // Drop leading zeros but keep the digits as given, so 0.1 BTC stays exact
+  return text.replace(/^0+(?=\d)/, '');
+}
+
+function amountError(field, decimals, max) {
+  return `${field} must be a positive number with at most ${decimals} decimal places${max ? ` and no more than ${max}` : ''}`;
+}
+
+/**
+ * EPC069-12 SEPA credit transfer
+ * Lines: BCD, version, charset, SCT, BIC, name, IBAN, amount, purpose,
+ * structured reference, remittance text, information
+ */
+function buildEpc(data) {
+  if (typeof data.name !== 'string' || !data.name.trim() || data.name.length > 70) {
+    return { error: 'name is required and must be at most 70 characters' };
+  }
+
+  const iban = normalizeIban(data.iban);
+  if (!iban) {
+    return { error: 'iban must be a valid IBAN (check the country length and check digits)' };
+  }
+  if (!SEPA_COUNTRIES.includes(iban.slice(0, 2))) {
+    return { error: `SEPA transfers need an IBAN from a SEPA country; ${iban.slice(0, 2)} is not one` };
+  }
+  data.iban = iban;
+
+  if (data.bic !== undefined) {
+    data.bic = String(data.bic).replace(/\s+/g, '').toUpperCase();
+    if (!BIC_PATTERN.test(data.bic)) {
+      return { error: 'bic must be an 8 or 11 character BIC' };
+    }
+  }
+
+  let amount = '';
+  if (data.amount !== undefined) {
+    const value = normalizeAmount(data.amount, 2);
+    if (!value || Number(value) < 0.01 || Number(value) > EPC_LIMITS.maxAmount) {
+      return { error: amountError('amount', 2, EPC_LIMITS.maxAmount) };
+    }
+    data.amount = value;
+    amount = `EUR${value}`;
+  }
+
+  if (data.purpose !== undefined && !/^[A-Z0-9]{4}$/.test(String(data.purpose).toUpperCase())) {
+    return { error: 'purpose must be a 4 character ISO 20022 purpose code, e.g. GDDS' };
+  }
+
+  if (data.reference !== undefined && data.text !== undefined) {
+    return { error: 'Use either reference (structured RF reference) or text (free text), not both' };
+  }
+  if (data.reference !== undefined) {
+    if (!isCreditorReference(data.reference)) {
+      return { error: 'reference must be an ISO 11649 creditor reference such as RF18539007547034' };
+    }
+    data.reference = String(data.reference).replace(/\s+/g, '').toUpperCase();
+  }
+  if (data.text !== undefined && String(data.text).length > 140) {
+    return { error: 'text must be at most 140 characters' };
+  }
+  if (data.information !== undefined && String(data.information).length > 70) {
+    return { error: 'information must be at most 70 characters' };
+  }
+
+  const lines = [
+    'BCD',
+    '002',
+    '1',
+    'SCT',
+    data.bic || '',
+    data.name.trim(),
+    iban,
+    amount,
+    data.purpose ? String(data.purpose).toUpperCase() : '',
+    data.reference || '',
+    data.text || '',
+    data.information || ''
+  ];
+
+  // Trailing empty lines are left out
+  while (lines[lines.length - 1] === '') lines.pop();
+  const content = lines.join('\n');
+
+  if (Buffer.byteLength(content) > EPC_LIMITS.maxBytes) {
+    return { error: `SEPA payload must be at most ${EPC_LIMITS.maxBytes} bytes; shorten the name or text` };
+  }
+
+  return { content, data };
+}
+
+/**
+ * upi://pay?pa=<vpa>&pn=<name>&am=<amount>&cu=INR&tn=<note>&tr=<reference>
+ */
+function buildUpi(data) {
+  if (!UPI_VPA_PATTERN.test(String(data.vpa || ''))) {
+    return { error: 'vpa is required and must be a UPI ID like name@bank' };
+  }
+
+  if (typeof data.name !== 'string' || !data.name.trim() || data.name.length > 99) {
+    return { error: 'name is required and must be at most 99 characters' };
+  }
+
+  const params = [['pa', data.vpa], ['pn', data.name.trim()]];
+
+  if (data.amount !== undefined) {
+    const value = normalizeAmount(data.amount, 2);
+    if (!value) {
+      return { error: amountError('amount', 2) };
+    }
+    data.amount = value;
+    params.push(['am', value]);
+  }
+  params.push(['cu', 'INR']);
+
+  if (data.note !== undefined) {
+    if (String(data.note).length > 80) {
+      return { error: 'note must be at most 80 characters' };
+    }
+    params.push(['tn', data.note]);
+  }
+
+  if (data.reference !== undefined) {
+    if (!/^[A-Za-z0-9\-_.]{1,35}$/.test(String(data.reference))) {
+      return { error: 'reference must be up to 35 letters, digits, dots, dashes or underscores' };
+    }
+    params.push(['tr', data.reference]);
+  }
+
+  if (data.merchantCode !== undefined) {
+    if (!/^\d{4}$/.test(String(data.merchantCode))) {
+      return { error: 'merchantCode must be a 4 digit merchant category code' };
+    }
+    params.push(['mc', data.merchantCode]);
+  }
+
+  // Payment apps expect the @ of the UPI ID unescaped
+  const query = params.map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`).join('&');
+  return { content: `upi://pay?${query}`, data };
+}
+
+/**
+ * Swiss QR-bill (Swiss Payment Standards, SPC version 0200)
+ * QR-IBANs need a 27 digit QR reference; other IBANs take an RF creditor
+ * reference or none. Addresses use the structured (S) form
+ */
+function buildSwissQr(data) {
+  const iban = normalizeIban(data.iban);
+  if (!iban || !['CH', 'LI'].includes(iban.slice(0, 2))) {
+    return { error: 'iban must be a valid Swiss (CH) or Liechtenstein (LI) IBAN or QR-IBAN' };
+  }
+  data.iban = iban;
+
+  const creditor = swissAddress(data.creditor, 'creditor');
+  if (creditor.error) return creditor;
+
+  const debtor = data.debtor !== undefined ? swissAddress(data.debtor, 'debtor') : null;
+  if (debtor?.error) return debtor;
+
+  const currency = String(data.currency || 'CHF').toUpperCase();
+  if (!SWISS_CURRENCIES.includes(currency)) {
+    return { error: `currency must be one of: ${SWISS_CURRENCIES.join(', ')}` };
+  }
+  data.currency = currency;
+
+  let amount = '';
+  if (data.amount !== undefined) {
+    const value = normalizeAmount(data.amount, 2);
+    if (!value || Number(value) < 0.01 || Number(value) > SWISS_LIMITS.maxAmount) {
+      return { error: amountError('amount', 2, SWISS_LIMITS.maxAmount) };
+    }
+    data.amount = value;
+    amount = Number(value).toFixed(2);
+  }
+
+  // QR-IBANs have an institution id (IID) of 30000-31999
+  const isQrIban = /^3[01]\d{3}$/.test(iban.slice(4, 9));
+  const reference = data.reference !== undefined ? String(data.reference).replace(/\s+/g, '').toUpperCase() : '';
+  let referenceType = 'NON';
+
+  if (isQrIban) {
+    if (!/^\d{27}$/.test(reference) || swissCheckDigit(reference.slice(0, 26)) !== reference[26]) {
+      return { error: 'A QR-IBAN needs a 27 digit QR reference with a valid check digit' };
+    }
+    referenceType = 'QRR';
+  } else if (reference) {
+    if (!isCreditorReference(reference)) {
+      return { error: 'reference must be an ISO 11649 creditor reference (RF...); QR references need a QR-IBAN' };
+    }
+    referenceType = 'SCOR';
+  }
+  if (reference) data.reference = reference;
+
+  for (const field of ['message', 'billInformation']) {
+    if (data[field] === undefined) continue;
+    if (String(data[field]).length > 140 || !SWISS_TEXT_PATTERN.test(String(data[field]))) {
+      return { error: `${field} must be at most 140 characters from the Latin character set` };
+    }
+  }
+
+  const lines = [
+    ...SWISS_QR_HEADER.split('\r\n').slice(0, -1),
+    '1',
+    iban,
+    ...creditor.lines,
+    // Ultimate creditor: reserved, always empty
+    '', '', '', '', '', '', '',
+    amount,
+    currency,
+    ...(debtor ? debtor.lines : ['', '', '', '', '', '', '']),
+    referenceType,
+    reference,
+    data.message || '',
+    'EPD',
+    ...(data.billInformation ? [data.billInformation] : [])
+  ];
+  const content = lines.join('\r\n');
+
+  if (content.length > SWISS_LIMITS.maxLength) {
+    return { error: `Swiss QR-bill payload must be at most ${SWISS_LIMITS.maxLength} characters` };
+  }
+
+  return { content, data };
+}
+
+/**
+ * Whether QR content is a Swiss QR-bill payload
+ */
+function isSwissQrBill(content) {
+  return String(content).startsWith(SWISS_QR_HEADER);
+}
+
+function swissAddress(address, field) {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    return { error: `${field} must be an object with name, street, buildingNumber, postalCode, town and country` };
+  }
+
+  const limits = { name: 70, street: 70, buildingNumber: 16, postalCode: 16, town: 35 };
+  for (const [key, max] of Object.entries(limits)) {
+    const value = address[key] === undefined ? '' : String(address[key]);
+    if (value.length > max || !SWISS_TEXT_PATTERN.test(value)) {
+      return { error: `${field}.${key} must be at most ${max} characters from the Latin character set` };
+    }
+  }
+
+  if (!address.name || !address.postalCode || !address.town) {
+    return { error: `${field}.name, ${field}.postalCode and ${field}.town are required` };
+  }
+
+  const country = String(address.country || '').toUpperCase();
+  if (!/^[A-Z]{2}$/.test(country)) {
+    return { error: `${field}.country must be a 2 letter ISO country code` };
+  }
+
+  return {
+    lines: ['S', address.name, address.street || '', address.buildingNumber || '', address.postalCode, address.town, country].map(String)
+  };
+}
+
+/**
+ * Modulo 10 recursive check digit used by Swiss QR references
+ */
+function swissCheckDigit(digits) {
+  const table = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+  const carry = [...digits].reduce((c, digit) => table[(c + Number(digit)) % 10], 0);
+  return String((10 - carry) % 10);
+}
+
+/**
+ * bitcoin:<address>?amount=&label=&message= (BIP 21)
+ * ethereum:<address>[@chainId]?value=<wei> (EIP-681)
+ */
+function buildCrypto(data) {
+  const currency = String(data.currency || '').toLowerCase();
+  const spec = CRYPTO_CURRENCIES[currency];
+  if (!spec) {
+    return { error: `currency must be one of: ${Object.keys(CRYPTO_CURRENCIES).join(', ')}` };
+  }
+  data.currency = currency;
+
+  let amount;
+  if (data.amount !== undefined) {
+    amount = normalizeAmount(data.amount, spec.decimals);
+    if (!amount || (spec.maxAmount && Number(amount) > spec.maxAmount)) {
+      return { error: amountError('amount', spec.decimals, spec.maxAmount) };
+    }
+    data.amount = amount;
+  }
+
+  return currency === 'bitcoin' ? buildBitcoin(data, amount) : buildEthereum(data, amount);
+}
+
+function buildBitcoin(data, amount) {
+  const address = String(data.address || '').trim();
+  if (!isBitcoinAddress(address)) {
+    return { error: 'address must be a valid Bitcoin mainnet address (1..., 3... or bc1...)' };
+  }
+  data.address = address;
+
+  const params = [];
+  if (amount) params.push(`amount=${amount}`);
+  if (data.label) params.push(`label=${encodeURIComponent(data.label)}`);
+  if (data.message) params.push(`message=${encodeURIComponent(data.message)}`);
+
+  return { content: `bitcoin:${address}${params.length > 0 ? `?${params.join('&')}` : ''}`, data };
+}
+
+function buildEthereum(data, amount) {
+  // EIP-55 mixed-case checksums need Keccak-256, which Node's crypto lacks,
+  // so the address is only checked for shape
+  const address = String(data.address || '').trim();
+  if (!ETHEREUM_ADDRESS_PATTERN.test(address)) {
+    return { error: 'address must be a 0x-prefixed Ethereum address of 40 hex digits' };
+  }
+  data.address = address;
+
+  let chain = '';
+  if (data.chainId !== undefined) {
+    const chainId = Number(data.chainId);
+    if (!Number.isInteger(chainId) || chainId < 1) {
+      return { error: 'chainId must be a positive whole number (1 is Ethereum mainnet)' };
+    }
+    data.chainId = chainId;
+    chain = `@${chainId}`;
+  }
+
+  return { content: `ethereum:${address}${chain}${amount ? `?value=${toWei(amount)}` : ''}`, data };
+}
+
+// Exact decimal ETH to wei conversion (no floating point)
+function toWei(amount) {
+  const [whole, fraction = ''] = amount.split('.');
+  return (BigInt(whole) * 10n ** 18n + BigInt(fraction.padEnd(18, '0'))).toString();
+}
+
+/**
+ * Base58Check (P2PKH / P2SH) or bech32 / bech32m (SegWit) mainnet address
+ */
+function isBitcoinAddress(address) {
+  if (/^bc1/i.test(address)) return isSegwitAddress(address);
+
+  const bytes = base58Decode(address);
+  if (!bytes || bytes.length !== 25 || ![0x00, 0x05].includes(bytes[0])) return false;
+
+  const payload = bytes.subarray(0, 21);
+  const checksum = crypto.createHash('sha256').update(crypto.createHash('sha256').update(payload).digest()).digest();
+  return checksum.subarray(0, 4).equals(bytes.subarray(21));
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Decode(text) {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) return null;
+    value = value * 58n + BigInt(digit);
+  }
+
+  const hex = value.toString(16);
+  const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  const leadingZeros = text.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), value === 0n ? Buffer.alloc(0) : body]);
+}
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONSTANT = 1;
+const BECH32M_CONSTANT = 0x2bc830a3;
+
+function isSegwitAddress(address) {
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) return false;
+
+  const lower = address.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  const hrp = lower.slice(0, separator);
+  const data = [...lower.slice(separator + 1)].map(char => BECH32_CHARSET.indexOf(char));
+  if (hrp !== 'bc' || data.length < 7 || lower.length > 90 || data.includes(-1)) return false;
+
+  const expanded = [...hrp].map(c => c.charCodeAt(0) >> 5).concat([0], [...hrp].map(c => c.charCodeAt(0) & 31));
+  const constant = bech32Polymod([...expanded, ...data]);
+
+  // Witness version 0 uses bech32, later versions bech32m (BIP 350)
+  const version = data[0];
+  if (version > 16 || constant !== (version === 0 ? BECH32_CONSTANT : BECH32M_CONSTANT)) return false;
+
+  const program = convertBits(data.slice(1, -6), 5, 8);
+  if (!program || program.length < 2 || program.length > 40) return false;
+  return version !== 0 || program.length === 20 || program.length === 32;
+}
+
+function bech32Polymod(values) {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    generators.forEach((generator, i) => {
+      if ((top >>> i) & 1) checksum ^= generator;
+    });
+  }
+  return checksum >>> 0;
+}
+
+// Regroup 5-bit words into bytes; leftover bits must be zero padding
+function convertBits(words, from, to) {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const mask = (1 << to) - 1;
+
+  for (const word of words) {
+    accumulator = ((accumulator << from) | word) & ((1 << (from + to - 1)) - 1);
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      result.push((accumulator >> bits) & mask);
+    }
+  }
+
+  if (bits >= from || ((accumulator << (to - bits)) & mask)) return null;
+  return result;
+}
+
+module.exports = {
+  normalizeIban,
+  buildEpc,
+  buildUpi,
+  buildSwissQr,
+  isSwissQrBill,
+  buildCrypto
+};
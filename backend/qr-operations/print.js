@@ -0,0 +1,163 @@
+/**
+ * Print Sizing
+ *
+ * `customization.print` requests a physical size instead of pixels:
+ *   { size: 30, unit: 'mm', dpi: 300, bleed: 3, cropMarks: true }
+ *
+ * `size` is the symbol width including its quiet zone, like the pixel
+ * `size` it replaces. PNGs are rasterized at `dpi` and tagged with it, SVGs
+ * get absolute width/height, and PDF/EPS pages are sized in points with the
+ * bleed and crop marks around the trim box.
+ *
+ * Module size guidance follows common print practice: modules under
+ * ~0.25 mm are unreliable on phone cameras, 0.4 mm and up scans
+ * comfortably at arm's length, and each module should span a few printer
+ * dots so rounding does not thin out light or dark modules.
+ */
+
+const UNITS = {
+  mm: 25.4,
+  in: 1
+};
+
+const DPI_OPTIONS = [300, 600];
+const DEFAULT_DPI = 300;
+
+const LIMITS = {
+  minSizeMm: 10,
+  maxSizeMm: 1000,
+  maxBleedMm: 10,
+  maxPixels: 6000
+};
+
+const MODULE_SIZE = {
+  minimumMm: 0.25,
+  recommendedMm: 0.4,
+  minimumDots: 3
+};
+
+// Crop mark geometry in points: gap from the trim corner, line length, stroke
+const CROP_MARKS = {
+  offset: 3,
+  length: 12,
+  lineWidth: 0.25
+};
+
+function toInches(value, unit) {
+  return value / UNITS[unit];
+}
+
+function toMm(value, unit) {
+  return toInches(value, unit) * UNITS.mm;
+}
+
+/**
+ * Fill in defaults for a customization.print object
+ */
+function normalize(print) {
+  if (!print) return null;
+
+  return {
+    size: Number(print.size),
+    unit: print.unit || 'mm',
+    dpi: Number(print.dpi) || DEFAULT_DPI,
+    bleed: Number(print.bleed) || 0,
+    cropMarks: print.cropMarks === true || print.cropMarks === 'true'
+  };
+}
+
+/**
+ * Check a customization.print object
+ * Returns an error message, or null when the settings are usable
+ */
+function validate(print) {
+  if (typeof print !== 'object' || print === null) {
+    return 'print must be an object like { size: 30, unit: "mm", dpi: 300 }';
+  }
+
+  if (print.unit !== undefined && !UNITS[print.unit]) {
+    return `print.unit must be one of: ${Object.keys(UNITS).join(', ')}`;
+  }
+
+  const p = normalize(print);
+
+  if (!Number.isFinite(p.size) || p.size <= 0) {
+    return 'print.size must be a positive number';
+  }
+
+  const sizeMm = toMm(p.size, p.unit);
+  if (sizeMm < LIMITS.minSizeMm || sizeMm > LIMITS.maxSizeMm) {
+    return `print.size must be between ${LIMITS.minSizeMm} mm and ${LIMITS.maxSizeMm} mm (got ${Number(sizeMm.toFixed(1))} mm)`;
+  }
+
+  if (!DPI_OPTIONS.includes(p.dpi)) {
+    return `print.dpi must be one of: ${DPI_OPTIONS.join(', ')}`;
+  }
+
+  if (!Number.isFinite(p.bleed) || p.bleed < 0 || toMm(p.bleed, p.unit) > LIMITS.maxBleedMm) {
+    return `print.bleed must be between 0 and ${LIMITS.maxBleedMm} mm`;
+  }
+
+  if (pixelWidth(p) > LIMITS.maxPixels) {
+    return `print.size is too large for ${p.dpi} DPI; the image would be over ${LIMITS.maxPixels} pixels wide. Use a smaller size or lower DPI`;
+  }
+
+  return null;
+}
+
+/**
+ * Raster width in pixels for the symbol at the requested DPI
+ */
+function pixelWidth(print) {
+  return Math.round(toInches(print.size, print.unit) * print.dpi);
+}
+
+/**
+ * Convert a length in the print unit to PostScript points
+ */
+function toPoints(value, unit) {
+  return toInches(value, unit) * 72;
+}
+
+/**
+ * Judge the physical module size of a symbol
+ * `modules` is the symbol width in modules, quiet zone included
+ */
+function assess(print, modules) {
+  const moduleMm = toMm(print.size, print.unit) / modules;
+  const moduleDots = toInches(print.size, print.unit) * print.dpi / modules;
+  const recommendedSize = MODULE_SIZE.recommendedMm * modules / UNITS.mm * UNITS[print.unit];
+  const warnings = [];
+
+  const sizeHint = `print it at least ${Number(recommendedSize.toFixed(print.unit === 'mm' ? 0 : 2))} ${print.unit} wide or shorten the content / lower error correction`;
+
+  if (moduleMm < MODULE_SIZE.minimumMm) {
+    warnings.push(`Modules are ${moduleMm.toFixed(2)} mm at this print size, too small for most phone cameras; ${sizeHint}`);
+  } else if (moduleMm < MODULE_SIZE.recommendedMm) {
+    warnings.push(`Modules are ${moduleMm.toFixed(2)} mm at this print size and may only scan up close; ${sizeHint}`);
+  }
+
+  if (moduleDots < MODULE_SIZE.minimumDots) {
+    warnings.push(`Each module is only ${moduleDots.toFixed(1)} dots at ${print.dpi} DPI; use 600 DPI or a larger size`);
+  }
+
+  return {
+    moduleSizeMm: Number(moduleMm.toFixed(3)),
+    recommendedSize: Number(recommendedSize.toFixed(2)),
+    unit: print.unit,
+    passed: moduleMm >= MODULE_SIZE.recommendedMm && moduleDots >= MODULE_SIZE.minimumDots,
+    warnings
+  };
+}
+
+module.exports = {
+  UNITS,
+  DPI_OPTIONS,
+  MODULE_SIZE,
+  CROP_MARKS,
+  normalize,
+  validate,
+  pixelWidth,
+  toPoints,
+  assess
+};
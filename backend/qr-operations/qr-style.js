@@ -0,0 +1,557 @@
+/**
+ * QR Code Style Geometry
+ *
+ * Builds the styled drawing of a QR code (module shapes, finder eyes,
+ * gradients, logo area) from a module matrix. Used by qr-operations for
+ * server renders and by the frontend for the live preview, so both
+ * produce identical images.
+ *
+ * IMPORTANT: frontend/qr-style.js is a copy of this file. Keep them in sync.
+ *
+ * A scene is a list of filled layers. Each layer holds path segments in
+ * module units (quiet zone included), where a segment is one of:
+ *   ['M', x, y] | ['L', x, y] | ['C', x1, y1, x2, y2, x, y] | ['Z']
+ * Renderers only need to translate those four commands.
+ *
+ * `total` is the size of the symbol with its quiet zone; `width` and
+ * `height` cover the whole drawing, which is larger once a frame is added.
+ * Frame captions are listed in `texts` because glyph outlines depend on
+ * the font files available: the server converts them to paths, the
+ * browser draws them with canvas text.
+ */
+
+(function (root) {
+  const MODULE_SHAPES = ['square', 'dot', 'rounded', 'classy'];
+  const EYE_SHAPES = ['square', 'rounded', 'circle'];
+  const GRADIENT_TYPES = ['linear', 'radial'];
+  const FRAME_STYLES = ['banner', 'border', 'caption'];
+  const FRAME_POSITIONS = ['bottom', 'top'];
+  const FRAME_FONT_WEIGHTS = ['normal', 'bold'];
+
+  // Frame caption fonts; the server bundles these families
+  const FRAME_FONTS = {
+    sans: { family: 'Roboto', fallback: 'Arial, sans-serif' },
+    serif: { family: 'Roboto Slab', fallback: 'Georgia, serif' },
+    mono: { family: 'Roboto Mono', fallback: 'Courier New, monospace' }
+  };
+
+  const MAX_FRAME_TEXT = 40;
+
+  const FINDER_SIZE = 7;
+  const DOT_RADIUS = 0.45;
+
+  // Cubic bezier control distance for quarter circles
+  const KAPPA = 0.5522847498;
+
+  const DEFAULT_LOGO_SIZE = 0.2;
+
+  /**
+   * Map a stored customization object onto drawing options
+   */
+  function normalize(customization) {
+    const c = customization || {};
+    const foregroundColor = c.foregroundColor || '#000000';
+
+    return {
+      margin: c.margin ?? 4,
+      foregroundColor,
+      backgroundColor: c.backgroundColor || '#FFFFFF',
+      moduleShape: c.moduleShape || 'square',
+      eyeShape: c.eyeShape || 'square',
+      eyeColor: c.eyeColor || null,
+      gradient: c.gradient && c.gradient.type ? {
+        type: c.gradient.type,
+        colors: c.gradient.colors && c.gradient.colors.length >= 2 ? c.gradient.colors : [foregroundColor, foregroundColor],
+        rotation: Number(c.gradient.rotation) || 0
+      } : null,
+      logoSize: c.logo ? (c.logo.size || DEFAULT_LOGO_SIZE) : 0,
+      frame: c.frame && c.frame.style ? {
+        style: c.frame.style,
+        text: c.frame.text !== undefined ? String(c.frame.text) : (c.frame.style === 'banner' ? 'Scan me' : ''),
+        position: c.frame.position || 'bottom',
+        color: c.frame.color || foregroundColor,
+        textColor: c.frame.textColor || null,
+        font: c.frame.font || 'sans',
+        fontWeight: c.frame.fontWeight || 'bold'
+      } : null
+    };
+  }
+
+  /**
+   * Check style fields on a customization object
+   * Returns an error message, or null when the style is usable
+   */
+  function validate(customization) {
+    const c = customization || {};
+    const colorPattern = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+    if (c.moduleShape && !MODULE_SHAPES.includes(c.moduleShape)) {
+      return `moduleShape must be one of: ${MODULE_SHAPES.join(', ')}`;
+    }
+
+    if (c.eyeShape && !EYE_SHAPES.includes(c.eyeShape)) {
+      return `eyeShape must be one of: ${EYE_SHAPES.join(', ')}`;
+    }
+
+    for (const field of ['foregroundColor', 'backgroundColor', 'eyeColor']) {
+      if (c[field] && !colorPattern.test(c[field])) {
+        return `${field} must be a hex color like #1A2B3C`;
+      }
+    }
+
+    if (c.gradient) {
+      if (!GRADIENT_TYPES.includes(c.gradient.type)) {
+        return `gradient.type must be one of: ${GRADIENT_TYPES.join(', ')}`;
+      }
+
+      const colors = c.gradient.colors;
+      if (!Array.isArray(colors) || colors.length < 2 || colors.length > 5) {
+        return 'gradient.colors must list between 2 and 5 colors';
+      }
+
+      if (!colors.every(color => colorPattern.test(color))) {
+        return 'gradient.colors must be hex colors like #1A2B3C';
+      }
+
+      if (c.gradient.rotation !== undefined && !Number.isFinite(Number(c.gradient.rotation))) {
+        return 'gradient.rotation must be a number of degrees';
+      }
+    }
+
+    if (c.frame) {
+      const f = c.frame;
+
+      if (!FRAME_STYLES.includes(f.style)) {
+        return `frame.style must be one of: ${FRAME_STYLES.join(', ')}`;
+      }
+
+      if (f.position && !FRAME_POSITIONS.includes(f.position)) {
+        return `frame.position must be one of: ${FRAME_POSITIONS.join(', ')}`;
+      }
+
+      if (f.font && !FRAME_FONTS[f.font]) {
+        return `frame.font must be one of: ${Object.keys(FRAME_FONTS).join(', ')}`;
+      }
+
+      if (f.fontWeight && !FRAME_FONT_WEIGHTS.includes(f.fontWeight)) {
+        return `frame.fontWeight must be one of: ${FRAME_FONT_WEIGHTS.join(', ')}`;
+      }
+
+      for (const field of ['color', 'textColor']) {
+        if (f[field] && !colorPattern.test(f[field])) {
+          return `frame.${field} must be a hex color like #1A2B3C`;
+        }
+      }
+
+      if (f.text !== undefined && String(f.text).length > MAX_FRAME_TEXT) {
+        return `frame.text must be at most ${MAX_FRAME_TEXT} characters`;
+      }
+
+      if (f.style === 'caption' && !f.text) {
+        return 'frame.text is required for caption frames';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the drawing for a module matrix
+   * `modules` needs `size` and `get(row, col)` (qrcode's BitMatrix)
+   * `logo` is optional and only needs `width` and `height`
+   */
+  function buildScene(modules, style, logo) {
+    const size = modules.size;
+    const margin = style.margin;
+    const total = size + margin * 2;
+    const logoBox = getLogoBox(size, margin, style.logoSize, logo);
+    const finders = [[0, 0], [0, size - FINDER_SIZE], [size - FINDER_SIZE, 0]];
+
+    const inFinder = (row, col) => finders.some(([r, c]) =>
+      row >= r && row < r + FINDER_SIZE && col >= c && col < c + FINDER_SIZE);
+
+    const inLogo = (row, col) => !!logoBox &&
+      row >= logoBox.start && row < logoBox.start + logoBox.size &&
+      col >= logoBox.start && col < logoBox.start + logoBox.size;
+
+    const isDark = (row, col) => row >= 0 && col >= 0 && row < size && col < size &&
+      !!modules.get(row, col) && !inFinder(row, col) && !inLogo(row, col);
+
+    const foreground = style.gradient ? { gradient: getGradient(style.gradient, total) } : { color: style.foregroundColor };
+    const eyeFill = style.eyeColor ? { color: style.eyeColor } : foreground;
+
+    const frames = [];
+    const pupils = [];
+    finders.forEach(([r, c]) => {
+      const x = c + margin;
+      const y = r + margin;
+      frames.push(...eyeShapePath(style.eyeShape, x, y, 7, 'outer'));
+      frames.push(...eyeShapePath(style.eyeShape, x + 1, y + 1, 5, 'hole'));
+      pupils.push(...eyeShapePath(style.eyeShape, x + 2, y + 2, 3, 'pupil'));
+    });
+
+    return {
+      total,
+      width: total,
+      height: total,
+      margin,
+      background: style.backgroundColor,
+      crisp: style.moduleShape === 'square' && style.eyeShape === 'square',
+      layers: [
+        { fill: foreground, evenOdd: false, segments: modulePaths(style.moduleShape, size, margin, isDark) },
+        { fill: eyeFill, evenOdd: true, segments: frames },
+        { fill: eyeFill, evenOdd: false, segments: pupils }
+      ],
+      texts: [],
+      logoBox
+    };
+  }
+
+  /**
+   * Surround a scene with a frame: a rounded border, a border with a
+   * filled call-to-action banner, or a plain caption
+   * `measure(text, fontSize, font)` returns the caption width in module units
+   */
+  function applyFrame(scene, frame, measure) {
+    if (!frame) return scene;
+
+    const T = scene.total;
+    const bordered = frame.style !== 'caption';
+    const thickness = bordered ? Math.max(1, T * 0.035) : 0;
+    const radius = bordered ? T * 0.06 : 0;
+    const hasText = frame.text.trim() !== '';
+
+    // Shrink long captions to fit inside the frame
+    const maxTextWidth = T - T * 0.08;
+    let fontSize = T * 0.09;
+    if (hasText) {
+      const width = measure(frame.text, fontSize, frame);
+      if (width > maxTextWidth) fontSize *= maxTextWidth / width;
+    }
+
+    const band = hasText ? (frame.style === 'banner' ? T * 0.2 : T * 0.14) : 0;
+    const width = T + thickness * 2;
+    const height = T + thickness * 2 + band;
+    const top = frame.position === 'top';
+
+    const qrX = thickness;
+    const qrY = thickness + (top ? band : 0);
+    const bandY = top ? thickness : thickness + T;
+
+    const layers = [];
+
+    if (bordered) {
+      // Banners fill the caption band, borders leave it on the background
+      const holeY = frame.style === 'banner' ? qrY : thickness;
+      const holeHeight = frame.style === 'banner' ? T : T + band;
+      const inner = Math.max(0, radius - thickness);
+      layers.push({
+        fill: { color: frame.color },
+        evenOdd: true,
+        segments: [
+          ...rectPath(0, 0, width, height, radius, radius, radius, radius),
+          ...rectPath(thickness, holeY, T, holeHeight, inner, inner, inner, inner)
+        ]
+      });
+    }
+
+    const moved = scene.layers.map(layer => ({
+      ...layer,
+      fill: layer.fill.gradient ? { gradient: translateGradient(layer.fill.gradient, qrX, qrY) } : layer.fill,
+      segments: translateSegments(layer.segments, qrX, qrY)
+    }));
+
+    const texts = [];
+    if (hasText) {
+      const textWidth = measure(frame.text, fontSize, frame);
+      const defaultColor = frame.style === 'banner' ? scene.background : frame.color;
+      texts.push({
+        text: frame.text,
+        x: (width - textWidth) / 2,
+        // Roughly centers cap height in the band for the bundled fonts
+        y: bandY + band / 2 + fontSize * 0.35,
+        fontSize,
+        font: frame.font,
+        fontWeight: frame.fontWeight,
+        color: frame.textColor || defaultColor
+      });
+    }
+
+    return {
+      ...scene,
+      width,
+      height,
+      layers: [...layers, ...moved],
+      texts,
+      logoBox: scene.logoBox ? {
+        ...scene.logoBox,
+        x: scene.logoBox.x + qrX,
+        y: scene.logoBox.y + qrY
+      } : null,
+      crisp: scene.crisp && !bordered
+    };
+  }
+
+  function translateSegments(segments, dx, dy) {
+    return segments.map(([command, ...args]) =>
+      [command, ...args.map((value, i) => value + (i % 2 === 0 ? dx : dy))]);
+  }
+
+  function translateGradient(gradient, dx, dy) {
+    return gradient.type === 'radial'
+      ? { ...gradient, cx: gradient.cx + dx, cy: gradient.cy + dy }
+      : { ...gradient, x1: gradient.x1 + dx, y1: gradient.y1 + dy, x2: gradient.x2 + dx, y2: gradient.y2 + dy };
+  }
+
+  function getLogoBox(size, margin, logoSize, logo) {
+    if (!logo || !logoSize) return null;
+
+    // Clear a whole number of modules, centered on the symbol
+    let boxSize = Math.ceil(size * logoSize);
+    if ((size - boxSize) % 2 !== 0) boxSize++;
+    const start = (size - boxSize) / 2;
+
+    // Fit the logo inside the cleared area, keeping its aspect ratio
+    const inner = boxSize - 1;
+    const ratio = Math.min(inner / logo.width, inner / logo.height);
+    const width = logo.width * ratio;
+    const height = logo.height * ratio;
+
+    return {
+      start,
+      size: boxSize,
+      x: margin + start + (boxSize - width) / 2,
+      y: margin + start + (boxSize - height) / 2,
+      width,
+      height
+    };
+  }
+
+  function getGradient(gradient, total) {
+    const center = total / 2;
+    const stops = gradient.colors.map((color, i) => ({
+      offset: i / (gradient.colors.length - 1),
+      color
+    }));
+
+    if (gradient.type === 'radial') {
+      return { type: 'radial', cx: center, cy: center, r: center, stops };
+    }
+
+    // Rotation 0 runs left to right; positive angles turn clockwise
+    const angle = gradient.rotation * Math.PI / 180;
+    const dx = Math.cos(angle) * center;
+    const dy = Math.sin(angle) * center;
+    return { type: 'linear', x1: center - dx, y1: center - dy, x2: center + dx, y2: center + dy, stops };
+  }
+
+  function modulePaths(shape, size, margin, isDark) {
+    const segments = [];
+
+    for (let row = 0; row < size; row++) {
+      if (shape === 'square') {
+        // Merge horizontal runs to keep the path small
+        let start = -1;
+        for (let col = 0; col <= size; col++) {
+          const dark = col < size && isDark(row, col);
+          if (dark && start === -1) {
+            start = col;
+          } else if (!dark && start !== -1) {
+            segments.push(...rectPath(start + margin, row + margin, col - start, 1, 0, 0, 0, 0));
+            start = -1;
+          }
+        }
+        continue;
+      }
+
+      for (let col = 0; col < size; col++) {
+        if (!isDark(row, col)) continue;
+
+        const x = col + margin;
+        const y = row + margin;
+
+        if (shape === 'dot') {
+          segments.push(...circlePath(x + 0.5, y + 0.5, DOT_RADIUS));
+          continue;
+        }
+
+        // A corner is rounded when neither module it touches is dark
+        const top = isDark(row - 1, col);
+        const bottom = isDark(row + 1, col);
+        const left = isDark(row, col - 1);
+        const right = isDark(row, col + 1);
+        const r = 0.5;
+
+        const tl = !top && !left ? r : 0;
+        const tr = !top && !right ? r : 0;
+        const br = !bottom && !right ? r : 0;
+        const bl = !bottom && !left ? r : 0;
+
+        if (shape === 'classy') {
+          segments.push(...rectPath(x, y, 1, 1, tl, 0, br, 0));
+        } else {
+          segments.push(...rectPath(x, y, 1, 1, tl, tr, br, bl));
+        }
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Finder eye pieces: 7x7 outer, 5x5 hole (cut out by even-odd) and 3x3 pupil
+   */
+  function eyeShapePath(shape, x, y, size, part) {
+    if (shape === 'circle') {
+      return circlePath(x + size / 2, y + size / 2, size / 2);
+    }
+
+    if (shape === 'rounded') {
+      const radius = { outer: 2, hole: 1.5, pupil: 1 }[part];
+      return rectPath(x, y, size, size, radius, radius, radius, radius);
+    }
+
+    return rectPath(x, y, size, size, 0, 0, 0, 0);
+  }
+
+  /**
+   * Rectangle with optional per-corner radii (top-left, top-right,
+   * bottom-right, bottom-left), drawn clockwise
+   */
+  function rectPath(x, y, w, h, tl, tr, br, bl) {
+    const k = 1 - KAPPA;
+    const segments = [['M', x + tl, y], ['L', x + w - tr, y]];
+
+    if (tr) segments.push(['C', x + w - tr * k, y, x + w, y + tr * k, x + w, y + tr]);
+    segments.push(['L', x + w, y + h - br]);
+    if (br) segments.push(['C', x + w, y + h - br * k, x + w - br * k, y + h, x + w - br, y + h]);
+    segments.push(['L', x + bl, y + h]);
+    if (bl) segments.push(['C', x + bl * k, y + h, x, y + h - bl * k, x, y + h - bl]);
+    segments.push(['L', x, y + tl]);
+    if (tl) segments.push(['C', x, y + tl * k, x + tl * k, y, x + tl, y]);
+    segments.push(['Z']);
+
+    return segments;
+  }
+
+  function circlePath(cx, cy, r) {
+    const d = r * KAPPA;
+    return [
+      ['M', cx, cy - r],
+      ['C', cx + d, cy - r, cx + r, cy - d, cx + r, cy],
+      ['C', cx + r, cy + d, cx + d, cy + r, cx, cy + r],
+      ['C', cx - d, cy + r, cx - r, cy + d, cx - r, cy],
+      ['C', cx - r, cy - d, cx - d, cy - r, cx, cy - r],
+      ['Z']
+    ];
+  }
+
+  /**
+   * Parse #RGB, #RGBA, #RRGGBB or #RRGGBBAA
+   * Returns 0-1 RGB components plus alpha
+   */
+  function parseColor(hex) {
+    let value = String(hex).replace('#', '');
+
+    if (value.length === 3 || value.length === 4) {
+      value = value.split('').map(c => c + c).join('');
+    }
+
+    const channels = [0, 2, 4, 6].map(i => parseInt(value.substr(i, 2), 16) / 255);
+    const [r, g, b] = channels.slice(0, 3).map(c => (Number.isNaN(c) ? 0 : c));
+    const a = Number.isNaN(channels[3]) ? 1 : channels[3];
+
+    return { r, g, b, a };
+  }
+
+  function formatNumber(n) {
+    return Number(n.toFixed(4)).toString();
+  }
+
+  function svgColor(hex, attribute) {
+    const { r, g, b, a } = parseColor(hex);
+    const rgb = '#' + [r, g, b].map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+    return a < 1
+      ? `${attribute}="${rgb}" ${attribute === 'fill' ? 'fill' : 'stop'}-opacity="${formatNumber(a)}"`
+      : `${attribute}="${rgb}"`;
+  }
+
+  function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+  }
+
+  function toSvgPath(segments) {
+    return segments.map(([command, ...args]) => command + args.map(formatNumber).join(' ')).join('');
+  }
+
+  /**
+   * Serialize a scene to an SVG document
+   * `options.width` is the symbol size in pixels, or in `options.unit`
+   * ('mm', 'in') for print; `options.logoHref` the image URL (usually a
+   * data: URL) drawn in the logo area
+   */
+  function toSvg(scene, options) {
+    const { width, height } = scene;
+    const scale = options.width / scene.total;
+    const unit = options.unit || '';
+    const defs = [];
+    const body = [`<rect width="${formatNumber(width)}" height="${formatNumber(height)}" ${svgColor(scene.background, 'fill')}/>`];
+
+    scene.layers.forEach(layer => {
+      if (layer.segments.length === 0) return;
+
+      let fill;
+      if (layer.fill.gradient) {
+        const g = layer.fill.gradient;
+        const id = `qr-gradient-${defs.length}`;
+        const stops = g.stops.map(s => `<stop offset="${formatNumber(s.offset)}" ${svgColor(s.color, 'stop-color')}/>`).join('');
+        defs.push(g.type === 'radial'
+          ? `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${formatNumber(g.cx)}" cy="${formatNumber(g.cy)}" r="${formatNumber(g.r)}">${stops}</radialGradient>`
+          : `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${formatNumber(g.x1)}" y1="${formatNumber(g.y1)}" x2="${formatNumber(g.x2)}" y2="${formatNumber(g.y2)}">${stops}</linearGradient>`);
+        fill = `fill="url(#${id})"`;
+      } else {
+        fill = svgColor(layer.fill.color, 'fill');
+      }
+
+      body.push(`<path ${fill}${layer.evenOdd ? ' fill-rule="evenodd"' : ''} d="${toSvgPath(layer.segments)}"/>`);
+    });
+
+    const box = scene.logoBox;
+    if (box && options.logoHref) {
+      body.push(`<image x="${formatNumber(box.x)}" y="${formatNumber(box.y)}" width="${formatNumber(box.width)}" height="${formatNumber(box.height)}" preserveAspectRatio="xMidYMid meet" xlink:href="${options.logoHref}"/>`);
+    }
+
+    (scene.texts || []).forEach(text => {
+      const font = FRAME_FONTS[text.font] || FRAME_FONTS.sans;
+      body.push(`<text x="${formatNumber(text.x)}" y="${formatNumber(text.y)}" font-family="${font.family}, ${font.fallback}" font-size="${formatNumber(text.fontSize)}" font-weight="${text.fontWeight}" ${svgColor(text.color, 'fill')}>${escapeXml(text.text)}</text>`);
+    });
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${formatNumber(width * scale)}${unit}" height="${formatNumber(height * scale)}${unit}" viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}" shape-rendering="${scene.crisp ? 'crispEdges' : 'geometricPrecision'}">`,
+      defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '',
+      ...body,
+      '</svg>'
+    ].join('');
+  }
+
+  const QRStyle = {
+    MODULE_SHAPES,
+    EYE_SHAPES,
+    GRADIENT_TYPES,
+    FRAME_STYLES,
+    FRAME_FONTS,
+    normalize,
+    validate,
+    buildScene,
+    applyFrame,
+    toSvg,
+    parseColor,
+    formatNumber
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = QRStyle;
+  } else {
+    root.QRStyle = QRStyle;
+  }
+})(typeof self !== 'undefined' ? self : this);
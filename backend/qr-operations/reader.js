@@ -0,0 +1,175 @@
+/**
+ * Barcode Image Reader
+ *
+ * Reads uploaded images for POST /qr/decode, typically photos or scans of
+ * printed codes a customer wants us to take over. The image is flattened
+ * onto white and tried with each ZXing reader, normal and inverted (for
+ * light-on-dark codes), at a few sizes.
+ *
+ * QR results also report the symbol version and error correction level.
+ * ZXing does not expose the version, so it is worked out from the number
+ * of data codewords, which is unique for each version and level.
+ */
+
+const sharp = require('sharp');
+const {
+  AztecCodeReader,
+  BarcodeFormat,
+  BinaryBitmap,
+  DataMatrixReader,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatOneDReader,
+  PDF417Reader,
+  QRCodeDecoderErrorCorrectionLevel,
+  QRCodeReader,
+  QRCodeVersion,
+  ResultMetadataType,
+  RGBLuminanceSource
+} = require('@zxing/library');
+
+const UPLOAD_LIMITS = {
+  // Leaves room for base64 inside the 6 MB Lambda payload
+  maxBytes: 4 * 1024 * 1024
+};
+
+// Longest side tried, largest first; ZXing gains nothing from bigger photos
+// and some readers (PDF417) miss codes whose modules are very large
+const READ_SIZES = [2000, 800, 400];
+
+const INPUT_FORMATS = ['png', 'jpeg'];
+
+// ZXing formats we read, by our symbology names (see barcodes.js)
+const SYMBOLOGY_FORMATS = {
+  qrcode: BarcodeFormat.QR_CODE,
+  datamatrix: BarcodeFormat.DATA_MATRIX,
+  aztec: BarcodeFormat.AZTEC,
+  pdf417: BarcodeFormat.PDF_417,
+  code128: BarcodeFormat.CODE_128,
+  ean13: BarcodeFormat.EAN_13
+};
+
+/**
+ * Check an uploaded image buffer
+ * Returns an error message, or null when it can be read
+ */
+async function validateImage(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return 'image must be a base64-encoded PNG or JPEG';
+  }
+  if (buffer.length > UPLOAD_LIMITS.maxBytes) {
+    return `Image must be smaller than ${UPLOAD_LIMITS.maxBytes / 1024 / 1024}MB`;
+  }
+
+  try {
+    const { format } = await sharp(buffer).metadata();
+    if (!INPUT_FORMATS.includes(format)) {
+      return 'Image must be a PNG or JPEG';
+    }
+  } catch (error) {
+    return 'Image must be a PNG or JPEG';
+  }
+
+  return null;
+}
+
+/**
+ * Decode the first barcode found in an image
+ * Returns { text, symbology, version, errorCorrection }, or null when
+ * nothing could be read
+ */
+async function read(buffer) {
+  const { width, height } = await sharp(buffer).rotate().metadata();
+  const longest = Math.max(width, height);
+  const sizes = READ_SIZES.filter((size, i) => i === 0 || size < longest);
+
+  for (const size of sizes) {
+    const image = sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#FFFFFF' })
+      .greyscale();
+
+    for (const negate of [false, true]) {
+      const { data, info } = await image.clone().negate(negate).raw().toBuffer({ resolveWithObject: true });
+      const result = decodeLuminance(data, info.width, info.height);
+      if (result) return describe(result);
+    }
+  }
+
+  return null;
+}
+
+function decodeLuminance(data, width, height) {
+  const source = new RGBLuminanceSource(new Uint8ClampedArray(data), width, height);
+  const bitmap = new BinaryBitmap(new HybridBinarizer(source));
+  const hints = new Map([
+    [DecodeHintType.TRY_HARDER, true],
+    [DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.CODE_128, BarcodeFormat.EAN_13]]
+  ]);
+
+  // One reader at a time: MultiFormatReader logs every miss as an error
+  const readers = [
+    new QRCodeReader(),
+    new DataMatrixReader(),
+    new AztecCodeReader(),
+    new PDF417Reader(),
+    new MultiFormatOneDReader(hints)
+  ];
+
+  for (const reader of readers) {
+    try {
+      return reader.decode(bitmap, hints);
+    } catch (error) {
+      // Not this symbology; try the next reader
+    }
+  }
+
+  return null;
+}
+
+function describe(result) {
+  const format = result.getBarcodeFormat();
+  const symbology = Object.keys(SYMBOLOGY_FORMATS).find(name => SYMBOLOGY_FORMATS[name] === format);
+  const level = result.getResultMetadata()?.get(ResultMetadataType.ERROR_CORRECTION_LEVEL);
+  const errorCorrection = symbology === 'qrcode' && level ? String(level) : null;
+
+  return {
+    text: fromLatin1(result.getText()),
+    symbology,
+    version: errorCorrection ? qrVersion(errorCorrection, result.getRawBytes().length) : null,
+    errorCorrection
+  };
+}
+
+/**
+ * QR version whose data capacity at `level` is exactly `dataCodewords`
+ */
+function qrVersion(level, dataCodewords) {
+  const ecLevel = QRCodeDecoderErrorCorrectionLevel.fromString(level);
+
+  for (let number = 1; number <= 40; number++) {
+    const version = QRCodeVersion.getVersionForNumber(number);
+    if (version.getTotalCodewords() - version.getECBlocksForLevel(ecLevel).getTotalECCodewords() === dataCodewords) {
+      return number;
+    }
+  }
+
+  return null;
+}
+
+// Readers without ECI support return UTF-8 content as Latin-1 bytes
+// (Data Matrix and Aztec from most encoders); undo that when the bytes
+// form valid UTF-8
+function fromLatin1(text) {
+  if (!/[\u0080-\u00FF]/.test(text) || /[^\u0000-\u00FF]/.test(text)) return text;
+
+  const utf8 = Buffer.from(text, 'latin1').toString('utf8');
+  return utf8.includes('\uFFFD') ? text : utf8;
+}
+
+module.exports = {
+  UPLOAD_LIMITS,
+  validateImage,
+  read
+};
@@ -0,0 +1,57 @@
+/**
+ * In-Process Record Cache
+ *
+ * A small least-recently-used cache with a time limit per entry, kept in
+ * the Lambda container between invocations. Redirects use it so repeat
+ * scans of a popular code skip DynamoDB.
+ *
+ * Each container has its own cache: deleting an entry on update only
+ * clears it in the container that handled the update, so other containers
+ * can serve the old record until its entry expires. Keep the TTL short.
+ */
+
+/**
+ * Create a cache holding at most `maxEntries` values for `ttlMs` each
+ */
+function createCache({ maxEntries, ttlMs, now = Date.now }) {
+  // Map iterates in insertion order, so re-inserting on read keeps the
+  // least recently used entry first
+  const entries = new Map();
+
+  return {
+    /** Cached value, or undefined when missing or expired */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      entries.delete(key);
+      if (entry.expiresAt <= now()) return undefined;
+
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    /** Store a value, dropping the least recently used entry when full */
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    /** Forget a value, e.g. after the record changes */
+    delete(key) {
+      entries.delete(key);
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = {
+  createCache
+};
@@ -0,0 +1,635 @@
+/**
+ * QR Code Renderer
+ *
+ * Turns QR content plus a customization object into the image formats
+ * offered by POST /qr-codes.
+ *
+ * Formats:
+ * - svg: vector image built by qr-style.js
+ * - png: the SVG rasterized with sharp, so both always match
+ * - pdf: single-page vector PDF drawn from the same scene
+ * - eps: vector EPS drawn from the same scene (for print/design tools)
+ *
+ * Module shapes, finder eyes and gradients come from qr-style.js, which
+ * the frontend preview shares. Logos are placed in the center of the
+ * symbol; modules behind the logo are left out rather than painted over,
+ * and error correction covers the missing data.
+ *
+ * Frames (customization.frame) add a border, a call-to-action banner or a
+ * caption around the symbol. The page grows to fit them while the symbol
+ * keeps the requested size.
+ *
+ * Sizes are pixels (1 px = 1 pt in PDF/EPS) unless customization.print
+ * asks for a physical size; see print.js.
+ *
+ * Other symbologies (Data Matrix, Aztec, PDF417, Code 128, EAN-13) are
+ * built by barcodes.js into the same kind of scene.
+ */
+
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+const zlib = require('zlib');
+const QRStyle = require('./qr-style');
+const Fonts = require('./fonts');
+const Print = require('./print');
+const Barcodes = require('./barcodes');
+const Payments = require('./payments');
+
+// `binary` formats go through API Gateway base64-encoded, so their
+// content types are listed under binaryMediaTypes in serverless.yml
+const FORMATS = {
+  png: { contentType: 'image/png', extension: 'png', binary: true },
+  svg: { contentType: 'image/svg+xml', extension: 'svg', binary: false },
+  pdf: { contentType: 'application/pdf', extension: 'pdf', binary: true },
+  eps: { contentType: 'application/postscript', extension: 'eps', binary: false }
+};
+
+const DEFAULT_FORMAT = 'png';
+
+// customization.size (and the image endpoint's ?size) in pixels
+const IMAGE_SIZE_LIMITS = { min: 32, max: 2048 };
+
+// Swiss QR-bills: the code is 46mm wide (quiet zone excluded) with a 7mm
+// Swiss cross in the middle: a black square with a thin white border and
+// a white cross whose arms are 6/32 wide and span 20/32 of the square
+const SWISS_CROSS = {
+  size: 7 / 46,
+  border: 0.4 / 7,
+  armWidth: 6 / 32,
+  armSpan: 20 / 32
+};
+
+// Widest quiet zone in modules; the minimum depends on the symbology
+const MAX_MARGIN = 20;
+
+// Logo size is a fraction of the symbol width (quiet zone excluded).
+// Above 30% the covered area (9%) starts eating into level H's ~30%
+// recovery budget once damage and print defects are accounted for.
+const LOGO_LIMITS = {
+  minSize: 0.05,
+  maxSize: 0.3,
+  defaultSize: 0.2,
+  maxBytes: 1024 * 1024,
+  maxPixels: 512
+};
+
+/**
+ * Normalize the `format` request field into a list of format names
+ * Accepts a single name, a comma-separated string or an array
+ */
+function parseFormats(format) {
+  if (!format) return [DEFAULT_FORMAT];
+
+  const list = Array.isArray(format) ? format : String(format).split(',');
+  const formats = list
+    .map(f => String(f).trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(formats)];
+}
+
+/**
+ * Render QR (or other barcode) content into the requested format
+ * `assets.logo` is the output of prepareLogo() when the code has a logo
+ * Returns a Buffer ready to upload to S3
+ */
+async function render(content, format, customization = {}, assets = {}, symbology = Barcodes.DEFAULT_SYMBOLOGY) {
+  const options = getRenderOptions(customization, symbology, content);
+  const scene = Fonts.outlineTexts(buildScene(content, customization, assets, options, symbology));
+
+  switch (format) {
+    case 'svg':
+      return Buffer.from(renderSvg(scene, options, assets.logo, options.print));
+    case 'png': {
+      const png = sharp(Buffer.from(renderSvg(scene, options, assets.logo))).png();
+      return (options.print ? png.withMetadata({ density: options.print.dpi }) : png).toBuffer();
+    }
+    case 'pdf':
+      return renderPdf(scene, options, assets.logo);
+    case 'eps':
+      return renderEps(scene, options, assets.logo);
+    default:
+      throw new Error(`Unsupported format: ${format}`);
+  }
+}
+
+function buildScene(content, customization, assets, options, symbology) {
+  if (symbology !== Barcodes.DEFAULT_SYMBOLOGY) {
+    return Barcodes.buildScene(symbology, content, customization, Fonts.measure);
+  }
+
+  const qr = QRCode.create(content, options);
+  const style = QRStyle.normalize(customization);
+  const scene = QRStyle.buildScene(qr.modules, style, assets.logo);
+  if (Payments.isSwissQrBill(content)) {
+    scene.layers.push(...swissCrossLayers(qr.modules.size, style.margin));
+  }
+  return QRStyle.applyFrame(scene, style.frame, Fonts.measure);
+}
+
+/**
+ * The Swiss cross layers for a QR symbol `size` modules wide
+ */
+function swissCrossLayers(size, margin) {
+  const square = (x, y, w, h) => [['M', x, y], ['L', x + w, y], ['L', x + w, y + h], ['L', x, y + h], ['Z']];
+  const center = margin + size / 2;
+
+  const outer = size * SWISS_CROSS.size;
+  const inner = outer * (1 - SWISS_CROSS.border * 2);
+  const arm = inner * SWISS_CROSS.armWidth;
+  const span = inner * SWISS_CROSS.armSpan;
+
+  return [
+    { fill: { color: '#FFFFFF' }, evenOdd: false, segments: square(center - outer / 2, center - outer / 2, outer, outer) },
+    { fill: { color: '#000000' }, evenOdd: false, segments: square(center - inner / 2, center - inner / 2, inner, inner) },
+    {
+      fill: { color: '#FFFFFF' },
+      evenOdd: false,
+      segments: [
+        ...square(center - arm / 2, center - span / 2, arm, span),
+        ...square(center - span / 2, center - arm / 2, span, arm)
+      ]
+    }
+  ];
+}
+
+/**
+ * Map a stored customization object onto qrcode library options
+ * A logo always forces error correction level H, and Swiss QR-bills
+ * always use level M. `points` is the symbol width in PDF/EPS and `print`
+ * the normalized print settings, if any
+ */
+function getRenderOptions(customization = {}, symbology = Barcodes.DEFAULT_SYMBOLOGY, content = '') {
+  const print = Print.normalize(customization.print);
+  const width = print ? Print.pixelWidth(print) : (customization.size || 300);
+
+  let errorCorrectionLevel = customization.logo ? 'H' : (customization.errorCorrection || 'M');
+  if (Payments.isSwissQrBill(content)) {
+    errorCorrectionLevel = 'M';
+  }
+
+  return {
+    errorCorrectionLevel,
+    width,
+    margin: Barcodes.getMargin(symbology, customization),
+    points: print ? Print.toPoints(print.size, print.unit) : width,
+    print
+  };
+}
+
+/**
+ * Symbol width in modules (quiet zone included) for the given content
+ */
+function getModuleCount(content, customization = {}, symbology = Barcodes.DEFAULT_SYMBOLOGY) {
+  const options = getRenderOptions(customization, symbology, content);
+  if (symbology !== Barcodes.DEFAULT_SYMBOLOGY) {
+    return Barcodes.buildScene(symbology, content, customization, Fonts.measure).total;
+  }
+  return QRCode.create(content, options).modules.size + options.margin * 2;
+}
+
+/**
+ * Check the image size and quiet zone on a customization object
+ * Returns an error message, or null
+ */
+function validateDimensions(customization, symbology) {
+  const { size, margin } = customization;
+
+  if (size !== undefined && size !== null && (!Number.isInteger(size) || size < IMAGE_SIZE_LIMITS.min || size > IMAGE_SIZE_LIMITS.max)) {
+    return `size must be a whole number of pixels between ${IMAGE_SIZE_LIMITS.min} and ${IMAGE_SIZE_LIMITS.max}`;
+  }
+
+  const spec = Barcodes.SYMBOLOGIES[symbology];
+  if (margin !== undefined && margin !== null && (!Number.isInteger(margin) || margin < spec.quietZone.minimum || margin > MAX_MARGIN)) {
+    return `margin must be a whole number of modules between ${spec.quietZone.minimum} and ${MAX_MARGIN} for ${spec.name}; scanners need a quiet zone of at least ${spec.quietZone.minimum}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check size, margin, module shape, eye, gradient, frame and print fields,
+ * and that the symbology supports them
+ * Returns an error message, or null when the style is usable
+ */
+function validateStyle(customization, symbology = Barcodes.DEFAULT_SYMBOLOGY) {
+  const error = Barcodes.validate(symbology, customization) ||
+    validateDimensions(customization, symbology) ||
+    QRStyle.validate(customization) ||
+    (customization.print ? Print.validate(customization.print) : null);
+  if (error || !customization.frame || !customization.frame.text) return error;
+
+  const { text, font, fontWeight } = customization.frame;
+  const missing = Fonts.missingCharacters(text, font, fontWeight);
+  if (missing.length > 0) {
+    return `frame.text contains characters the ${font || 'sans'} font cannot draw: ${missing.join(' ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check the style against what the content needs
+ * Swiss QR-bills must be QR codes and keep the middle free for the cross
+ * Returns an error message, or null
+ */
+function validateForContent(content, customization, symbology = Barcodes.DEFAULT_SYMBOLOGY) {
+  if (!Payments.isSwissQrBill(content)) return null;
+
+  if (symbology !== Barcodes.DEFAULT_SYMBOLOGY) {
+    return 'Swiss QR-bills must use the qrcode symbology';
+  }
+
+  if (customization.logo) {
+    return 'Swiss QR-bills carry the Swiss cross in the middle and cannot have a logo';
+  }
+
+  return null;
+}
+
+/**
+ * Check a customization.logo object before anything is stored or rendered
+ * Returns an error message, or null when the logo settings are usable
+ */
+function validateLogo(logo) {
+  if (typeof logo !== 'object' || logo === null) {
+    return 'Logo must be an object with either data (base64) or s3Key';
+  }
+
+  if (!logo.data && !logo.s3Key) {
+    return 'Logo requires either data (base64 image) or s3Key (uploaded asset)';
+  }
+
+  if (logo.size !== undefined) {
+    const size = Number(logo.size);
+    if (!Number.isFinite(size) || size < LOGO_LIMITS.minSize || size > LOGO_LIMITS.maxSize) {
+      return `Logo size must be between ${LOGO_LIMITS.minSize * 100}% and ${LOGO_LIMITS.maxSize * 100}% of the QR code width (got ${logo.size}); larger logos make the code unreadable`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decode a base64 string or data URL into a Buffer
+ */
+function decodeLogoData(data) {
+  const base64 = String(data).replace(/^data:[^;]+;base64,/, '');
+  return Buffer.from(base64, 'base64');
+}
+
+/**
+ * Normalize an uploaded logo (PNG, JPEG, WebP or SVG) into a bounded
+ * RGBA bitmap plus a PNG copy for embedding
+ */
+async function prepareLogo(buffer) {
+  const { data, info } = await sharp(buffer)
+    .resize(LOGO_LIMITS.maxPixels, LOGO_LIMITS.maxPixels, { fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const png = await sharp(data, { raw: info }).png().toBuffer();
+
+  return { png, rgba: data, width: info.width, height: info.height };
+}
+
+/**
+ * Serialize a scene to SVG, embedding the logo as a data URL
+ * With `print`, width and height are absolute lengths instead of pixels
+ */
+function renderSvg(scene, options, logo, print) {
+  return QRStyle.toSvg(scene, {
+    width: print ? print.size : options.width,
+    unit: print ? print.unit : '',
+    logoHref: logo ? `data:image/png;base64,${logo.png.toString('base64')}` : null
+  });
+}
+
+const formatNumber = QRStyle.formatNumber;
+
+/**
+ * Hex color to space-separated 0-1 RGB components
+ */
+function colorComponents(hex) {
+  const { r, g, b } = QRStyle.parseColor(hex);
+  return [r, g, b].map(formatNumber).join(' ');
+}
+
+/**
+ * Translate scene path segments into PDF or PostScript operators
+ */
+function pathOperators(segments, ops) {
+  return segments.map(([command, ...args]) => {
+    const values = args.map(formatNumber).join(' ');
+    switch (command) {
+      case 'M': return `${values} ${ops.move}`;
+      case 'L': return `${values} ${ops.line}`;
+      case 'C': return `${values} ${ops.curve}`;
+      default: return ops.close;
+    }
+  }).join('\n');
+}
+
+/**
+ * Describe a scene gradient as a PDF/PostScript shading dictionary
+ * Both languages share the same dictionary syntax
+ */
+function shadingDictionary(gradient) {
+  const colors = gradient.stops.map(stop => `[${colorComponents(stop.color)}]`);
+  const segments = [];
+  for (let i = 0; i < colors.length - 1; i++) {
+    segments.push(`<< /FunctionType 2 /Domain [0 1] /C0 ${colors[i]} /C1 ${colors[i + 1]} /N 1 >>`);
+  }
+
+  const fn = segments.length === 1
+    ? segments[0]
+    : `<< /FunctionType 3 /Domain [0 1] /Functions [${segments.join(' ')}] /Bounds [${gradient.stops.slice(1, -1).map(s => formatNumber(s.offset)).join(' ')}] /Encode [${segments.map(() => '0 1').join(' ')}] >>`;
+
+  const coords = gradient.type === 'radial'
+    ? [gradient.cx, gradient.cy, 0, gradient.cx, gradient.cy, gradient.r]
+    : [gradient.x1, gradient.y1, gradient.x2, gradient.y2];
+
+  return `<< /ShadingType ${gradient.type === 'radial' ? 3 : 2} /ColorSpace /DeviceRGB /Coords [${coords.map(formatNumber).join(' ')}] /Function ${fn} /Extend [true true] >>`;
+}
+
+/**
+ * Work out the page for PDF/EPS output, in points
+ * The artwork sits on the trim box; bleed extends the background past it
+ * and crop marks need a slug outside the bleed
+ */
+function pageLayout(scene, options) {
+  const scale = options.points / scene.total;
+  const print = options.print;
+  const bleed = print ? Print.toPoints(print.bleed, print.unit) : 0;
+  const markStart = Math.max(bleed, Print.CROP_MARKS.offset);
+  const margin = print && print.cropMarks ? markStart + Print.CROP_MARKS.length : bleed;
+  const trim = {
+    x0: margin,
+    y0: margin,
+    x1: margin + scene.width * scale,
+    y1: margin + scene.height * scale
+  };
+
+  return {
+    scale,
+    bleed,
+    trim,
+    width: trim.x1 + margin,
+    height: trim.y1 + margin,
+    // [x1, y1, x2, y2] lines pointing away from each trim corner
+    cropMarks: print && print.cropMarks
+      ? [trim.x0, trim.x1].flatMap(x => [trim.y0, trim.y1].flatMap(y => {
+        const dx = x === trim.x0 ? -1 : 1;
+        const dy = y === trim.y0 ? -1 : 1;
+        const end = markStart + Print.CROP_MARKS.length;
+        return [
+          [x + dx * markStart, y, x + dx * end, y],
+          [x, y + dy * markStart, x, y + dy * end]
+        ];
+      }))
+      : []
+  };
+}
+
+/**
+ * Draw a scene as a single-page vector PDF sized in points
+ */
+function renderPdf(scene, options, logo) {
+  const layout = pageLayout(scene, options);
+  const scale = formatNumber(layout.scale);
+  const bleed = layout.bleed / layout.scale;
+  const ops = { move: 'm', line: 'l', curve: 'c', close: 'h' };
+  const shadings = [];
+
+  // Draw in module units with a top-left origin, like the SVG
+  const commands = [
+    'q',
+    `${scale} 0 0 -${scale} ${formatNumber(layout.trim.x0)} ${formatNumber(layout.trim.y1)} cm`,
+    `${colorComponents(scene.background)} rg`,
+    `${formatNumber(-bleed)} ${formatNumber(-bleed)} ${formatNumber(scene.width + bleed * 2)} ${formatNumber(scene.height + bleed * 2)} re f`
+  ];
+
+  scene.layers.forEach(layer => {
+    if (layer.segments.length === 0) return;
+
+    const path = pathOperators(layer.segments, ops);
+    if (layer.fill.gradient) {
+      const name = `Sh${shadings.length}`;
+      shadings.push(`/${name} ${shadingDictionary(layer.fill.gradient)}`);
+      commands.push('q', path, layer.evenOdd ? 'W* n' : 'W n', `/${name} sh`, 'Q');
+    } else {
+      commands.push(`${colorComponents(layer.fill.color)} rg`, path, layer.evenOdd ? 'f*' : 'f');
+    }
+  });
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    null, // page, filled in below once resources are known
+    null  // content stream
+  ];
+  const resources = [];
+
+  if (shadings.length > 0) {
+    resources.push(`/Shading << ${shadings.join(' ')} >>`);
+  }
+
+  const box = scene.logoBox;
+  if (box && logo) {
+    const { rgb, alpha } = splitAlpha(logo.rgba);
+    const [x, w, h] = [box.x, box.width, box.height].map(formatNumber);
+
+    // Image space is bottom-up, so flip it back inside the top-down page
+    commands.push('q', `${w} 0 0 -${h} ${x} ${formatNumber(box.y + box.height)} cm`, '/Logo Do', 'Q');
+    objects.push(pdfStream(`/Type /XObject /Subtype /Image /Width ${logo.width} /Height ${logo.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /SMask 6 0 R`, rgb));
+    objects.push(pdfStream(`/Type /XObject /Subtype /Image /Width ${logo.width} /Height ${logo.height} /ColorSpace /DeviceGray /BitsPerComponent 8`, alpha));
+    resources.push('/XObject << /Logo 5 0 R >>');
+  }
+
+  commands.push('Q');
+
+  if (layout.cropMarks.length > 0) {
+    // Registration color so the marks appear on every separation
+    commands.push(`${Print.CROP_MARKS.lineWidth} w 1 1 1 1 K`);
+    layout.cropMarks.forEach(([x1, y1, x2, y2]) => {
+      commands.push(`${[x1, y1].map(formatNumber).join(' ')} m ${[x2, y2].map(formatNumber).join(' ')} l S`);
+    });
+  }
+
+  const { trim } = layout;
+  const boxes = options.print ? [
+    `/TrimBox [${[trim.x0, trim.y0, trim.x1, trim.y1].map(formatNumber).join(' ')}]`,
+    `/BleedBox [${[trim.x0 - layout.bleed, trim.y0 - layout.bleed, trim.x1 + layout.bleed, trim.y1 + layout.bleed].map(formatNumber).join(' ')}]`
+  ] : [];
+
+  const stream = commands.join('\n');
+  objects[2] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(layout.width)} ${formatNumber(layout.height)}] ${boxes.map(box => `${box} `).join('')}/Contents 4 0 R /Resources << ${resources.join(' ')} >> >>`;
+  objects[3] = `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`;
+
+  return buildPdf(objects);
+}
+
+/**
+ * Build a Flate-compressed PDF stream object
+ */
+function pdfStream(dictionary, data) {
+  const compressed = zlib.deflateSync(data);
+  return Buffer.concat([
+    Buffer.from(`<< ${dictionary} /Filter /FlateDecode /Length ${compressed.length} >>\nstream\n`),
+    compressed,
+    Buffer.from('\nendstream')
+  ]);
+}
+
+/**
+ * Split RGBA pixels into separate RGB and alpha channels
+ */
+function splitAlpha(rgba) {
+  const pixels = rgba.length / 4;
+  const rgb = Buffer.alloc(pixels * 3);
+  const alpha = Buffer.alloc(pixels);
+
+  for (let i = 0; i < pixels; i++) {
+    rgb[i * 3] = rgba[i * 4];
+    rgb[i * 3 + 1] = rgba[i * 4 + 1];
+    rgb[i * 3 + 2] = rgba[i * 4 + 2];
+    alpha[i] = rgba[i * 4 + 3];
+  }
+
+  return { rgb, alpha };
+}
+
+/**
+ * Assemble numbered PDF objects into a file with a valid xref table
+ */
+function buildPdf(objects) {
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'binary')];
+  const offsets = [];
+  let length = chunks[0].length;
+
+  objects.forEach((body, i) => {
+    const chunk = Buffer.concat([
+      Buffer.from(`${i + 1} 0 obj\n`),
+      Buffer.isBuffer(body) ? body : Buffer.from(body),
+      Buffer.from('\nendobj\n')
+    ]);
+    offsets.push(length);
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+
+  chunks.push(Buffer.from(xref + '\n'));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Draw a scene as Level 3 EPS (needed for shfill gradients)
+ */
+function renderEps(scene, options, logo) {
+  const layout = pageLayout(scene, options);
+  const [pageWidth, pageHeight] = [layout.width, layout.height].map(formatNumber);
+  const bleed = layout.bleed / layout.scale;
+  const ops = { move: 'moveto', line: 'lineto', curve: 'curveto', close: 'closepath' };
+
+  const lines = [
+    '%!PS-Adobe-3.0 EPSF-3.0',
+    `%%BoundingBox: 0 0 ${Math.ceil(pageWidth)} ${Math.ceil(pageHeight)}`,
+    `%%HiResBoundingBox: 0 0 ${pageWidth} ${pageHeight}`,
+    '%%Creator: SnapIT QR',
+    '%%LanguageLevel: 3',
+    '%%Pages: 1',
+    '%%EndComments',
+    'gsave',
+    // Draw in module units with a top-left origin, like the SVG
+    `${formatNumber(layout.trim.x0)} ${formatNumber(layout.trim.y1)} translate ${formatNumber(layout.scale)} -${formatNumber(layout.scale)} scale`,
+    `${colorComponents(scene.background)} setrgbcolor`,
+    `${formatNumber(-bleed)} ${formatNumber(-bleed)} ${formatNumber(scene.width + bleed * 2)} ${formatNumber(scene.height + bleed * 2)} rectfill`
+  ];
+
+  scene.layers.forEach(layer => {
+    if (layer.segments.length === 0) return;
+
+    const path = pathOperators(layer.segments, ops);
+    if (layer.fill.gradient) {
+      lines.push('gsave', 'newpath', path, layer.evenOdd ? 'eoclip' : 'clip', 'newpath', `${shadingDictionary(layer.fill.gradient)} shfill`, 'grestore');
+    } else {
+      lines.push(`${colorComponents(layer.fill.color)} setrgbcolor`, 'newpath', path, layer.evenOdd ? 'eofill' : 'fill');
+    }
+  });
+
+  const box = scene.logoBox;
+  if (box && logo) {
+    // EPS images have no alpha channel, so blend onto the background color
+    const rgb = flattenAlpha(logo.rgba, QRStyle.parseColor(scene.background));
+
+    lines.push(
+      'gsave',
+      `${formatNumber(box.x)} ${formatNumber(box.y + box.height)} translate`,
+      `${formatNumber(box.width)} -${formatNumber(box.height)} scale`,
+      '/DeviceRGB setcolorspace',
+      `<< /ImageType 1 /Width ${logo.width} /Height ${logo.height} /BitsPerComponent 8 /Decode [0 1 0 1 0 1] /ImageMatrix [${logo.width} 0 0 -${logo.height} 0 ${logo.height}] /DataSource currentfile /ASCIIHexDecode filter >> image`,
+      ...(rgb.toString('hex').match(/.{1,78}/g) || []),
+      '>',
+      'grestore'
+    );
+  }
+
+  lines.push('grestore');
+
+  if (layout.cropMarks.length > 0) {
+    lines.push(`${Print.CROP_MARKS.lineWidth} setlinewidth 1 1 1 1 setcmykcolor`);
+    layout.cropMarks.forEach(([x1, y1, x2, y2]) => {
+      lines.push(`newpath ${[x1, y1].map(formatNumber).join(' ')} moveto ${[x2, y2].map(formatNumber).join(' ')} lineto stroke`);
+    });
+  }
+
+  lines.push('showpage', '%%EOF');
+  return Buffer.from(lines.join('\n') + '\n');
+}
+
+/**
+ * Blend RGBA pixels onto a solid background, returning RGB
+ */
+function flattenAlpha(rgba, background) {
+  const pixels = rgba.length / 4;
+  const rgb = Buffer.alloc(pixels * 3);
+  const bg = [background.r * 255, background.g * 255, background.b * 255];
+
+  for (let i = 0; i < pixels; i++) {
+    const a = rgba[i * 4 + 3] / 255;
+    for (let c = 0; c < 3; c++) {
+      rgb[i * 3 + c] = Math.round(rgba[i * 4 + c] * a + bg[c] * (1 - a));
+    }
+  }
+
+  return rgb;
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_FORMAT,
+  IMAGE_SIZE_LIMITS,
+  LOGO_LIMITS,
+  parseFormats,
+  render,
+  getRenderOptions,
+  getModuleCount,
+  validateStyle,
+  validateForContent,
+  validateLogo,
+  decodeLogoData,
+  prepareLogo
+};
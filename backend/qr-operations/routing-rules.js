@@ -0,0 +1,239 @@
+/**
+ * Shared Routing Rules Module
+ *
+ * Picks a destination for each visitor of a dynamic QR code or short link.
+ * Records may carry an ordered `rules` list; the first rule whose
+ * conditions all match sends the visitor to its own URL, and visitors no
+ * rule matches go to the record's default destination.
+ *
+ * A rule looks like:
+ *   { name: 'iPhone users', conditions: { os: ['ios'] }, url: 'https://...' }
+ *
+ * Conditions (each a value or a list of values, any of which may match):
+ * - os: ios, android, desktop or other, parsed from User-Agent
+ * - browser: chrome, safari, firefox, edge, samsung, opera or other
+ * - language: the visitor's preferred Accept-Language tag; `en` matches
+ *   en-US and en-GB, `pt-BR` only matches pt-BR
+ * - country: ISO 3166 alpha-2 code from CloudFront-Viewer-Country
+ *
+ * Copied into each Lambda that redirects visitors (qr-operations and
+ * url-operations); keep those copies identical to this file.
+ */
+
+const MAX_RULES = 20;
+const MAX_VALUES = 50;
+
+const OS_VALUES = ['ios', 'android', 'desktop', 'other'];
+const BROWSER_VALUES = ['chrome', 'safari', 'firefox', 'edge', 'samsung', 'opera', 'other'];
+const CONDITIONS = ['os', 'browser', 'language', 'country'];
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+// Checked in order: most browsers also claim to be Chrome and Safari
+const BROWSER_PATTERNS = [
+  ['edge', /\b(Edg|EdgA|EdgiOS|Edge)\//],
+  ['opera', /\b(OPR|OPiOS|Opera)\//],
+  ['samsung', /\bSamsungBrowser\//],
+  ['firefox', /\b(Firefox|FxiOS)\//],
+  ['chrome', /\b(Chrome|CriOS|Chromium)\//],
+  ['safari', /\bVersion\/[\d.]+.*\bSafari\//]
+];
+
+/**
+ * Read a request header regardless of how API Gateway cased it
+ */
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Operating system family from a User-Agent string
+ * iPads in desktop mode send a Mac User-Agent and count as desktop
+ */
+function parseOs(userAgent = '') {
+  if (/\b(iPhone|iPad|iPod)\b/.test(userAgent)) return 'ios';
+  if (/\bAndroid\b/.test(userAgent)) return 'android';
+  if (/\b(Windows NT|Macintosh|Mac OS X|CrOS|X11|Linux x86_64)\b/.test(userAgent)) return 'desktop';
+  return 'other';
+}
+
+/**
+ * Browser family from a User-Agent string
+ */
+function parseBrowser(userAgent = '') {
+  const match = BROWSER_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Highest-weighted language tag from an Accept-Language header, lowercased
+ */
+function parseLanguage(acceptLanguage = '') {
+  const languages = String(acceptLanguage)
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(lang => LANGUAGE_PATTERN.test(lang.tag) && lang.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+
+  return languages.length > 0 ? languages[0].tag : null;
+}
+
+/**
+ * Describe the visitor behind a redirect request
+ * Returns { os, browser, language, country }
+ */
+function parseVisitor(headers) {
+  const userAgent = getHeader(headers, 'User-Agent') || '';
+  const country = getHeader(headers, 'CloudFront-Viewer-Country');
+
+  return {
+    os: parseOs(userAgent),
+    browser: parseBrowser(userAgent),
+    language: parseLanguage(getHeader(headers, 'Accept-Language')),
+    country: country ? String(country).toUpperCase() : null
+  };
+}
+
+/**
+ * Check and normalize a rules list from a create or update request
+ * Send null or [] to remove all rules. Returns { rules } or { error }
+ */
+function validateRules(rules) {
+  if (rules === null || rules === undefined) {
+    return { rules: [] };
+  }
+
+  if (!Array.isArray(rules)) {
+    return { error: 'rules must be an array' };
+  }
+
+  if (rules.length > MAX_RULES) {
+    return { error: `A maximum of ${MAX_RULES} routing rules is allowed` };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    const label = `Rule ${i + 1}`;
+
+    if (!rule || typeof rule !== 'object') {
+      return { error: `${label} must be an object with conditions and url` };
+    }
+
+    if (!isHttpUrl(rule.url)) {
+      return { error: `${label}: url must be an http or https URL` };
+    }
+
+    if (rule.name !== undefined && (typeof rule.name !== 'string' || rule.name.length > 100)) {
+      return { error: `${label}: name must be text of at most 100 characters` };
+    }
+
+    const conditions = rule.conditions || {};
+    const unknown = Object.keys(conditions).filter(key => !CONDITIONS.includes(key));
+    if (unknown.length > 0) {
+      return { error: `${label}: unknown condition ${unknown.join(', ')}. Use ${CONDITIONS.join(', ')}` };
+    }
+
+    const normalizedConditions = {};
+    for (const key of CONDITIONS) {
+      if (conditions[key] === undefined || conditions[key] === null) continue;
+
+      const values = (Array.isArray(conditions[key]) ? conditions[key] : [conditions[key]])
+        .map(value => String(value).trim());
+      const checked = checkValues(key, values);
+      if (checked.error) {
+        return { error: `${label}: ${checked.error}` };
+      }
+      normalizedConditions[key] = checked.values;
+    }
+
+    if (Object.keys(normalizedConditions).length === 0) {
+      return { error: `${label} needs at least one condition (${CONDITIONS.join(', ')})` };
+    }
+
+    normalized.push({
+      ...(rule.name ? { name: rule.name } : {}),
+      conditions: normalizedConditions,
+      url: rule.url
+    });
+  }
+
+  return { rules: normalized };
+}
+
+function checkValues(key, values) {
+  if (values.length === 0 || values.length > MAX_VALUES) {
+    return { error: `${key} must list between 1 and ${MAX_VALUES} values` };
+  }
+
+  if (key === 'os' || key === 'browser') {
+    const allowed = key === 'os' ? OS_VALUES : BROWSER_VALUES;
+    const lowered = values.map(value => value.toLowerCase());
+    const invalid = lowered.filter(value => !allowed.includes(value));
+    if (invalid.length > 0) {
+      return { error: `${key} must be one of: ${allowed.join(', ')}` };
+    }
+    return { values: lowered };
+  }
+
+  if (key === 'language') {
+    const invalid = values.filter(value => !LANGUAGE_PATTERN.test(value));
+    if (invalid.length > 0) {
+      return { error: `language must be a language tag such as en or pt-BR (got ${invalid[0]})` };
+    }
+    return { values: values.map(value => value.toLowerCase()) };
+  }
+
+  const upper = values.map(value => value.toUpperCase());
+  const invalid = upper.filter(value => !COUNTRY_PATTERN.test(value));
+  if (invalid.length > 0) {
+    return { error: `country must be a two-letter country code such as US or DE (got ${invalid[0]})` };
+  }
+  return { values: upper };
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * First rule matching a visitor from parseVisitor()
+ * Returns { index, name, url }, or null to use the default destination
+ */
+function matchRule(rules, visitor) {
+  if (!Array.isArray(rules)) return null;
+
+  const index = rules.findIndex(rule => Object.entries(rule.conditions || {}).every(([key, values]) => {
+    const value = visitor[key];
+    if (!value) return false;
+    if (key === 'language') {
+      return values.some(tag => value === tag || value.startsWith(`${tag}-`));
+    }
+    return values.includes(value);
+  }));
+
+  if (index === -1) return null;
+
+  return { index, name: rules[index].name || null, url: rules[index].url };
+}
+
+module.exports = {
+  MAX_RULES,
+  OS_VALUES,
+  BROWSER_VALUES,
+  parseVisitor,
+  validateRules,
+  matchRule
+};
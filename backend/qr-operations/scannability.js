@@ -0,0 +1,183 @@
+/**
+ * QR Code Scannability Checks
+ *
+ * Verifies a rendered QR code before it is saved:
+ * - decode-back: the PNG is read with ZXing and must return the content
+ *   (other symbologies use the matching ZXing reader)
+ * - contrast: WCAG relative-luminance ratio between the lightest
+ *   foreground color (gradient stops and eye color included) and the
+ *   background
+ * - polarity: light-on-dark codes are flagged, many scanners skip them
+ * - quiet zone: the ISO/IEC 18004 margin is 4 modules; other symbologies
+ *   are checked against their own minimum
+ * - print size: with customization.print, the physical module size for the
+ *   payload length and error correction level (see print.js)
+ *
+ * Only a failed decode blocks saving; the rest are reported as warnings.
+ */
+
+const sharp = require('sharp');
+const {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatReader,
+  QRCodeReader,
+  RGBLuminanceSource
+} = require('@zxing/library');
+const QRStyle = require('./qr-style');
+const Print = require('./print');
+const Barcodes = require('./barcodes');
+const renderer = require('./renderer');
+
+const CONTRAST = {
+  minimum: 3,
+  recommended: 4.5
+};
+
+const QUIET_ZONE = {
+  minimum: 2,
+  recommended: 4
+};
+
+const ZXING_FORMATS = {
+  datamatrix: BarcodeFormat.DATA_MATRIX,
+  aztec: BarcodeFormat.AZTEC,
+  pdf417: BarcodeFormat.PDF_417,
+  code128: BarcodeFormat.CODE_128,
+  ean13: BarcodeFormat.EAN_13
+};
+
+/**
+ * Decode a PNG with ZXing
+ * Returns the decoded text, or null when no barcode could be read
+ */
+async function decode(png, symbology = Barcodes.DEFAULT_SYMBOLOGY) {
+  // Transparent backgrounds are judged as if printed on white
+  const { data, info } = await sharp(png)
+    .flatten({ background: '#FFFFFF' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const source = new RGBLuminanceSource(new Uint8ClampedArray(data), info.width, info.height);
+  const hints = new Map([[DecodeHintType.TRY_HARDER, true]]);
+  const bitmap = new BinaryBitmap(new HybridBinarizer(source));
+
+  try {
+    if (symbology === Barcodes.DEFAULT_SYMBOLOGY) {
+      return new QRCodeReader().decode(bitmap, hints).getText();
+    }
+
+    hints.set(DecodeHintType.POSSIBLE_FORMATS, [ZXING_FORMATS[symbology]]);
+    return new MultiFormatReader().decode(bitmap, hints).getText();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * WCAG 2.x relative luminance of a hex color
+ */
+function luminance(hex) {
+  const { r, g, b } = QRStyle.parseColor(hex);
+  const [R, G, B] = [r, g, b].map(c => (c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)));
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+/**
+ * WCAG contrast ratio between two hex colors (1 to 21)
+ */
+function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Build the scannability report for a rendered PNG
+ * `expected` is the exact text the code should decode to
+ */
+async function check(png, expected, customization = {}, symbology = Barcodes.DEFAULT_SYMBOLOGY) {
+  const style = QRStyle.normalize(customization);
+  const warnings = [];
+  const margin = Barcodes.getMargin(symbology, customization);
+  const quietZone = symbology === Barcodes.DEFAULT_SYMBOLOGY
+    ? QUIET_ZONE
+    : { minimum: Barcodes.SYMBOLOGIES[symbology].quietZone.minimum, recommended: Barcodes.SYMBOLOGIES[symbology].quietZone.default };
+
+  // Readers without ECI support return UTF-8 content as Latin-1 bytes
+  const decoded = await decode(png, symbology);
+  const decodes = decoded === expected || (decoded !== null && Buffer.from(decoded, 'latin1').toString('utf8') === expected);
+
+  // The lightest dark color is the one scanners are most likely to miss
+  const foregrounds = [
+    ...(style.gradient ? style.gradient.colors : [style.foregroundColor]),
+    ...(style.eyeColor ? [style.eyeColor] : [])
+  ];
+  const lightest = foregrounds.reduce((a, b) => (luminance(b) > luminance(a) ? b : a));
+  const ratio = contrastRatio(lightest, style.backgroundColor);
+  const inverted = foregrounds.some(color => luminance(color) > luminance(style.backgroundColor));
+
+  if (ratio < CONTRAST.minimum) {
+    warnings.push(`Contrast ratio ${ratio.toFixed(2)}:1 is too low; use at least ${CONTRAST.minimum}:1, ideally ${CONTRAST.recommended}:1`);
+  } else if (ratio < CONTRAST.recommended) {
+    warnings.push(`Contrast ratio ${ratio.toFixed(2)}:1 may be hard to scan in poor light; ${CONTRAST.recommended}:1 is recommended`);
+  }
+
+  if (inverted) {
+    warnings.push('Foreground is lighter than the background; many scanners cannot read inverted QR codes');
+  }
+
+  if (margin < quietZone.minimum) {
+    warnings.push(`Quiet zone of ${margin} modules is too small; use at least ${quietZone.recommended}`);
+  } else if (margin < quietZone.recommended) {
+    warnings.push(`Quiet zone of ${margin} modules is below the recommended ${quietZone.recommended}`);
+  }
+
+  const print = customization.print
+    ? Print.assess(Print.normalize(customization.print), renderer.getModuleCount(expected, customization, symbology))
+    : null;
+
+  if (print) {
+    warnings.push(...print.warnings);
+  }
+
+  if (decoded !== null && !decodes) {
+    warnings.push('Decoded content does not match the requested content');
+  } else if (decoded === null) {
+    warnings.push('The rendered image could not be decoded');
+  }
+
+  return {
+    passed: decodes,
+    decoded: decodes,
+    contrast: {
+      ratio: Number(ratio.toFixed(2)),
+      rating: ratio >= CONTRAST.recommended ? 'good' : ratio >= CONTRAST.minimum ? 'fair' : 'poor'
+    },
+    inverted,
+    quietZone: {
+      modules: margin,
+      recommended: quietZone.recommended,
+      passed: margin >= quietZone.recommended
+    },
+    ...(print && {
+      print: {
+        moduleSizeMm: print.moduleSizeMm,
+        recommendedSize: print.recommendedSize,
+        unit: print.unit,
+        passed: print.passed
+      }
+    }),
+    warnings
+  };
+}
+
+module.exports = {
+  CONTRAST,
+  QUIET_ZONE,
+  decode,
+  contrastRatio,
+  check
+};
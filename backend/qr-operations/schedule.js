@@ -0,0 +1,234 @@
+/**
+ * Scheduled Destinations
+ *
+ * Dynamic QR codes can send scans to different URLs by time of day, e.g.
+ * the breakfast menu in the morning and the dinner menu at night. A
+ * record's `schedule` holds an IANA timezone and an ordered list of
+ * windows; the first window containing the scan time wins:
+ *
+ *   {
+ *     timezone: 'Europe/London',
+ *     windows: [
+ *       { name: 'Christmas', startDate: '2026-12-24', endDate: '2026-12-26', url },
+ *       { name: 'Breakfast', days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '06:00', to: '11:00', url },
+ *       { name: 'Late bar', from: '22:00', to: '02:00', url }
+ *     ]
+ *   }
+ *
+ * A window may combine days, a time range and a date range; parts left
+ * out match any time. Times and dates are local to the schedule's
+ * timezone, so windows follow daylight saving changes. Time ranges
+ * include `from` and exclude `to`; a range ending before it starts runs
+ * past midnight and belongs to the day (and date) it started on. Date
+ * ranges include both ends.
+ */
+
+const MAX_WINDOWS = 50;
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check and normalize a schedule from a create or update request
+ * Send null to remove it. Returns { schedule } (null when removed) or { error }
+ */
+function validateSchedule(schedule) {
+  if (schedule === null || schedule === undefined) {
+    return { schedule: null };
+  }
+
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return { error: 'schedule must be an object with timezone and windows' };
+  }
+
+  if (!isTimezone(schedule.timezone)) {
+    return { error: 'schedule.timezone must be an IANA timezone such as Europe/London or America/New_York' };
+  }
+
+  if (!Array.isArray(schedule.windows) || schedule.windows.length === 0) {
+    return { error: 'schedule.windows must list at least one window' };
+  }
+
+  if (schedule.windows.length > MAX_WINDOWS) {
+    return { error: `A schedule can have at most ${MAX_WINDOWS} windows` };
+  }
+
+  const windows = [];
+  for (let i = 0; i < schedule.windows.length; i++) {
+    const checked = validateWindow(schedule.windows[i]);
+    if (checked.error) {
+      return { error: `Window ${i + 1}: ${checked.error}` };
+    }
+    windows.push(checked.window);
+  }
+
+  return { schedule: { timezone: schedule.timezone, windows } };
+}
+
+function validateWindow(window) {
+  if (!window || typeof window !== 'object') {
+    return { error: 'must be an object with a url and days, times or dates' };
+  }
+
+  if (!isHttpUrl(window.url)) {
+    return { error: 'url must be an http or https URL' };
+  }
+
+  if (window.name !== undefined && (typeof window.name !== 'string' || window.name.length > 100)) {
+    return { error: 'name must be text of at most 100 characters' };
+  }
+
+  const normalized = {};
+  if (window.name) normalized.name = window.name;
+
+  if (window.days !== undefined) {
+    const days = Array.isArray(window.days) ? window.days : [window.days];
+    const parsed = days.map(day => {
+      const name = String(day).trim().toLowerCase();
+      return DAYS.includes(name) ? name : DAYS[DAY_NAMES.indexOf(name)];
+    });
+    if (days.length === 0 || parsed.includes(undefined)) {
+      return { error: 'days must list days of the week such as mon, tue or saturday' };
+    }
+    normalized.days = DAYS.filter(day => parsed.includes(day));
+  }
+
+  if ((window.from === undefined) !== (window.to === undefined)) {
+    return { error: 'from and to must be given together' };
+  }
+  if (window.from !== undefined) {
+    if (!TIME_PATTERN.test(window.from) || !(TIME_PATTERN.test(window.to) || window.to === '24:00')) {
+      return { error: 'from and to must be 24-hour times such as 06:30 and 11:00' };
+    }
+    if (window.from === window.to) {
+      return { error: 'from and to must be different times; leave both out for the whole day' };
+    }
+    normalized.from = window.from;
+    normalized.to = window.to;
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (window[field] === undefined) continue;
+    if (!isDate(window[field])) {
+      return { error: `${field} must be a date such as 2026-12-24` };
+    }
+    normalized[field] = window[field];
+  }
+  if (normalized.startDate && normalized.endDate && normalized.endDate < normalized.startDate) {
+    return { error: 'endDate must not be before startDate' };
+  }
+
+  if (!normalized.days && !normalized.from && !normalized.startDate && !normalized.endDate) {
+    return { error: 'needs days, a from/to time range or a startDate/endDate range' };
+  }
+
+  normalized.url = window.url;
+  return { window: normalized };
+}
+
+function isTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock time at `at` in a timezone
+ * Returns { date: 'YYYY-MM-DD', day: 'mon', time: 'HH:MM', minutes }
+ */
+function localTime(timezone, at) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at).map(part => [part.type, part.value]));
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    day: DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()],
+    time: `${parts.hour}:${parts.minute}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function previousDay(date) {
+  const previous = new Date(Date.parse(`${date}T00:00:00Z`) - 24 * 60 * 60 * 1000);
+  return { date: previous.toISOString().slice(0, 10), day: DAYS[previous.getUTCDay()] };
+}
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Whether a window's days and dates include a local day
+function coversDay(window, { date, day }) {
+  if (window.days && !window.days.includes(day)) return false;
+  if (window.startDate && date < window.startDate) return false;
+  if (window.endDate && date > window.endDate) return false;
+  return true;
+}
+
+function windowContains(window, now) {
+  if (!window.from) return coversDay(window, now);
+
+  const from = minutesOf(window.from);
+  const to = minutesOf(window.to);
+
+  if (from < to) {
+    return now.minutes >= from && now.minutes < to && coversDay(window, now);
+  }
+
+  // Overnight: the late part today, or the early part of a window that
+  // started yesterday
+  if (now.minutes >= from) return coversDay(window, now);
+  return now.minutes < to && coversDay(window, previousDay(now.date));
+}
+
+/**
+ * First schedule window containing the time `at` (a Date)
+ * Returns { index, name, url }, or null when no window is open
+ */
+function resolve(schedule, at = new Date()) {
+  if (!schedule || !Array.isArray(schedule.windows)) return null;
+
+  const now = localTime(schedule.timezone, at);
+  const index = schedule.windows.findIndex(window => windowContains(window, now));
+  if (index === -1) return null;
+
+  return { index, name: schedule.windows[index].name || null, url: schedule.windows[index].url };
+}
+
+module.exports = {
+  MAX_WINDOWS,
+  validateSchedule,
+  localTime,
+  resolve
+};
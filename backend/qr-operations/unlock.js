@@ -0,0 +1,156 @@
+/**
+ * Password-Protected QR Codes
+ *
+ * Dynamic QR codes with a password answer scans with a small unlock form
+ * that posts back to the same /r/{id} URL. Passwords are stored as salted
+ * scrypt hashes. A correct password sets a signed cookie, scoped to that
+ * code's redirect path, so the visitor isn't asked again for a while.
+ *
+ * The cookie signature covers the stored hash, so changing or removing
+ * the password signs everyone out.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost: N = 2^14 takes ~50ms and 16 MB per check
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+const PASSWORD_LIMITS = { minLength: 4, maxLength: 128 };
+
+const UNLOCK_COOKIE = 'snapit_unlock';
+const UNLOCK_MAX_AGE = 30 * 60; // seconds
+
+/**
+ * Check a new password; returns an error message or null
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' ||
+      password.length < PASSWORD_LIMITS.minLength ||
+      password.length > PASSWORD_LIMITS.maxLength) {
+    return `password must be ${PASSWORD_LIMITS.minLength} to ${PASSWORD_LIMITS.maxLength} characters`;
+  }
+  return null;
+}
+
+/**
+ * Hash a password as scrypt$N$r$p$salt$key (base64 salt and key)
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Compare a password with a stored hash in constant time
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, key] = String(stored).split('$');
+  if (scheme !== 'scrypt' || typeof password !== 'string') return false;
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function sign(qrId, expires, passwordHash, secret) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${qrId}.${expires}.${passwordHash}`)
+    .digest('base64url');
+}
+
+/**
+ * Set-Cookie header value that unlocks one QR code for UNLOCK_MAX_AGE
+ */
+function unlockCookie(qrId, passwordHash, secret) {
+  const expires = Math.floor(Date.now() / 1000) + UNLOCK_MAX_AGE;
+  const value = `${expires}.${sign(qrId, expires, passwordHash, secret)}`;
+  return `${UNLOCK_COOKIE}=${value}; Max-Age=${UNLOCK_MAX_AGE}; Path=/r/${qrId}; Secure; HttpOnly; SameSite=Lax`;
+}
+
+/**
+ * Whether the request carries a valid, unexpired unlock cookie
+ */
+function isUnlocked(headers, qrId, passwordHash, secret) {
+  const value = parseCookies(getHeader(headers, 'Cookie'))[UNLOCK_COOKIE];
+  if (!value) return false;
+
+  const [expires, signature] = value.split('.');
+  if (!/^\d+$/.test(expires) || Number(expires) < Date.now() / 1000 || !signature) return false;
+
+  const expected = Buffer.from(sign(qrId, expires, passwordHash, secret));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Password field from the unlock form's POST body
+ */
+function readSubmittedPassword(event) {
+  const body = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64').toString('utf8')
+    : event.body || '';
+  return new URLSearchParams(body).get('password');
+}
+
+/**
+ * Unlock form page; `error` is shown above the form
+ */
+function unlockPage(error) {
+  return '<!DOCTYPE html><html><head><title>Password Required</title><meta name="viewport" content="width=device-width, initial-scale=1">' +
+    '<meta name="robots" content="noindex"><style>body{font-family:system-ui,-apple-system,sans-serif;display:flex;align-items:center;justify-content:center;min-height:100vh;margin:0;background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);color:#fff;text-align:center;padding:20px}' +
+    'h1{font-size:2rem;margin:0 0 1rem 0}p{font-size:1.1rem;opacity:.9}form{display:flex;flex-direction:column;gap:12px;max-width:320px;margin:0 auto}' +
+    'input{padding:12px;border:0;border-radius:8px;font-size:1rem}button{padding:12px;border:0;border-radius:8px;font-size:1rem;font-weight:600;background:#fff;color:#764ba2;cursor:pointer}' +
+    '.error{background:rgba(0,0,0,.25);border-radius:8px;padding:8px 12px}</style></head><body><div>' +
+    '<h1>🔒 Password Required</h1>' +
+    '<p>This QR code is password protected.</p>' +
+    (error ? `<p class="error">${escapeHtml(error)}</p>` : '') +
+    '<form method="POST"><input type="password" name="password" placeholder="Password" autocomplete="current-password" required autofocus>' +
+    '<button type="submit">Unlock</button></form></div></body></html>';
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) cookies[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+  });
+  return cookies;
+}
+
+module.exports = {
+  PASSWORD_LIMITS,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  unlockCookie,
+  isUnlocked,
+  readSubmittedPassword,
+  unlockPage
+};
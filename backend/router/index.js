@@ -8,7 +8,16 @@ const ROUTE_MAP = {
   '/auth/refresh': 'snapitqr-auth-operations',
   '/qr/generate': 'snapitqr-qr-operations',
   '/qr/list': 'snapitqr-qr-operations',
+  '/qr/decode': 'snapitqr-qr-operations',
+  '/qr/{id}': 'snapitqr-qr-operations',
   '/qr-codes': 'snapitqr-qr-operations',
+  '/presets': 'snapitqr-qr-operations',
+  '/pages': 'snapitqr-qr-operations',
+  '/p/{id}': 'snapitqr-qr-operations',
+  '/campaigns': 'snapitqr-qr-operations',
+  '/folders': 'snapitqr-qr-operations',
+  '/tags': 'snapitqr-qr-operations',
+  '/transfers': 'snapitqr-qr-operations',
   '/url/shorten': 'snapitqr-url-operations',
   '/url/list': 'snapitqr-url-operations',
   '/url': 'snapitqr-url-operations',
@@ -10,6 +10,7 @@
  * - Automatic abuse logging
  * - Privacy-preserving IP hashing
  * - Graceful degradation (allows access if DynamoDB fails)
+ * - Failed password attempt limits (password-protected QR codes)
  */
 
 const AWS = require('aws-sdk');
@@ -24,6 +25,10 @@ const RATE_LIMITS = {
     qr_per_hour: 5,
     qr_per_day: 20,
     warning_threshold: 0.8 // Warn at 80% of limit
+  },
+  password_attempts: {
+    failures_per_window: 5, // Per IP and protected target
+    window_minutes: 15
   }
 };
 
@@ -163,6 +168,42 @@ async function recordAction(sourceIp, actionType, userId, metadata) {
   }
 }
 
+/**
+ * Check whether an IP may try a password again
+ * Failures are counted per IP and `target` (e.g. qr:<qrId>)
+ * Returns { allowed, remaining } or { allowed: false, retryAfter } in seconds
+ */
+async function checkFailedAttempts(sourceIp, target) {
+  try {
+    const { failures_per_window: limit, window_minutes: minutes } = RATE_LIMITS.password_attempts;
+    const windowMs = minutes * 60 * 1000;
+    const now = Date.now();
+
+    const failures = (await getRecentActions(hashIP(sourceIp), now - windowMs))
+      .filter(a => a.actionType === 'password_failed' && a.metadata?.target === target);
+
+    if (failures.length < limit) {
+      return { allowed: true, remaining: limit - failures.length };
+    }
+
+    // Blocked until the oldest counted failure leaves the window
+    const oldest = Math.min(...failures.map(a => a.timestamp));
+    return { allowed: false, retryAfter: Math.max(1, Math.ceil((oldest + windowMs - now) / 1000)) };
+
+  } catch (error) {
+    console.error('Failed attempt check error:', error);
+    // Graceful degradation, as for checkRateLimit
+    return { allowed: true, degraded: true };
+  }
+}
+
+/**
+ * Record a wrong password for checkFailedAttempts()
+ */
+async function recordFailedAttempt(sourceIp, target) {
+  return recordAction(sourceIp, 'password_failed', 'anonymous', { target });
+}
+
 /**
  * Get recent actions for an IP
  */
@@ -230,6 +271,8 @@ function isBot(userAgent) {
 module.exports = {
   checkRateLimit,
   recordAction,
+  checkFailedAttempts,
+  recordFailedAttempt,
   isBot,
   RATE_LIMITS
 };
@@ -0,0 +1,180 @@
+/**
+ * Shared A/B Split Module
+ *
+ * Lets a dynamic QR code or short link rotate between several destination
+ * URLs by weight, for landing-page experiments:
+ *
+ *   variants: [
+ *     { id: 'a', name: 'Current page', url: 'https://...', weight: 80 },
+ *     { id: 'b', name: 'New page', url: 'https://...', weight: 20 }
+ *   ]
+ *
+ * Visitors are identified by a hash of their IP address and User-Agent,
+ * kept in a cookie on the redirect domain so they stay in the same
+ * variant when their IP changes. The variant is picked from a hash of
+ * that id and the link, so it is stable without any stored state and
+ * each link splits independently. Changing weights moves some visitors.
+ *
+ * Copied into each Lambda that redirects visitors (qr-operations and
+ * url-operations); keep those copies identical to this file.
+ */
+
+const crypto = require('crypto');
+
+const MAX_VARIANTS = 10;
+const MAX_WEIGHT = 1000;
+
+const VISITOR_COOKIE = 'snapit_vid';
+const VISITOR_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+const VISITOR_ID_PATTERN = /^[0-9a-f]{32}$/;
+const VARIANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Check and normalize a variants list from a create or update request
+ * Send null or [] to stop splitting. Returns { variants } or { error }
+ */
+function validateVariants(variants) {
+  if (variants === null || variants === undefined) {
+    return { variants: [] };
+  }
+
+  if (!Array.isArray(variants)) {
+    return { error: 'variants must be an array' };
+  }
+
+  if (variants.length === 0) {
+    return { variants: [] };
+  }
+
+  if (variants.length < 2 || variants.length > MAX_VARIANTS) {
+    return { error: `An A/B split needs between 2 and ${MAX_VARIANTS} variants` };
+  }
+
+  const ids = variants.map(variant => variant && variant.id).filter(Boolean);
+  const normalized = [];
+
+  for (let i = 0; i < variants.length; i++) {
+    const variant = variants[i];
+    const label = `Variant ${i + 1}`;
+
+    if (!variant || typeof variant !== 'object') {
+      return { error: `${label} must be an object with a url and weight` };
+    }
+
+    if (!isHttpUrl(variant.url)) {
+      return { error: `${label}: url must be an http or https URL` };
+    }
+
+    const weight = variant.weight === undefined ? 1 : variant.weight;
+    if (!Number.isInteger(weight) || weight < 0 || weight > MAX_WEIGHT) {
+      return { error: `${label}: weight must be a whole number from 0 to ${MAX_WEIGHT}` };
+    }
+
+    if (variant.id !== undefined && !VARIANT_ID_PATTERN.test(String(variant.id))) {
+      return { error: `${label}: id may only use letters, digits, - and _ (at most 32)` };
+    }
+
+    if (variant.name !== undefined && (typeof variant.name !== 'string' || variant.name.length > 100)) {
+      return { error: `${label}: name must be text of at most 100 characters` };
+    }
+
+    // Unnamed variants get the next free letter: a, b, c, ...
+    let id = variant.id !== undefined ? String(variant.id) : null;
+    if (!id) {
+      id = 'abcdefghij'.split('').find(letter => !ids.includes(letter) && !normalized.some(v => v.id === letter));
+    }
+    if (normalized.some(v => v.id === id)) {
+      return { error: `${label}: id ${id} is used by another variant` };
+    }
+
+    normalized.push({
+      id,
+      ...(variant.name ? { name: variant.name } : {}),
+      url: variant.url,
+      weight
+    });
+  }
+
+  if (normalized.every(variant => variant.weight === 0)) {
+    return { error: 'At least one variant needs a weight above 0' };
+  }
+
+  return { variants: normalized };
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Visitor id from the cookie, or a new one hashed from IP and User-Agent
+ * Returns { id, isNew }
+ */
+function getVisitorId(headers, sourceIp) {
+  const cookies = parseCookies(getHeader(headers, 'Cookie'));
+  if (VISITOR_ID_PATTERN.test(cookies[VISITOR_COOKIE] || '')) {
+    return { id: cookies[VISITOR_COOKIE], isNew: false };
+  }
+
+  const userAgent = getHeader(headers, 'User-Agent') || '';
+  const id = crypto.createHash('sha256')
+    .update(`snapit-visitor|${sourceIp || ''}|${userAgent}`)
+    .digest('hex')
+    .slice(0, 32);
+
+  return { id, isNew: true };
+}
+
+/**
+ * Set-Cookie header value that keeps a visitor id
+ */
+function visitorCookie(id) {
+  return `${VISITOR_COOKIE}=${id}; Max-Age=${VISITOR_COOKIE_MAX_AGE}; Path=/r/; Secure; HttpOnly; SameSite=Lax`;
+}
+
+/**
+ * Weighted variant for a visitor on one link (`key` is its qrId or short code)
+ * Returns the variant, or null when there is nothing to split
+ */
+function pickVariant(variants, visitorId, key) {
+  if (!Array.isArray(variants) || variants.length === 0) return null;
+
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  if (total === 0) return null;
+
+  const hash = crypto.createHash('sha256').update(`${visitorId}:${key}`).digest();
+  let bucket = hash.readUInt32BE(0) % total;
+
+  return variants.find(variant => {
+    bucket -= variant.weight;
+    return bucket < 0;
+  });
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) cookies[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+  });
+  return cookies;
+}
+
+module.exports = {
+  MAX_VARIANTS,
+  validateVariants,
+  getVisitorId,
+  visitorCookie,
+  pickVariant
+};
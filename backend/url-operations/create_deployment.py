@@ -12,7 +12,7 @@ def create_lambda_package():
 
     with zipfile.ZipFile(zip_path, 'w', zipfile.ZIP_DEFLATED) as zipf:
         # Add main files
-        for file in ['index.js', 'rate-limiter.js', 'package.json']:
+        for file in ['index.js', 'rate-limiter.js', 'routing-rules.js', 'split-test.js', 'destination-versions.js', 'organize.js', 'list-query.js', 'package.json']:
             if os.path.exists(file):
                 zipf.write(file, file)
                 print(f'Added: {file}')
@@ -2,8 +2,14 @@ const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const rateLimiter = require('./rate-limiter');
+const routingRules = require('./routing-rules');
+const splitTest = require('./split-test');
+const destinationVersions = require('./destination-versions');
+const organize = require('./organize');
+const listQuery = require('./list-query');
 
 const dynamodb = new AWS.DynamoDB.DocumentClient();
+const lambda = new AWS.Lambda();
 
 const TIER_LIMITS = {
   free: {
@@ -20,6 +26,28 @@ const TIER_LIMITS = {
   }
 };
 
+// Hosted landing pages live in qr-operations; short links can point at them
+const PAGES_TABLE = 'snapitqr-pages';
+
+// Dynamic QR codes share /r/{shortCode} with short links; codes that are
+// not short links are handed to qr-operations' redirect
+const QR_OPERATIONS_FUNCTION = 'snapitqr-qr-operations';
+
+// Campaigns are managed by qr-operations; short links can join them
+const CAMPAIGNS_TABLE = 'snapitqr-campaigns';
+
+// Search, sorting and paging for GET /short-urls (see list-query.js)
+const URL_LIST_CONFIG = {
+  sorts: {
+    createdAt: { field: 'createdAt', index: 'userId-createdAt-index' },
+    name: { field: 'sortName', index: 'userId-sortName-index' },
+    clicks: { field: 'clicks', index: 'userId-clicks-index' }
+  },
+  searchFields: ['title', 'originalUrl', 'shortCode'],
+  types: null,
+  keyFields: ['shortCode', 'userId']
+};
+
 // Custom short code characters (URL-safe)
 const CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789';
 
@@ -50,6 +78,12 @@ exports.handler = async (event) => {
       return await shortenURL(event, userId, userTier, headers);
     } else if ((path === '/url/list' || path === '/short-urls') && method === 'GET') {
       return await listURLs(event, userId, headers);
+    } else if ((path.startsWith('/url/') || path.startsWith('/short-urls/')) && path.endsWith('/versions') && method === 'GET') {
+      return await listURLVersions(event, userId, headers);
+    } else if ((path.startsWith('/url/') || path.startsWith('/short-urls/')) && path.endsWith('/rollback') && method === 'POST') {
+      return await rollbackURL(event, userId, headers);
+    } else if ((path.startsWith('/url/') || path.startsWith('/short-urls/')) && path.endsWith('/duplicate') && method === 'POST') {
+      return await duplicateURL(event, userId, userTier, headers);
     } else if ((path.startsWith('/url/') || path.startsWith('/short-urls/')) && method === 'GET') {
       return await getURL(event, headers);
     } else if ((path.startsWith('/url/') || path.startsWith('/short-urls/')) && method === 'PUT') {
@@ -58,6 +92,9 @@ exports.handler = async (event) => {
       return await deleteURL(event, userId, headers);
     } else if (path === '/r/{shortCode}' && method === 'GET') {
       return await redirectURL(event, headers);
+    } else if (path === '/r/{shortCode}' && method === 'POST') {
+      // Only password-protected QR codes have an unlock form
+      return await redirectQRCode(event);
     }
 
     return {
@@ -84,7 +121,23 @@ exports.handler = async (event) => {
 
 async function shortenURL(event, userId, userTier, headers) {
   const body = JSON.parse(event.body || '{}');
-  const { url, customAlias, title, expiresAt, password } = body;
+  const { customAlias, title, expiresAt, password } = body;
+  let url = body.url;
+
+  // A hosted landing page as the destination; its URL is the target
+  let pageId;
+  if (body.pageId) {
+    const page = await findPage(userId, body.pageId);
+    if (!page) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Page not found' })
+      };
+    }
+    pageId = page.pageId;
+    url = pageUrl(pageId);
+  }
 
   if (!url) {
     return {
@@ -105,6 +158,51 @@ async function shortenURL(event, userId, userTier, headers) {
     };
   }
 
+  // Optional device, language and country routing rules
+  const routing = routingRules.validateRules(body.rules);
+  if (routing.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: routing.error })
+    };
+  }
+
+  // Optional weighted A/B split between destinations
+  const split = splitTest.validateVariants(body.variants);
+  if (split.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: split.error })
+    };
+  }
+
+  // Optional folder, tags and campaign for organizing the dashboard
+  const folder = organize.validateFolder(body.folder);
+  const tags = organize.validateTags(body.tags);
+  const organizeError = folder.error || tags.error;
+  if (organizeError) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: organizeError })
+    };
+  }
+
+  let campaignId;
+  if (body.campaignId) {
+    const campaign = await findCampaign(userId, body.campaignId);
+    if (!campaign) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Campaign not found' })
+      };
+    }
+    campaignId = campaign.campaignId;
+  }
+
   // For anonymous users, check IP-based rate limits
   if (!userId || userId === 'anonymous') {
     const sourceIp = event.requestContext.identity.sourceIp;
@@ -187,13 +285,22 @@ async function shortenURL(event, userId, userTier, headers) {
     urlId,
     userId: userId || 'anonymous',
     originalUrl: url,
+    pageId,
     title: title || url,
+    sortName: listQuery.toSortName(title || url),
+    folder: folder.folder || undefined,
+    tags: tags.tags.length > 0 ? tags.tags : undefined,
+    campaignId,
     clicks: 0,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     status: 'active',
     expiresAt: expiresAt || null,
-    passwordHash: passwordHash || null
+    passwordHash: passwordHash || null,
+    rules: routing.rules.length > 0 ? routing.rules : undefined,
+    variants: split.variants.length > 0 ? split.variants : undefined,
+    destinationVersion: 1,
+    destinationVersions: destinationVersions.firstVersion({ url, pageId, changedBy: userId || 'anonymous' })
   };
 
   await dynamodb.put({
@@ -239,6 +346,12 @@ async function shortenURL(event, userId, userTier, headers) {
       shortCode,
       shortUrl,
       originalUrl: url,
+      pageId,
+      folder: urlRecord.folder,
+      tags: urlRecord.tags,
+      campaignId,
+      rules: urlRecord.rules,
+      variants: urlRecord.variants,
       domain: preferredDomain,
       message: 'URL shortened successfully'
     })
@@ -254,25 +367,44 @@ async function listURLs(event, userId, headers) {
     };
   }
 
-  const params = {
-    TableName: 'snapitqr-shorturls',
-    IndexName: 'userId-createdAt-index',
-    KeyConditionExpression: 'userId = :userId',
-    ExpressionAttributeValues: {
-      ':userId': userId
-    },
-    ScanIndexForward: false // Most recent first
-  };
+  const query = event.queryStringParameters || {};
+  const parsed = listQuery.parseListQuery(query, URL_LIST_CONFIG);
+  if (parsed.error) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: parsed.error })
+    };
+  }
 
-  const result = await dynamodb.query(params).promise();
+  // ?folder=, ?tag= and ?campaignId= narrow the list along with the search
+  const options = parsed.options;
+  const filters = organize.parseFilters(query);
+  const { items, nextCursor } = await listQuery.listPage(
+    (index, startKey, ascending) => dynamodb.query({
+      TableName: 'snapitqr-shorturls',
+      IndexName: index,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      },
+      // Cursors only ever continue the caller's own list
+      ExclusiveStartKey: startKey ? { ...startKey, userId } : undefined,
+      ScanIndexForward: ascending
+    }).promise(),
+    options,
+    URL_LIST_CONFIG,
+    item => listQuery.matchesQuery(item, options, URL_LIST_CONFIG) && organize.matchesFilters(item, filters)
+  );
 
   return {
     statusCode: 200,
     headers,
     body: JSON.stringify({
       success: true,
-      urls: result.Items,
-      count: result.Count
+      urls: items,
+      count: items.length,
+      nextCursor
     })
   };
 }
@@ -307,7 +439,8 @@ async function getURL(event, headers) {
   };
 }
 
-async function updateURL(event, userId, headers) {
+// `options.rollbackOf` marks the new destination as a rollback to that version
+async function updateURL(event, userId, headers, options = {}) {
   if (!userId) {
     return {
       statusCode: 401,
@@ -346,17 +479,54 @@ async function updateURL(event, userId, headers) {
   const updateExpression = [];
   const expressionAttributeValues = {};
   const expressionAttributeNames = {};
+  const removeExpression = [];
+
+  // A hosted landing page replaces the destination URL
+  let destination = null;
+  if (body.pageId) {
+    const page = await findPage(userId, body.pageId);
+    if (!page) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Page not found' })
+      };
+    }
 
-  if (body.originalUrl) {
+    updateExpression.push('#originalUrl = :originalUrl', 'pageId = :pageId');
+    expressionAttributeNames['#originalUrl'] = 'originalUrl';
+    expressionAttributeValues[':originalUrl'] = pageUrl(page.pageId);
+    expressionAttributeValues[':pageId'] = page.pageId;
+    destination = { url: pageUrl(page.pageId), pageId: page.pageId };
+  } else if (body.originalUrl) {
     updateExpression.push('#originalUrl = :originalUrl');
     expressionAttributeNames['#originalUrl'] = 'originalUrl';
     expressionAttributeValues[':originalUrl'] = body.originalUrl;
+    destination = { url: body.originalUrl };
+
+    if (existing.Item.pageId) {
+      removeExpression.push('pageId');
+    }
+  }
+
+  // Every new destination is kept as a version
+  if (destination && destination.url !== existing.Item.originalUrl) {
+    const versioned = destinationVersions.addVersion(existing.Item, 'originalUrl', 'clicks', {
+      ...destination,
+      changedBy: userId,
+      rollbackOf: options.rollbackOf
+    });
+    updateExpression.push('destinationVersion = :destinationVersion', 'destinationVersions = :destinationVersions');
+    expressionAttributeValues[':destinationVersion'] = versioned.version;
+    expressionAttributeValues[':destinationVersions'] = versioned.versions;
   }
 
   if (body.title) {
     updateExpression.push('#title = :title');
     expressionAttributeNames['#title'] = 'title';
     expressionAttributeValues[':title'] = body.title;
+    updateExpression.push('sortName = :sortName');
+    expressionAttributeValues[':sortName'] = listQuery.toSortName(body.title);
   }
 
   if (body.status) {
@@ -365,6 +535,60 @@ async function updateURL(event, userId, headers) {
     expressionAttributeValues[':status'] = body.status;
   }
 
+  // Folder, tags and campaign replace the stored ones; send null to remove
+  if (body.folder !== undefined) {
+    const folder = organize.validateFolder(body.folder);
+    if (folder.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: folder.error })
+      };
+    }
+
+    if (folder.folder) {
+      updateExpression.push('folder = :folder');
+      expressionAttributeValues[':folder'] = folder.folder;
+    } else {
+      removeExpression.push('folder');
+    }
+  }
+
+  if (body.tags !== undefined) {
+    const tags = organize.validateTags(body.tags);
+    if (tags.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: tags.error })
+      };
+    }
+
+    if (tags.tags.length > 0) {
+      updateExpression.push('tags = :tags');
+      expressionAttributeValues[':tags'] = tags.tags;
+    } else {
+      removeExpression.push('tags');
+    }
+  }
+
+  if (body.campaignId !== undefined) {
+    if (body.campaignId) {
+      const campaign = await findCampaign(userId, body.campaignId);
+      if (!campaign) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Campaign not found' })
+        };
+      }
+      updateExpression.push('campaignId = :campaignId');
+      expressionAttributeValues[':campaignId'] = campaign.campaignId;
+    } else {
+      removeExpression.push('campaignId');
+    }
+  }
+
   if (body.expiresAt !== undefined) {
     updateExpression.push('expiresAt = :expiresAt');
     expressionAttributeValues[':expiresAt'] = body.expiresAt;
@@ -381,10 +605,48 @@ async function updateURL(event, userId, headers) {
     }
   }
 
+  // Routing rules replace the stored list; send null or [] to remove them
+  if (body.rules !== undefined) {
+    const routing = routingRules.validateRules(body.rules);
+    if (routing.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: routing.error })
+      };
+    }
+
+    if (routing.rules.length > 0) {
+      updateExpression.push('rules = :rules');
+      expressionAttributeValues[':rules'] = routing.rules;
+    } else {
+      removeExpression.push('rules');
+    }
+  }
+
+  // A/B split variants replace the stored list; send null or [] to stop splitting
+  if (body.variants !== undefined) {
+    const split = splitTest.validateVariants(body.variants);
+    if (split.error) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: split.error })
+      };
+    }
+
+    if (split.variants.length > 0) {
+      updateExpression.push('variants = :variants');
+      expressionAttributeValues[':variants'] = split.variants;
+    } else {
+      removeExpression.push('variants');
+    }
+  }
+
   updateExpression.push('updatedAt = :updatedAt');
   expressionAttributeValues[':updatedAt'] = new Date().toISOString();
 
-  if (updateExpression.length === 1) { // Only updatedAt
+  if (updateExpression.length === 1 && removeExpression.length === 0) { // Only updatedAt
     return {
       statusCode: 400,
       headers,
@@ -395,17 +657,22 @@ async function updateURL(event, userId, headers) {
   await dynamodb.update({
     TableName: 'snapitqr-shorturls',
     Key: { shortCode },
-    UpdateExpression: 'SET ' + updateExpression.join(', '),
+    UpdateExpression: 'SET ' + updateExpression.join(', ') +
+      (removeExpression.length > 0 ? ' REMOVE ' + removeExpression.join(', ') : ''),
     ExpressionAttributeNames: Object.keys(expressionAttributeNames).length > 0 ? expressionAttributeNames : undefined,
     ExpressionAttributeValues: expressionAttributeValues
   }).promise();
 
   // Track analytics event
   await trackAnalyticsEvent({
-    eventType: 'url_updated',
+    eventType: options.rollbackOf ? 'url_rolled_back' : 'url_updated',
     shortCode,
     userId,
-    metadata: { changes: Object.keys(body) }
+    metadata: {
+      changes: Object.keys(body),
+      version: expressionAttributeValues[':destinationVersion'],
+      rollbackOf: options.rollbackOf
+    }
   });
 
   return {
@@ -413,7 +680,220 @@ async function updateURL(event, userId, headers) {
     headers,
     body: JSON.stringify({
       success: true,
-      message: 'Short URL updated successfully'
+      message: options.rollbackOf
+        ? `Short URL rolled back to version ${options.rollbackOf}`
+        : 'Short URL updated successfully',
+      destinationVersion: expressionAttributeValues[':destinationVersion'] || existing.Item.destinationVersion || 1
+    })
+  };
+}
+
+/**
+ * Destination history of a short link (GET /url/{shortCode}/versions)
+ * Newest first, each with the clicks it received while current
+ */
+async function listURLVersions(event, userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const result = await dynamodb.get({
+    TableName: 'snapitqr-shorturls',
+    Key: { shortCode: event.pathParameters.shortCode }
+  }).promise();
+
+  if (!result.Item || result.Item.userId !== userId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Short URL not found' })
+    };
+  }
+
+  const versions = destinationVersions.versionsOf(result.Item, 'originalUrl');
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      currentVersion: result.Item.destinationVersion || 1,
+      versions: destinationVersions.withCounts(versions, result.Item.clicks, 'clicks'),
+      count: versions.length
+    })
+  };
+}
+
+/**
+ * Point a short link back at an earlier destination
+ * (POST /url/{shortCode}/rollback with { version }). The old destination
+ * becomes a new version, so the rollback itself shows in the history
+ */
+async function rollbackURL(event, userId, headers) {
+  if (!userId) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+
+  const result = await dynamodb.get({
+    TableName: 'snapitqr-shorturls',
+    Key: { shortCode: event.pathParameters.shortCode }
+  }).promise();
+
+  if (!result.Item || result.Item.userId !== userId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Short URL not found' })
+    };
+  }
+
+  const target = destinationVersions.versionsOf(result.Item, 'originalUrl').find(v => v.version === Number(body.version));
+  if (!target) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: `Version ${body.version} not found` })
+    };
+  }
+
+  if (target.url === result.Item.originalUrl) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Version ${target.version} is already the current destination` })
+    };
+  }
+
+  const update = target.pageId ? { pageId: target.pageId } : { originalUrl: target.url };
+  return await updateURL({ ...event, body: JSON.stringify(update) }, userId, headers, { rollbackOf: target.version });
+}
+
+// Copy a short link (POST /url/{shortCode}/duplicate) under a new code with
+// the same destination and settings. Clicks and history start fresh
+async function duplicateURL(event, userId, userTier, headers) {
+  if (!userId || userId === 'anonymous') {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Authentication required' })
+    };
+  }
+
+  const existing = await dynamodb.get({
+    TableName: 'snapitqr-shorturls',
+    Key: { shortCode: event.pathParameters.shortCode }
+  }).promise();
+
+  if (!existing.Item || existing.Item.userId !== userId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Short URL not found' })
+    };
+  }
+
+  const body = JSON.parse(event.body || '{}');
+
+  const usage = await checkUsageLimit(userId, 'shortURLs', userTier);
+  if (!usage.allowed) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({
+        error: usage.message,
+        usage: usage.current,
+        limit: usage.limit,
+        upgradeRequired: true
+      })
+    };
+  }
+
+  let shortCode;
+  if (body.customAlias) {
+    const taken = await dynamodb.get({
+      TableName: 'snapitqr-shorturls',
+      Key: { shortCode: body.customAlias }
+    }).promise();
+
+    if (taken.Item) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: 'Custom alias already taken' })
+      };
+    }
+
+    shortCode = body.customAlias;
+  } else {
+    shortCode = await generateShortCode();
+  }
+
+  const source = existing.Item;
+  const urlId = uuidv4();
+  const now = new Date().toISOString();
+  const title = body.title || `${source.title || source.originalUrl} (copy)`;
+  const urlRecord = {
+    shortCode,
+    urlId,
+    userId,
+    originalUrl: source.originalUrl,
+    pageId: source.pageId,
+    title,
+    sortName: listQuery.toSortName(title),
+    folder: source.folder,
+    tags: source.tags,
+    campaignId: source.campaignId,
+    clicks: 0,
+    createdAt: now,
+    updatedAt: now,
+    status: source.status || 'active',
+    expiresAt: source.expiresAt || null,
+    passwordHash: source.passwordHash || null,
+    rules: source.rules,
+    variants: source.variants,
+    destinationVersion: 1,
+    destinationVersions: destinationVersions.firstVersion({ url: source.originalUrl, pageId: source.pageId, changedBy: userId })
+  };
+
+  await dynamodb.put({
+    TableName: 'snapitqr-shorturls',
+    Item: urlRecord
+  }).promise();
+
+  await incrementUsage(userId, 'shortURLs');
+
+  await trackAnalyticsEvent({
+    eventType: 'url_duplicated',
+    urlId,
+    shortCode,
+    userId,
+    metadata: { sourceShortCode: source.shortCode }
+  });
+
+  const preferredDomain = body.domain || 'snapiturl.com';
+
+  return {
+    statusCode: 201,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      urlId,
+      shortCode,
+      shortUrl: `https://api.${preferredDomain}/r/${shortCode}`,
+      originalUrl: urlRecord.originalUrl,
+      duplicatedFrom: source.shortCode,
+      domain: preferredDomain,
+      message: 'Short URL duplicated successfully'
     })
   };
 }
@@ -479,6 +959,21 @@ async function deleteURL(event, userId, headers) {
   };
 }
 
+// Run qr-operations' redirect for a dynamic QR code on /r/{shortCode}
+async function redirectQRCode(event) {
+  const result = await lambda.invoke({
+    FunctionName: QR_OPERATIONS_FUNCTION,
+    InvocationType: 'RequestResponse',
+    Payload: JSON.stringify(event)
+  }).promise();
+
+  if (result.FunctionError) {
+    throw new Error(`QR code redirect failed: ${result.Payload}`);
+  }
+
+  return JSON.parse(result.Payload);
+}
+
 async function redirectURL(event, headers) {
   const shortCode = event.pathParameters.shortCode;
 
@@ -488,14 +983,9 @@ async function redirectURL(event, headers) {
     Key: { shortCode }
   }).promise();
 
+  // Not a short link: try it as a dynamic QR code
   if (!result.Item) {
-    return {
-      statusCode: 404,
-      headers: {
-        'Content-Type': 'text/html'
-      },
-      body: '<html><body><h1>404 - Short URL not found</h1></body></html>'
-    };
+    return await redirectQRCode(event);
   }
 
   const urlRecord = result.Item;
@@ -557,6 +1047,14 @@ async function redirectURL(event, headers) {
     }
   }).promise();
 
+  // The first matching routing rule picks the destination, then the
+  // visitor's A/B split variant, then the original URL
+  const visitor = routingRules.parseVisitor(event.headers);
+  const visitorId = splitTest.getVisitorId(event.headers, event.requestContext.identity.sourceIp);
+  const rule = routingRules.matchRule(urlRecord.rules, visitor);
+  const variant = rule ? null : splitTest.pickVariant(urlRecord.variants, visitorId.id, shortCode);
+  const destination = rule ? rule.url : variant ? variant.url : urlRecord.originalUrl;
+
   // Track analytics event
   const userAgent = event.headers?.['User-Agent'] || 'Unknown';
   const sourceIp = event.requestContext.identity.sourceIp;
@@ -567,7 +1065,18 @@ async function redirectURL(event, headers) {
     shortCode,
     urlId: urlRecord.urlId,
     userId: urlRecord.userId,
+    // Indexed (campaignId-timestamp-index) for campaign analytics
+    campaignId: urlRecord.campaignId,
     metadata: {
+      destination,
+      version: urlRecord.destinationVersion || 1,
+      rule: rule ? rule.index : null,
+      ruleName: rule ? rule.name : null,
+      variant: variant ? variant.id : null,
+      variantName: variant ? variant.name || null : null,
+      os: visitor.os,
+      browser: visitor.browser,
+      language: visitor.language,
       userAgent,
       sourceIp,
       referer,
@@ -575,17 +1084,47 @@ async function redirectURL(event, headers) {
     }
   });
 
-  // Redirect to original URL
+  // Redirect to the chosen destination; split visitors keep their id so
+  // they stay in the same variant
   return {
     statusCode: 302,
     headers: {
-      'Location': urlRecord.originalUrl,
-      'Cache-Control': 'no-cache, no-store, must-revalidate'
+      'Location': destination,
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      ...(variant && visitorId.isNew ? { 'Set-Cookie': splitTest.visitorCookie(visitorId.id) } : {})
     },
     body: ''
   };
 }
 
+// A page owned by the user, or null
+async function findPage(userId, pageId) {
+  if (!userId || userId === 'anonymous') return null;
+
+  const result = await dynamodb.get({
+    TableName: PAGES_TABLE,
+    Key: { pageId: String(pageId) }
+  }).promise();
+
+  return result.Item && result.Item.userId === userId ? result.Item : null;
+}
+
+function pageUrl(pageId) {
+  return `https://api.snapitqr.com/p/${pageId}`;
+}
+
+// A campaign owned by the user, or null
+async function findCampaign(userId, campaignId) {
+  if (!userId || userId === 'anonymous') return null;
+
+  const result = await dynamodb.get({
+    TableName: CAMPAIGNS_TABLE,
+    Key: { userId, campaignId: String(campaignId) }
+  }).promise();
+
+  return result.Item || null;
+}
+
 async function generateShortCode() {
   let attempts = 0;
   const maxAttempts = 10;
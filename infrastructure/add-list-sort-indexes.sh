@@ -0,0 +1,88 @@
+#!/bin/bash
+
+# Indexes for sorting GET /qr-codes and GET /short-urls by name, scans and
+# clicks (see backend/shared/list-query.js). Each sort pages through its
+# own userId index, so every list page is a single DynamoDB query chain.
+#
+# Names sort by `sortName`, a lowercased copy of the name or title that
+# the Lambdas now write. Records from before it existed are backfilled
+# first, along with missing scans/clicks counters: records without the
+# index's range key are left out of that index. Requires jq.
+
+# Backfill sortName (and a zero counter) on records that lack it. jq only
+# lowercases ASCII letters; the Lambdas rewrite sortName on the next rename
+# $1 table, $2 key attributes (comma-separated), $3 name field, $4 counter
+backfill() {
+  echo "Backfilling sortName on $1..."
+  aws dynamodb scan \
+    --table-name "$1" \
+    --filter-expression "attribute_not_exists(sortName)" \
+    --projection-expression "$2,#name" \
+    --expression-attribute-names "{\"#name\": \"$3\"}" \
+    --output json |
+  jq -c --arg keys "$2" --arg field "$3" '.Items[] | {
+      key: with_entries(select(.key as $k | $keys | split(",") | index($k))),
+      sortName: ((.[$field].S // "") | ascii_downcase | .[0:200] | if . == "" then " " else . end)
+    }' |
+  while read -r item; do
+    aws dynamodb update-item \
+      --table-name "$1" \
+      --key "$(echo "$item" | jq -c .key)" \
+      --update-expression "SET sortName = :sortName, #counter = if_not_exists(#counter, :zero)" \
+      --expression-attribute-names "{\"#counter\": \"$4\"}" \
+      --expression-attribute-values "$(echo "$item" | jq -c '{":sortName": {S: .sortName}, ":zero": {N: "0"}}')" \
+      || echo "⚠️ Could not backfill $item"
+  done
+}
+
+# Create a userId index ranged on $3 (type $4) on table $1, named $2,
+# and wait for it: DynamoDB builds one new index per table at a time
+add_index() {
+  echo ""
+  echo "Adding $2 to $1..."
+  aws dynamodb update-table \
+    --table-name "$1" \
+    --attribute-definitions \
+      AttributeName=userId,AttributeType=S \
+      AttributeName="$3",AttributeType="$4" \
+    --global-secondary-index-updates \
+      "[{
+        \"Create\": {
+          \"IndexName\": \"$2\",
+          \"KeySchema\": [
+            {\"AttributeName\": \"userId\", \"KeyType\": \"HASH\"},
+            {\"AttributeName\": \"$3\", \"KeyType\": \"RANGE\"}
+          ],
+          \"Projection\": {\"ProjectionType\": \"ALL\"}
+        }
+      }]" \
+    2>&1
+
+  if [ $? -eq 0 ]; then
+    echo "✅ $2 creation started"
+  else
+    echo "⚠️ Index may already exist or error occurred"
+  fi
+
+  echo "Waiting for $2 to finish backfilling..."
+  until [ "$(aws dynamodb describe-table --table-name "$1" \
+    --query "Table.GlobalSecondaryIndexes[?IndexName=='$2'].IndexStatus" --output text)" != "CREATING" ]; do
+    sleep 15
+  done
+}
+
+backfill snapitqr-qrcodes "qrId,userId" name scans
+backfill snapitqr-shorturls "shortCode" title clicks
+
+add_index snapitqr-qrcodes userId-sortName-index sortName S
+add_index snapitqr-qrcodes userId-scans-index scans N
+add_index snapitqr-shorturls userId-sortName-index sortName S
+add_index snapitqr-shorturls userId-clicks-index clicks N
+
+echo ""
+echo "✅ List sort indexes are active!"
+echo ""
+echo "Next steps:"
+echo "  1. Deploy qr-operations and url-operations Lambdas (they write sortName and list through these indexes)"
+echo "  2. Run the backfill again afterwards to catch records written by the old Lambdas in between:"
+echo "     the script skips indexes that already exist"
@@ -0,0 +1,41 @@
+#!/bin/bash
+
+# Add a qrId index to snapitqr-qrcodes so scans (GET /r/{id}) and public
+# lookups (GET /qr/{id}) can find a code without knowing its owner.
+# The table key is qrId + userId, so a get needs both
+
+echo "Adding qrId-index to snapitqr-qrcodes..."
+aws dynamodb update-table \
+  --table-name snapitqr-qrcodes \
+  --attribute-definitions \
+    AttributeName=qrId,AttributeType=S \
+  --global-secondary-index-updates \
+    '[{
+      "Create": {
+        "IndexName": "qrId-index",
+        "KeySchema": [
+          {"AttributeName": "qrId", "KeyType": "HASH"}
+        ],
+        "Projection": {"ProjectionType": "ALL"}
+      }
+    }]' \
+  2>&1
+
+if [ $? -eq 0 ]; then
+  echo "✅ qrId-index creation started"
+else
+  echo "⚠️ Index may already exist or error occurred"
+fi
+
+echo ""
+echo "Waiting for the index to finish backfilling (this can take a while on a large table)..."
+until [ "$(aws dynamodb describe-table --table-name snapitqr-qrcodes \
+  --query "Table.GlobalSecondaryIndexes[?IndexName=='qrId-index'].IndexStatus" --output text)" = "ACTIVE" ]; do
+  sleep 15
+done
+
+echo ""
+echo "✅ qrId-index is active!"
+echo ""
+echo "Next steps:"
+echo "  1. Deploy qr-operations Lambda (redirects and GET /qr/{id} query qrId-index)"
@@ -0,0 +1,72 @@
+#!/bin/bash
+
+# Create DynamoDB table for campaigns grouping QR codes and short links,
+# and index analytics events by campaign for the campaign rollup
+# (GET /analytics/campaign/{campaignId})
+
+echo "Creating snapitqr-campaigns table..."
+aws dynamodb create-table \
+  --table-name snapitqr-campaigns \
+  --attribute-definitions \
+    AttributeName=userId,AttributeType=S \
+    AttributeName=campaignId,AttributeType=S \
+  --key-schema \
+    AttributeName=userId,KeyType=HASH \
+    AttributeName=campaignId,KeyType=RANGE \
+  --billing-mode PAY_PER_REQUEST \
+  --tags Key=Project,Value=SnapITQR Key=Environment,Value=Production \
+  --stream-specification StreamEnabled=false \
+  --deletion-protection-enabled \
+  2>&1
+
+if [ $? -eq 0 ]; then
+  echo "✅ snapitqr-campaigns table created successfully"
+else
+  echo "⚠️ Table may already exist or error occurred"
+fi
+
+echo ""
+echo "Waiting for table to become active..."
+aws dynamodb wait table-exists --table-name snapitqr-campaigns
+
+echo ""
+echo "Adding campaignId-timestamp-index to snapitqr-analytics..."
+aws dynamodb update-table \
+  --table-name snapitqr-analytics \
+  --attribute-definitions \
+    AttributeName=campaignId,AttributeType=S \
+    AttributeName=timestamp,AttributeType=S \
+  --global-secondary-index-updates \
+    '[{
+      "Create": {
+        "IndexName": "campaignId-timestamp-index",
+        "KeySchema": [
+          {"AttributeName": "campaignId", "KeyType": "HASH"},
+          {"AttributeName": "timestamp", "KeyType": "RANGE"}
+        ],
+        "Projection": {"ProjectionType": "ALL"}
+      }
+    }]' \
+  2>&1
+
+if [ $? -eq 0 ]; then
+  echo "✅ campaignId-timestamp-index creation started"
+else
+  echo "⚠️ Index may already exist or error occurred"
+fi
+
+echo ""
+echo "Waiting for the index to finish backfilling..."
+until [ "$(aws dynamodb describe-table --table-name snapitqr-analytics \
+  --query "Table.GlobalSecondaryIndexes[?IndexName=='campaignId-timestamp-index'].IndexStatus" --output text)" = "ACTIVE" ]; do
+  sleep 15
+done
+
+echo ""
+echo "✅ snapitqr-campaigns table and campaignId-timestamp-index are active!"
+echo ""
+echo "Next steps:"
+echo "  1. Deploy qr-operations Lambda (/campaigns, /folders, /tags; scans record campaignId)"
+echo "  2. Deploy url-operations Lambda (clicks record campaignId)"
+echo "  3. Deploy analytics-operations Lambda (GET /analytics/campaign/{campaignId})"
+echo "  4. Deploy router Lambda so /campaigns, /folders and /tags reach qr-operations"
@@ -0,0 +1,45 @@
+#!/bin/bash
+
+# Create DynamoDB table for hosted landing pages (served from /p/{id})
+
+echo "Creating snapitqr-pages table..."
+aws dynamodb create-table \
+  --table-name snapitqr-pages \
+  --attribute-definitions \
+    AttributeName=pageId,AttributeType=S \
+    AttributeName=userId,AttributeType=S \
+    AttributeName=createdAt,AttributeType=N \
+  --key-schema \
+    AttributeName=pageId,KeyType=HASH \
+  --billing-mode PAY_PER_REQUEST \
+  --global-secondary-indexes \
+    '[{
+      "IndexName": "userId-createdAt-index",
+      "KeySchema": [
+        {"AttributeName": "userId", "KeyType": "HASH"},
+        {"AttributeName": "createdAt", "KeyType": "RANGE"}
+      ],
+      "Projection": {"ProjectionType": "ALL"}
+    }]' \
+  --tags Key=Project,Value=SnapITQR Key=Environment,Value=Production \
+  --stream-specification StreamEnabled=false \
+  --deletion-protection-enabled \
+  2>&1
+
+if [ $? -eq 0 ]; then
+  echo "✅ snapitqr-pages table created successfully"
+else
+  echo "⚠️ Table may already exist or error occurred"
+fi
+
+echo ""
+echo "Waiting for table to become active..."
+aws dynamodb wait table-exists --table-name snapitqr-pages
+
+echo ""
+echo "✅ snapitqr-pages table created and active!"
+echo ""
+echo "Next steps:"
+echo "  1. Deploy qr-operations Lambda (GET/POST /pages, GET/PUT/DELETE /pages/{id}, GET /p/{id})"
+echo "  2. Deploy url-operations Lambda so short links accept pageId"
+echo "  3. Deploy router Lambda so /pages and /p/{id} reach qr-operations"
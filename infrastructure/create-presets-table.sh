@@ -0,0 +1,35 @@
+#!/bin/bash
+
+# Create DynamoDB table for saved design presets (brand kits)
+
+echo "Creating snapitqr-presets table..."
+aws dynamodb create-table \
+  --table-name snapitqr-presets \
+  --attribute-definitions \
+    AttributeName=userId,AttributeType=S \
+    AttributeName=presetId,AttributeType=S \
+  --key-schema \
+    AttributeName=userId,KeyType=HASH \
+    AttributeName=presetId,KeyType=RANGE \
+  --billing-mode PAY_PER_REQUEST \
+  --tags Key=Project,Value=SnapITQR Key=Environment,Value=Production \
+  --stream-specification StreamEnabled=false \
+  --deletion-protection-enabled \
+  2>&1
+
+if [ $? -eq 0 ]; then
+  echo "✅ snapitqr-presets table created successfully"
+else
+  echo "⚠️ Table may already exist or error occurred"
+fi
+
+echo ""
+echo "Waiting for table to become active..."
+aws dynamodb wait table-exists --table-name snapitqr-presets
+
+echo ""
+echo "✅ snapitqr-presets table created and active!"
+echo ""
+echo "Next steps:"
+echo "  1. Deploy qr-operations Lambda (GET/POST /presets, PUT/DELETE /presets/{id})"
+echo "  2. Deploy router Lambda so /presets reaches qr-operations"
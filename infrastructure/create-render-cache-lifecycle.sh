@@ -0,0 +1,49 @@
+#!/bin/bash
+
+# Expire on-demand QR renders (GET /qr/{id}/image) cached under renders/
+# Renders are keyed by a content hash and re-created on the next request,
+# so old ones can be dropped safely
+#
+# put-bucket-lifecycle-configuration replaces every rule on the bucket, so
+# the existing rules are read first and the renders/ rule merged into them.
+# Requires jq.
+
+BUCKET=snapitqr-assets
+RULE='{
+  "ID": "expire-render-cache",
+  "Filter": { "Prefix": "renders/" },
+  "Status": "Enabled",
+  "Expiration": { "Days": 30 }
+}'
+
+echo "Reading lifecycle rules on $BUCKET..."
+EXISTING=$(aws s3api get-bucket-lifecycle-configuration --bucket "$BUCKET" 2>&1)
+if [ $? -ne 0 ]; then
+  if echo "$EXISTING" | grep -q NoSuchLifecycleConfiguration; then
+    EXISTING='{"Rules": []}'
+  else
+    echo "⚠️ Could not read the existing rules; nothing was changed"
+    echo "$EXISTING"
+    exit 1
+  fi
+fi
+
+# Keep every other rule; replace an earlier copy of this one
+CONFIGURATION=$(echo "$EXISTING" | jq --argjson rule "$RULE" \
+  '{Rules: ([.Rules[] | select(.ID != $rule.ID)] + [$rule])}')
+if [ $? -ne 0 ]; then
+  echo "⚠️ Could not merge the lifecycle rules; nothing was changed"
+  exit 1
+fi
+
+echo "Adding renders/ expiry rule to $BUCKET ($(echo "$CONFIGURATION" | jq '.Rules | length') rules in total)..."
+aws s3api put-bucket-lifecycle-configuration \
+  --bucket "$BUCKET" \
+  --lifecycle-configuration "$CONFIGURATION" \
+  2>&1
+
+if [ $? -eq 0 ]; then
+  echo "✅ Render cache lifecycle rule added"
+else
+  echo "⚠️ Error adding lifecycle rule"
+fi
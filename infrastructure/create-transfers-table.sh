@@ -0,0 +1,55 @@
+#!/bin/bash
+
+# Create DynamoDB table for transfers of QR codes and short links between
+# accounts, indexed by sender and recipient
+
+echo "Creating snapitqr-transfers table..."
+aws dynamodb create-table \
+  --table-name snapitqr-transfers \
+  --attribute-definitions \
+    AttributeName=transferId,AttributeType=S \
+    AttributeName=fromUserId,AttributeType=S \
+    AttributeName=toUserId,AttributeType=S \
+    AttributeName=createdAt,AttributeType=N \
+  --key-schema \
+    AttributeName=transferId,KeyType=HASH \
+  --global-secondary-indexes \
+    '[{
+      "IndexName": "fromUserId-createdAt-index",
+      "KeySchema": [
+        {"AttributeName": "fromUserId", "KeyType": "HASH"},
+        {"AttributeName": "createdAt", "KeyType": "RANGE"}
+      ],
+      "Projection": {"ProjectionType": "ALL"}
+    },
+    {
+      "IndexName": "toUserId-createdAt-index",
+      "KeySchema": [
+        {"AttributeName": "toUserId", "KeyType": "HASH"},
+        {"AttributeName": "createdAt", "KeyType": "RANGE"}
+      ],
+      "Projection": {"ProjectionType": "ALL"}
+    }]' \
+  --billing-mode PAY_PER_REQUEST \
+  --tags Key=Project,Value=SnapITQR Key=Environment,Value=Production \
+  --stream-specification StreamEnabled=false \
+  --deletion-protection-enabled \
+  2>&1
+
+if [ $? -eq 0 ]; then
+  echo "✅ snapitqr-transfers table created successfully"
+else
+  echo "⚠️ Table may already exist or error occurred"
+fi
+
+echo ""
+echo "Waiting for table to become active..."
+aws dynamodb wait table-exists --table-name snapitqr-transfers
+
+echo ""
+echo "✅ snapitqr-transfers table created and active!"
+echo ""
+echo "Next steps:"
+echo "  1. Deploy qr-operations Lambda (/transfers and POST /qr/{id}/duplicate)"
+echo "  2. Deploy url-operations Lambda (POST /url/{shortCode}/duplicate)"
+echo "  3. Deploy router Lambda so /transfers reaches qr-operations"